@@ -0,0 +1,254 @@
+import { createStore } from "./store.js";
+import { AppError, sendError } from "./errors.js";
+
+// API keys, rate limits and daily LLM quotas.
+//
+//   API_KEYS                  "name:key" or "name:key:dailyQuota", comma-separated. When unset,
+//                             no key is needed and usage is tracked per IP address instead.
+//   ADMIN_KEYS                key names that may see every key's usage
+//   RATE_LIMIT_PER_MINUTE     requests per key per minute (default 120)
+//   IP_RATE_LIMIT_PER_MINUTE  requests per IP address per minute (default 60)
+//   DAILY_LLM_QUOTA           LLM calls per key (or IP) per UTC day unless the key sets its own (default 200)
+//   DAILY_ATTEMPTS_PER_QUIZ   graded submissions per learner (or IP) per quiz per UTC day (default 10)
+
+const WINDOW_MS = 60 * 1000;
+
+const numberFromEnv = (name, fallback) => {
+    const value = Number(process.env[name]);
+    return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+function loadApiKeys() {
+    const keys = new Map();
+    for (const entry of (process.env.API_KEYS || "").split(",").map(e => e.trim()).filter(Boolean)) {
+        const [name, key, quota] = entry.split(":").map(part => part.trim());
+        // A mistyped quota would otherwise never be reached, so the key is left out instead
+        const validQuota = !quota || (/^\d+$/.test(quota) && Number(quota) > 0);
+        if (!name || !key || !/^[\w-]+$/.test(name) || !validQuota) {
+            console.error(`Ignoring malformed API_KEYS entry for "${name || "?"}"`);
+            continue;
+        }
+        keys.set(key, { name, dailyQuota: quota ? Number(quota) : null });
+    }
+    return keys;
+}
+
+const apiKeys = loadApiKeys();
+const adminKeys = (process.env.ADMIN_KEYS || "").split(",").map(name => name.trim()).filter(Boolean);
+
+export const LIMITS = {
+    keyPerMinute: numberFromEnv("RATE_LIMIT_PER_MINUTE", 120),
+    ipPerMinute: numberFromEnv("IP_RATE_LIMIT_PER_MINUTE", 60),
+    dailyLlmQuota: numberFromEnv("DAILY_LLM_QUOTA", 200),
+    dailyAttemptsPerQuiz: numberFromEnv("DAILY_ATTEMPTS_PER_QUIZ", 10),
+};
+
+// CORS options from CORS_ORIGINS (comma-separated); every origin is allowed when it's unset
+export function corsOptions() {
+    const origins = (process.env.CORS_ORIGINS || "").split(",").map(o => o.trim()).filter(Boolean);
+    return {
+        origin: origins.length ? origins : true,
+        exposedHeaders: ["Retry-After", "Content-Disposition", "X-RateLimit-Limit", "X-RateLimit-Remaining"],
+    };
+}
+
+// Fixed one-minute windows per client
+const windows = new Map();
+
+function hit(bucket, limit, now = Date.now()) {
+    let window = windows.get(bucket);
+    if (!window || window.resetAt <= now) {
+        window = { count: 0, resetAt: now + WINDOW_MS };
+        windows.set(bucket, window);
+    }
+    window.count++;
+    return { allowed: window.count <= limit, remaining: Math.max(0, limit - window.count), resetAt: window.resetAt };
+}
+
+// Forget finished windows now and then so the map doesn't grow forever
+setInterval(() => {
+    const now = Date.now();
+    for (const [bucket, window] of windows) {
+        if (window.resetAt <= now) windows.delete(bucket);
+    }
+}, WINDOW_MS).unref();
+
+function retryAfterSeconds(resetAt) {
+    return Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+}
+
+function tooManyRequests(resetAt, code, message) {
+    return new AppError(code, message, { retryAfter: retryAfterSeconds(resetAt) });
+}
+
+// Identify the client from its address and API key and apply the per-IP and per-key rate limits.
+// Returns { client: { name, type: "key" | "ip", dailyQuota }, headers } or { error, headers }.
+// Shared by HTTP routes and WebSocket upgrades.
+export function identifyClient({ ip, key }) {
+    const ipLimit = hit(`ip:${ip}`, LIMITS.ipPerMinute);
+    if (!ipLimit.allowed) {
+        return { error: tooManyRequests(ipLimit.resetAt, "RATE_LIMITED", "Too many requests from this address. Please slow down.") };
+    }
+
+    if (apiKeys.size === 0) {
+        return { client: { name: `ip-${ip}`.replace(/[^\w-]/g, "_"), type: "ip", dailyQuota: LIMITS.dailyLlmQuota } };
+    }
+
+    const entry = key && apiKeys.get(key);
+    if (!entry) {
+        return {
+            error: new AppError("API_KEY_INVALID",
+                key ? "Invalid API key" : "An API key is required (send it in the X-API-Key header)"),
+        };
+    }
+
+    const keyLimit = hit(`key:${entry.name}`, LIMITS.keyPerMinute);
+    const headers = {
+        "X-RateLimit-Limit": String(LIMITS.keyPerMinute),
+        "X-RateLimit-Remaining": String(keyLimit.remaining),
+    };
+    if (!keyLimit.allowed) {
+        return {
+            headers,
+            error: tooManyRequests(keyLimit.resetAt, "RATE_LIMITED", `Rate limit of ${LIMITS.keyPerMinute} requests per minute exceeded for this API key`),
+        };
+    }
+
+    return { headers, client: { name: entry.name, type: "key", dailyQuota: entry.dailyQuota ?? LIMITS.dailyLlmQuota } };
+}
+
+// Express middleware: sets req.client (see identifyClient) or rejects the request
+export function requireApiKey(req, res, next) {
+    // EventSource can't send headers, so the key may also come as ?api_key=
+    const { client, headers, error } = identifyClient({ ip: req.ip, key: req.get("X-API-Key") || req.query.api_key });
+    if (headers) res.set(headers);
+    if (error) return sendError(res, error);
+
+    req.client = client;
+    next();
+}
+
+// Daily usage, one record per client per UTC day
+const usage = createStore("usage");
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+function nextUtcMidnight() {
+    const date = new Date();
+    date.setUTCHours(24, 0, 0, 0);
+    return date.getTime();
+}
+
+async function usageFor(client, day = today()) {
+    return (await usage.get(`${day}_${client.name}`)) ||
+        { client: client.name, type: client.type, day, requests: 0, llmCalls: 0 };
+}
+
+// Serialise read-modify-write per record so concurrent calls don't lose counts
+const pending = new Map();
+
+function serialize(id, task) {
+    const previous = pending.get(id) || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+    pending.set(id, next);
+    const forget = () => {
+        if (pending.get(id) === next) pending.delete(id);
+    };
+    next.then(forget, forget);
+    return next;
+}
+
+// `change` may throw an AppError to refuse the update; other failures are only logged
+function updateUsage(client, change) {
+    const id = `${today()}_${client.name}`;
+    return serialize(id, async () => {
+        const record = await usageFor(client);
+        change(record);
+        await usage.set(id, record);
+    }).catch(error => {
+        if (error instanceof AppError) throw error;
+        console.error("Failed to record usage:", error.message);
+    });
+}
+
+export function countRequest(req, res, next) {
+    if (req.client) updateUsage(req.client, record => { record.requests++; });
+    next();
+}
+
+function quotaExceeded(client) {
+    return tooManyRequests(nextUtcMidnight(), "QUOTA_EXCEEDED",
+        `Daily quota of ${client.dailyQuota} AI calls used up. It resets at midnight UTC.`);
+}
+
+// Count one model call against the client's quota, or reject with QUOTA_EXCEEDED once it's used up.
+// Await it before every call so a long request stops at the quota instead of running past it.
+export function chargeLlmCall(client) {
+    return updateUsage(client, record => {
+        if (record.llmCalls >= client.dailyQuota) throw quotaExceeded(client);
+        record.llmCalls++;
+    });
+}
+
+// Express middleware for routes that call the LLM: reject up front once today's quota is used up
+export async function checkLlmQuota(req, res, next) {
+    try {
+        const { llmCalls } = await usageFor(req.client);
+        if (llmCalls >= req.client.dailyQuota) {
+            return sendError(res, quotaExceeded(req.client));
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+// Graded submissions per learner per quiz per UTC day, so nobody can grade a quiz over and over
+const attempts = createStore("attempt-counts");
+
+// Count one graded submission of `quizId` by the request's learner, or reject with
+// ATTEMPTS_EXCEEDED once today's are used up. Call it once the submission is known to be valid.
+// Signed-in learners are counted by account, everyone else by address; instructors can see the
+// answers anyway.
+export async function countAttempt(req, quizId) {
+    if (req.user?.role === "instructor") return;
+
+    const learner = req.user ? `user-${req.user.id}` : `ip-${req.ip}`;
+    const id = `${today()}_${learner}_${quizId}`.replace(/[^\w-]/g, "_");
+    const count = await serialize(id, async () => {
+        const updated = ((await attempts.get(id)) || 0) + 1;
+        await attempts.set(id, updated);
+        return updated;
+    });
+    if (count > LIMITS.dailyAttemptsPerQuiz) {
+        throw tooManyRequests(nextUtcMidnight(), "ATTEMPTS_EXCEEDED",
+            `You can submit this quiz ${LIMITS.dailyAttemptsPerQuiz} times a day. Try again after midnight UTC.`);
+    }
+}
+
+function describeUsage(record, dailyQuota) {
+    return {
+        client: record.client,
+        type: record.type,
+        day: record.day,
+        requests: record.requests,
+        llmCalls: record.llmCalls,
+        dailyLlmQuota: dailyQuota,
+        remainingLlmCalls: Math.max(0, dailyQuota - record.llmCalls),
+    };
+}
+
+// Today's usage for the calling client, or for every client when it's an admin key
+export async function getUsage(client) {
+    const limits = { requestsPerMinute: client.type === "key" ? LIMITS.keyPerMinute : LIMITS.ipPerMinute };
+
+    if (client.type === "key" && adminKeys.includes(client.name)) {
+        const clients = await Promise.all([...apiKeys.values()].map(async entry => {
+            const record = await usageFor({ name: entry.name, type: "key" });
+            return describeUsage(record, entry.dailyQuota ?? LIMITS.dailyLlmQuota);
+        }));
+        return { ...limits, clients };
+    }
+
+    return { ...limits, ...describeUsage(await usageFor(client), client.dailyQuota) };
+}
@@ -0,0 +1,130 @@
+import { randomBytes, randomUUID, scrypt, timingSafeEqual } from "node:crypto";
+import { promisify } from "node:util";
+import { createStore } from "./store.js";
+
+// Learner accounts with username/password sign-in and bearer-token sessions.
+// Account IDs listed in INSTRUCTORS (comma-separated) get the instructor role, which lets them
+// see every learner's attempts for a video. IDs rather than usernames, so nobody can become an
+// instructor by registering a listed name first: create the account, then add its ID
+// (GET /api/auth/me shows it).
+
+const scryptAsync = promisify(scrypt);
+
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const USERNAME_PATTERN = /^[a-z0-9_-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+const users = createStore("users");
+const usernames = createStore("usernames");  // username -> { userId }
+const sessions = createStore("sessions");
+
+function roleFor(userId) {
+    const instructors = (process.env.INSTRUCTORS || "")
+        .split(",")
+        .map(id => id.trim().toLowerCase())
+        .filter(Boolean);
+    return instructors.includes(userId) ? "instructor" : "learner";
+}
+
+export function toPublicUser(user) {
+    return { id: user.id, username: user.username, role: roleFor(user.id), createdAt: user.createdAt };
+}
+
+async function hashPassword(password, salt = randomBytes(16).toString("hex")) {
+    const hash = await scryptAsync(password, salt, 64);
+    return `${salt}:${hash.toString("hex")}`;
+}
+
+async function verifyPassword(password, stored) {
+    const [salt, expected] = stored.split(":");
+    const actual = (await hashPassword(password, salt)).split(":")[1];
+    return timingSafeEqual(Buffer.from(actual, "hex"), Buffer.from(expected, "hex"));
+}
+
+async function createSession(user) {
+    const token = randomBytes(32).toString("hex");
+    await sessions.set(token, {
+        userId: user.id,
+        createdAt: new Date().toISOString(),
+        expiresAt: Date.now() + SESSION_TTL_MS,
+    });
+    return { token, user: toPublicUser(user) };
+}
+
+// Returns { token, user } or { error, status }
+export async function register(username, password) {
+    const name = typeof username === "string" ? username.trim().toLowerCase() : "";
+    if (!USERNAME_PATTERN.test(name)) {
+        return { status: 400, error: "Username must be 3-32 letters, numbers, dashes or underscores" };
+    }
+    if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+        return { status: 400, error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` };
+    }
+
+    const user = {
+        id: randomUUID(),
+        username: name,
+        passwordHash: await hashPassword(password),
+        createdAt: new Date().toISOString(),
+    };
+    // Claim the name first; of two sign-ups racing for it, only one gets it
+    if (!(await usernames.create(name, { userId: user.id }))) {
+        return { status: 409, error: "That username is already taken" };
+    }
+    await users.set(user.id, user);
+    return createSession(user);
+}
+
+// Returns { token, user } or { error, status }
+export async function signIn(username, password) {
+    const name = typeof username === "string" ? username.trim().toLowerCase() : "";
+    const entry = USERNAME_PATTERN.test(name) ? await usernames.get(name) : null;
+    const user = entry && await users.get(entry.userId);
+
+    if (!user || typeof password !== "string" || !(await verifyPassword(password, user.passwordHash))) {
+        return { status: 401, error: "Incorrect username or password" };
+    }
+    return createSession(user);
+}
+
+export async function signOut(token) {
+    if (/^[a-f0-9]{64}$/.test(token)) await sessions.delete(token);
+}
+
+export async function getUser(userId) {
+    return users.get(userId);
+}
+
+function bearerToken(req) {
+    const match = /^Bearer ([a-f0-9]{64})$/i.exec(req.get("Authorization") || "");
+    return match ? match[1].toLowerCase() : null;
+}
+
+// Express middleware: sets req.user (public user) and req.sessionToken when a valid token is sent
+export async function authenticate(req, res, next) {
+    const token = bearerToken(req);
+    if (!token) return next();
+
+    try {
+        const session = await sessions.get(token);
+        if (session && session.expiresAt < Date.now()) {
+            await sessions.delete(token);
+        } else if (session) {
+            const user = await users.get(session.userId);
+            if (user) {
+                req.user = toPublicUser(user);
+                req.sessionToken = token;
+            }
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+export function requireUser(req, res, next) {
+    if (!req.user) {
+        return res.status(401).json({ error: "Please sign in first" });
+    }
+    next();
+}
@@ -1,280 +1,1328 @@
 import express from "express";
 import cors from "cors";
-import axios from "axios";
-import { GoogleGenerativeAI } from "@google/generative-ai";
-// import { getYouTubeTranscript } from "./transcript.js";
+import proxyAddr from "proxy-addr";
+import { providerNames, isAllowedModel, getProvider } from "./providers.js";
+import { parseQuizOptions, isLanguageCode, toPublicQuestion, gradeSubmission, hideAnswers } from "./quiz.js";
+import { generateQuestions, regenerateQuestion, generatePracticeQuestions, mapWithConcurrency } from "./generate.js";
+import { generateStudyPack, parseStudyPackOptions } from "./studypack.js";
+import { cleanTranscriptText, toSrt, toWebVtt, TRANSCRIPT_FORMATS } from "./transcript.js";
+import { parseSource, transcriptFromSource } from "./sources.js";
+import { getYouTubeTranscript, fetchCaptionTracks, describeTrack, describeTranslationLanguage } from "./captions.js";
+import { fetchPlaylist, isPlaylistId, shareQuestions, combineQuizzes, localSectionIndex, PLAYLIST_MODES } from "./playlists.js";
+import { createJob, getJob, cancelJob, subscribeToJob, jobsEnabled, FINAL_STATUSES } from "./jobs.js";
+import { createStore } from "./store.js";
+import { getOrCompute, cacheKey, TTL } from "./cache.js";
+import { register, signIn, signOut, getUser, authenticate, requireUser } from "./accounts.js";
+import { EXPORT_FORMATS, exportQuiz } from "./export.js";
+import { AppError, errorResponse, sendError } from "./errors.js";
+import { corsOptions, requireApiKey, countRequest, checkLlmQuota, chargeLlmCall, countAttempt, getUsage } from "./access.js";
+import { createRoom, getRoom, describeRoom, attachRoomSockets, SOCKET_PATH, QUESTION_SECONDS } from "./rooms.js";
+import { addMissedQuestions, getDueCards, answerCard, deleteCard } from "./review.js";
+import {
+    createDraft,
+    getDraft,
+    saveDraft,
+    deleteDraft,
+    listDrafts,
+    describeDraft,
+    summarizeDraft,
+    questionIndex,
+    editQuestion,
+    replaceQuestion,
+    removeQuestion,
+    reorderQuestions,
+} from "./drafts.js";
+import {
+    createPracticeSession,
+    getPracticeSession,
+    savePracticeSession,
+    conceptsFromResults,
+    practiceTargets,
+    startRound,
+    recordRound,
+    masterySummary,
+    MAX_PRACTICE_ROUNDS,
+} from "./practice.js";
+import { randomUUID } from "node:crypto";
 import dotenv from "dotenv";
 dotenv.config();
 
 const app = express();
-app.use(cors());
-app.use(express.json());
-
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API);
-
-// Modified schema with fewer minimum questions
-const schema = {
-    description: "A list of multiple-choice questions generated from the given text.",
-    type: "array",
-    minItems: 10,   // Reduced from 10 to 5
-    maxItems: 10,
-    items: {
-        type: "object",
-        description: "A multiple-choice question with four options and one correct answer.",
-        properties: {
-            question: {
-                type: "string",
-                description: "The question text. Should be clear and based on the transcript content."
-            },
-            options: {
-                type: "array",
-                minItems: 4,
-                maxItems: 4,
-                items: { type: "string" },
-                description: "Four answer choices, including one correct answer."
-            },
-            correctAnswer: {
-                type: "string",
-                description: "The correct answer, which must be one of the options."
-            },
-            confidence: {
-                type: "number",
-                minimum: 0,
-                maximum: 1,
-                description: "Confidence score (0-1)."
-            }
+// Behind a proxy (e.g. Vercel) set TRUST_PROXY so rate limits see the client's address
+if (process.env.TRUST_PROXY) {
+    app.set("trust proxy", Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+app.use(cors(corsOptions()));
+// Uploaded transcripts arrive as JSON, so allow bodies well over the default 100kb
+app.use(express.json({ limit: "2mb" }));
+app.use("/api", requireApiKey, countRequest);
+app.use(authenticate);
+
+// Error message for a provider or model the caller may not pick, or null
+function checkProviderChoice({ provider, model }) {
+    if (provider && (typeof provider !== "string" || !providerNames.includes(provider.toLowerCase()))) {
+        return `Unknown provider. Available: ${providerNames.join(", ")}`;
+    }
+    if (model && !isAllowedModel(model)) {
+        return process.env.LLM_MODELS
+            ? `model must be one of: ${process.env.LLM_MODELS}`
+            : "model must be a model name such as \"gpt-4o-mini\"";
+    }
+    return null;
+}
+
+// Validate the transcript and model part of a generation request body. Returns { request } or { error }.
+// The transcript comes from YouTube (`videoId`) or from text the client sends (`source`);
+// with `allowPlaylist`, a `playlistId` stands for every video in a playlist.
+function parseTranscriptRequest(body, { allowPlaylist = false } = {}) {
+    const { videoId, playlistId, playlistMode = "combined", provider, model, captionLanguage, forceRegenerate } = body;
+    if (playlistId !== undefined) {
+        if (!allowPlaylist) {
+            return { error: "Playlists can only be used for quizzes" };
+        }
+        if (videoId || body.source !== undefined) {
+            return { error: "Send only one of videoId, playlistId or source" };
+        }
+        if (!isPlaylistId(playlistId)) {
+            return { error: "playlistId must be a YouTube playlist ID" };
+        }
+        if (!PLAYLIST_MODES.includes(playlistMode)) {
+            return { error: `playlistMode must be one of: ${PLAYLIST_MODES.join(", ")}` };
+        }
+    }
+    if (!videoId && !playlistId && body.source === undefined) {
+        console.log("Error: No video ID provided");
+        return { error: "Video ID is required" };
+    }
+    if (videoId && body.source !== undefined) {
+        return { error: "Send either a videoId or a source, not both" };
+    }
+
+    let source;
+    if (body.source !== undefined) {
+        const parsed = parseSource(body.source);
+        if (parsed.error) {
+            return { error: parsed.error };
+        }
+        source = parsed.source;
+    }
+
+    const llmError = checkProviderChoice({ provider, model });
+    if (llmError) {
+        return { error: llmError };
+    }
+
+    if (captionLanguage !== undefined && !isLanguageCode(captionLanguage)) {
+        return { error: "captionLanguage must be a language code such as \"en\" or \"pt-BR\"" };
+    }
+
+    return {
+        request: {
+            videoId,
+            ...(playlistId && { playlistId, playlistMode }),
+            source,
+            provider,
+            model,
+            captionLanguage,
+            forceRegenerate: Boolean(forceRegenerate),
+        },
+    };
+}
+
+// Validate a quiz generation request body. Returns { request } or { error, code? }.
+// Quizzes belong to the signed-in `user` who asked for them. With `draft: true` an instructor
+// gets a draft to review instead of a quiz for learners.
+function parseQuizRequest(body, user) {
+    const { request, error } = parseTranscriptRequest(body, { allowPlaylist: true });
+    if (error) {
+        return { error };
+    }
+
+    const { options: quizOptions, error: optionsError } = parseQuizOptions(body);
+    if (optionsError) {
+        return { error: optionsError };
+    }
+
+    if (body.draft !== undefined && typeof body.draft !== "boolean") {
+        return { error: "draft must be true or false" };
+    }
+    if (body.draft && user?.role !== "instructor") {
+        return { error: "Only instructors can save quizzes as drafts", code: "NOT_INSTRUCTOR" };
+    }
+
+    return {
+        request: {
+            ...request,
+            quizOptions,
+            ...(user && { ownerId: user.id }),
+            ...(body.draft && { draftOwner: user.id }),
         },
-        required: ["question", "options", "correctAnswer", "confidence"],
+    };
+}
+
+// getYouTubeTranscript behind the cache; failures such as missing captions throw and are never cached
+async function fetchTranscript(videoId, { language, minWords, signal, refresh = false }) {
+    const key = `transcript:${videoId}:${language || "default"}:${minWords ?? "default"}`;
+    return getOrCompute(key, TTL.transcript, () => getYouTubeTranscript(videoId, { language, minWords, signal }), { refresh });
+}
+
+// The transcript for a parsed request, from YouTube or from the text that was sent.
+// Resolves to { transcript, segments, track }.
+async function loadTranscript({ videoId, source, captionLanguage, forceRegenerate = false }, { signal, report = () => {} } = {}) {
+    if (source) {
+        console.log(`Processing request for ${source.name || "pasted text"} (${source.content.length} characters)`);
+        report("reading-source", { progress: 5, message: "Reading transcript" });
+        return transcriptFromSource(source);
+    }
+
+    console.log(`Processing request for video ID: ${videoId}`);
+    report("fetching-captions", { progress: 5, message: "Fetching captions" });
+    const { value } = await fetchTranscript(videoId, {
+        language: captionLanguage,
+        signal,
+        refresh: forceRegenerate,
+    });
+    return value;
+}
+
+// Cache key parts that identify a transcript and model: sent text is keyed by its content,
+// a video by ID and caption track. The model is the one the provider will actually use.
+function generationKeyParts({ videoId, source, provider, model }, { transcript, track }) {
+    const llm = getProvider(provider, model);
+    return {
+        videoId,
+        ...(source && { transcript }),
+        track: { languageCode: track.languageCode, kind: track.kind, translatedTo: track.translatedTo },
+        provider: llm.name,
+        model: llm.model,
+    };
+}
+
+// generateQuestions for one transcript, behind the quiz cache. Resolves to { value, cached }.
+function generateQuiz(request, transcriptResult, { quizOptions, signal, onLlmCall, onProgress }) {
+    const { provider, model, forceRegenerate = false } = request;
+    const quizKey = cacheKey("quiz", { ...generationKeyParts(request, transcriptResult), quizOptions });
+    return getOrCompute(quizKey, TTL.quiz, () => generateQuestions(transcriptResult.transcript, {
+        segments: transcriptResult.segments,
+        provider,
+        model,
+        quizOptions,
+        signal,
+        onLlmCall,
+        onProgress,
+    }), { refresh: forceRegenerate });
+}
+
+// Generated quizzes go straight to learners, or into the instructor's drafts when the request
+// has a `draftOwner`. Resolves to { quizId } or { draftId }.
+async function storeGeneratedQuiz(request, fields) {
+    if (request.draftOwner) {
+        const { videoId, source, captionLanguage, provider, model } = request;
+        const draft = await createDraft(request.draftOwner, {
+            ...fields,
+            input: { videoId, source, captionLanguage, provider, model },
+        });
+        return { draftId: draft.id };
+    }
+    const quiz = await saveQuiz({ ...fields, ownerId: request.ownerId });
+    return { quizId: quiz.id };
+}
+
+// Fetch captions and generate a quiz. Resolves to { status, body } so it can back both the
+// synchronous route and background jobs. `report(stage, { progress, message })` receives progress.
+// Quizzes are cached per video (or text), caption track and generation options; `forceRegenerate` skips both caches.
+async function runQuizRequest(request, { signal, report = () => {}, onLlmCall } = {}) {
+    if (request.playlistId) {
+        return runPlaylistRequest(request, { signal, report, onLlmCall });
     }
-};
 
-async function generateQuestions(transcript) {
+    const { videoId, quizOptions } = request;
     try {
-        // Clean transcript further to improve processing
-        const cleanedTranscript = transcript
-            .replace(/(\w+)\s\1\s\1/g, '$1 $1') // Remove triple repeated words
-            .replace(/(\w+)\s\1/g, '$1')        // Remove double repeated words
-            .replace(/\s{2,}/g, ' ')           // Remove multiple spaces
-            .trim();
-
-        const model = genAI.getGenerativeModel({
-            model: "gemini-1.5-pro",
-            generationConfig: {
-                responseMimeType: "application/json",
-                responseSchema: schema,
-                temperature: 0.2,  // Slightly increased for more variety
-                maxOutputTokens: 8000,
+        const transcriptResult = await loadTranscript(request, { signal, report });
+        const { transcript, segments, track } = transcriptResult;
+        console.log(`Transcript fetched successfully (${transcript.length} characters, ${segments.length} segments). Generating questions...`);
+
+        const { value: generated, cached } = await generateQuiz(request, transcriptResult, {
+            quizOptions,
+            signal,
+            onLlmCall,
+            onProgress: (stage, { completed, total }) => {
+                if (stage === "validating") {
+                    report("validating", { progress: 95, message: "Checking questions" });
+                } else if (stage === "verifying") {
+                    report("verifying", { progress: 92, message: "Double-checking answers" });
+                } else if (stage === "topping-up") {
+                    report("generating", { progress: 90, message: "Generating replacement questions" });
+                } else {
+                    report("generating", {
+                        progress: 15 + Math.round((75 * completed) / total),
+                        message: total > 1 ? `Generating questions (section ${completed}/${total})` : "Generating questions",
+                    });
+                }
             },
         });
 
-        const prompt = `
-        Generate multiple-choice educational quiz questions based on this YouTube video transcript:
+        const { questions: result, sections, quality } = generated;
+        console.log(cached
+            ? `Using ${result.length} cached questions`
+            : `Generated ${result.length} questions from ${sections.length} section(s) successfully`);
+
+        // Answers stay on the server; learners submit to the grading endpoint
+        const stored = await storeGeneratedQuiz(request, { videoId: videoId || null, questions: result, sections, track, quizOptions });
+        return { status: 200, body: { ...stored, result: result.map(toPublicQuestion), sections, track, quality, cached } };
+    } catch (error) {
+        console.error("Error in route handler:", error);
+        return errorResponse(error, "Failed to generate questions. Please try another video.");
+    }
+}
 
-        GUIDANCE FOR GENERATING GOOD QUESTIONS:
-        1. Create questions about key concepts, facts, definitions, or ideas from the transcript.
-        2. Make questions clear and specific - each should stand on its own without needing additional context.
-        3. For each question, provide exactly 4 options with only one correct answer.
-        4. Focus on the main educational content in the transcript.
-        5. Assign higher confidence scores (0.7+) to questions about clearly stated information.
-        6. If the content is technical or specialized, include necessary context within the question.
-        7. Avoid creating questions about ambiguous or unclear parts of the transcript.
+// Transcripts are fetched for a few playlist videos at a time
+const PLAYLIST_CONCURRENCY = 3;
 
-        Transcript: ${cleanedTranscript}
-        
-        Remember to create educational questions that test understanding of the content.`;
+// Quizzes for the videos in a playlist: one per video ("per-video"), or one quiz with the
+// questions shared evenly between the videos ("combined"). Videos that have no usable captions,
+// or too little in them for a quiz, are listed in `skipped` instead of failing the request.
+// Resolves to { status, body } like runQuizRequest.
+async function runPlaylistRequest(request, { signal, report = () => {}, onLlmCall } = {}) {
+    const { playlistId, playlistMode, captionLanguage, quizOptions, forceRegenerate = false } = request;
+    try {
+        report("fetching-playlist", { progress: 2, message: "Fetching playlist" });
+        const { value: playlist } = await getOrCompute(`playlist:${playlistId}`, TTL.playlist,
+            () => fetchPlaylist(playlistId, { signal }), { refresh: forceRegenerate });
+        console.log(`Playlist ${playlistId} has ${playlist.videoCount} video(s); using ${playlist.videos.length}`);
 
-        const result = await model.generateContent(prompt);
+        const unplayable = playlist.videos.filter(video => !video.playable);
+        const playable = playlist.videos.filter(video => video.playable);
+        let fetched = 0;
+        const transcripts = await mapWithConcurrency(playable, PLAYLIST_CONCURRENCY, async (video) => {
+            signal?.throwIfAborted();
+            try {
+                const { value } = await fetchTranscript(video.videoId, { language: captionLanguage, signal, refresh: forceRegenerate });
+                return { video, transcriptResult: value };
+            } catch (error) {
+                if (signal?.aborted || !(error instanceof AppError)) throw error;
+                return { video, error };
+            } finally {
+                fetched++;
+                report("fetching-captions", {
+                    progress: 2 + Math.round((13 * fetched) / playable.length),
+                    message: `Fetching captions (video ${fetched}/${playable.length})`,
+                });
+            }
+        });
 
-        if (!result.response || !result.response.text) {
-            throw new Error("Invalid response from AI model.");
+        const skip = (video, { code, message }) => ({ videoId: video.videoId, title: video.title, code, error: message });
+        const skipped = unplayable.map(video => skip(video, { code: "VIDEO_UNAVAILABLE", message: "This video is private or unavailable" }));
+        const usable = [];
+        transcripts.forEach(({ video, transcriptResult, error }) => {
+            if (error) skipped.push(skip(video, error));
+            else usable.push({ video, transcriptResult });
+        });
+
+        const shares = playlistMode === "combined"
+            ? shareQuestions(quizOptions.questionCount, usable.length)
+            : usable.map(() => quizOptions.questionCount);
+        const parts = [];
+        for (const [i, { video, transcriptResult }] of usable.entries()) {
+            const options = { ...quizOptions, questionCount: shares[i] };
+            try {
+                const { value, cached } = await generateQuiz({ ...request, videoId: video.videoId }, transcriptResult, {
+                    quizOptions: options,
+                    signal,
+                    onLlmCall,
+                    onProgress: (stage, { completed, total }) => {
+                        if (stage !== "generating") return;
+                        report("generating", {
+                            progress: 15 + Math.round((75 * (i + completed / total)) / usable.length),
+                            message: `Generating questions (video ${i + 1}/${usable.length})`,
+                        });
+                    },
+                });
+                parts.push({ video, transcriptResult, options, generated: value, cached });
+            } catch (error) {
+                if (signal?.aborted || !(error instanceof AppError) || error.code !== "TOO_FEW_QUESTIONS") throw error;
+                skipped.push(skip(video, error));
+            }
+        }
+
+        // Report skipped videos in playlist order
+        const position = new Map(playlist.videos.map((video, i) => [video.videoId, i]));
+        skipped.sort((a, b) => position.get(a.videoId) - position.get(b.videoId));
+
+        if (parts.length === 0) {
+            const unreachable = transcripts.find(({ error }) => error?.code === "YOUTUBE_UNREACHABLE");
+            throw unreachable?.error || new AppError("CAPTIONS_MISSING", "None of the videos in this playlist have captions we can make a quiz from");
         }
+        console.log(`Generated quizzes for ${parts.length} video(s); skipped ${skipped.length}`);
 
-        // Parse and validate questions
-        let questions;
-        try {
-            questions = JSON.parse(result.response.text());
-        } catch (e) {
-            console.error("Failed to parse JSON response:", e);
-            throw new Error("AI returned invalid JSON. Please try another video.");
+        const playlistInfo = { id: playlist.id, title: playlist.title, videoCount: playlist.videoCount };
+        const videoList = parts.map(({ video, generated }) => ({
+            videoId: video.videoId,
+            title: video.title,
+            questionCount: generated.questions.length,
+        }));
+
+        if (playlistMode === "per-video") {
+            const perVideo = [];
+            for (const { video, transcriptResult, options, generated: quizResult, cached } of parts) {
+                const stored = await storeGeneratedQuiz({ ...request, videoId: video.videoId }, {
+                    videoId: video.videoId,
+                    questions: quizResult.questions,
+                    sections: quizResult.sections,
+                    track: transcriptResult.track,
+                    quizOptions: options,
+                });
+                perVideo.push({
+                    ...stored,
+                    videoId: video.videoId,
+                    title: video.title,
+                    questionCount: quizResult.questions.length,
+                    track: transcriptResult.track,
+                    quality: quizResult.quality,
+                    cached,
+                });
+            }
+            return { status: 200, body: { playlist: playlistInfo, playlistMode, quizzes: perVideo, skipped } };
         }
 
-        // Filter to questions with reasonable confidence levels - more lenient now
-        const acceptableQuestions = questions.filter(q => q.confidence >= 0.6);
+        const { questions, sections, quality } = combineQuizzes(parts.map(({ video, generated }) => ({ videoId: video.videoId, generated })));
+        const track = { languageCode: captionLanguage || null, name: playlist.title || "YouTube playlist", kind: "playlist" };
+        const stored = await storeGeneratedQuiz(request, {
+            videoId: null,
+            playlistId,
+            videos: videoList,
+            questions,
+            sections,
+            track,
+            quizOptions,
+        });
+        return {
+            status: 200,
+            body: {
+                ...stored,
+                result: questions.map(toPublicQuestion),
+                sections,
+                track,
+                quality,
+                cached: parts.every(part => part.cached),
+                playlist: playlistInfo,
+                playlistMode,
+                videos: videoList,
+                skipped,
+            },
+        };
+    } catch (error) {
+        console.error("Error generating playlist quiz:", error);
+        return errorResponse(error, "Failed to generate questions for this playlist. Please try again.");
+    }
+}
+
+// Summary, key concepts, glossary and flashcards for the same kinds of input as quizzes.
+// Cached like quizzes; resolves to { status, body }.
+async function runStudyPackRequest(request, { signal, onLlmCall } = {}) {
+    const { provider, model, options, forceRegenerate = false } = request;
+    try {
+        const transcriptResult = await loadTranscript(request, { signal });
+        const { transcript, segments, track } = transcriptResult;
+
+        const packKey = cacheKey("study-pack", { ...generationKeyParts(request, transcriptResult), options });
+        const { value: studyPack, cached } = await getOrCompute(packKey, TTL.quiz, () => generateStudyPack(transcript, {
+            segments,
+            provider,
+            model,
+            options,
+            signal,
+            onLlmCall,
+        }), { refresh: forceRegenerate });
+
+        return { status: 200, body: { studyPack, track, cached } };
+    } catch (error) {
+        console.error("Error generating study pack:", error);
+        return errorResponse(error, "Failed to generate a study pack. Please try again.");
+    }
+}
+
+app.post('/api/study-pack', checkLlmQuota, async (req, res) => {
+    const { request, error } = parseTranscriptRequest(req.body);
+    const { options, error: optionsError } = parseStudyPackOptions(req.body);
+    if (error || optionsError) {
+        return sendError(res, new AppError("INVALID_REQUEST", error || optionsError));
+    }
 
-        // Apply basic validation
-        const validQuestions = acceptableQuestions.filter(q => {
-            // Question must have reasonable length
-            if (q.question.length < 20) return false;
+    const { status, body } = await runStudyPackRequest({ ...request, options }, { onLlmCall: () => chargeLlmCall(req.client) });
+    if (body.retryAfter) res.set("Retry-After", String(body.retryAfter));
+    res.status(status).json(body);
+});
 
-            // Options should be all present and distinct
-            const uniqueOptions = new Set(q.options);
-            if (uniqueOptions.size !== 4) return false;
+// Serverless function handler for Vercel
+app.post('/api/get-transcript', checkLlmQuota, async (req, res) => {
+    const { request, error, code = "INVALID_REQUEST" } = parseQuizRequest(req.body, req.user);
+    if (error) {
+        return sendError(res, new AppError(code, error));
+    }
 
-            // Correct answer must be in options
-            if (!q.options.includes(q.correctAnswer)) return false;
+    const { status, body } = await runQuizRequest(request, { onLlmCall: () => chargeLlmCall(req.client) });
+    if (body.retryAfter) res.set("Retry-After", String(body.retryAfter));
+    res.status(status).json(body);
+});
+
+// Jobs belong to the API client (key or address) that started them, and to the user if signed in
+function jobOwner(req) {
+    return { client: req.client.name, userId: req.user?.id ?? null };
+}
+
+// Start quiz generation in the background; poll the job or follow its event stream
+app.post('/api/jobs', checkLlmQuota, (req, res) => {
+    if (!jobsEnabled) {
+        return sendError(res, new AppError("JOBS_UNAVAILABLE",
+            "Background jobs aren't available on this server. Use POST /api/get-transcript instead."));
+    }
+    const { request, error, code = "INVALID_REQUEST" } = parseQuizRequest(req.body, req.user);
+    if (error) {
+        return sendError(res, new AppError(code, error));
+    }
+
+    const { client } = req;
+    const job = createJob(({ signal, report }) => runQuizRequest(request, {
+        signal,
+        report,
+        onLlmCall: () => chargeLlmCall(client),
+    }), jobOwner(req));
+    res.status(202).json({
+        ...job,
+        statusUrl: `/api/jobs/${job.id}`,
+        eventsUrl: `/api/jobs/${job.id}/events`,
+    });
+});
+
+app.get('/api/jobs/:jobId', (req, res) => {
+    const job = getJob(req.params.jobId, jobOwner(req));
+    if (!job) {
+        return res.status(404).json({ error: "Job not found" });
+    }
+    res.json(job);
+});
+
+app.delete('/api/jobs/:jobId', (req, res) => {
+    const job = cancelJob(req.params.jobId, jobOwner(req));
+    if (!job) {
+        return res.status(404).json({ error: "Job not found" });
+    }
+    res.json(job);
+});
+
+// Server-Sent Events: one "progress" event per change, then a final "done", "failed" or "cancelled"
+app.get('/api/jobs/:jobId/events', (req, res) => {
+    // EventSource can't send the Authorization header, so only the client is checked here
+    const owner = { client: req.client.name };
+    const job = getJob(req.params.jobId, owner);
+    if (!job) {
+        return res.status(404).json({ error: "Job not found" });
+    }
 
-            return true;
+    res.set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        "Connection": "keep-alive",
+        "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+
+    const send = (snapshot) => {
+        const event = FINAL_STATUSES.includes(snapshot.status) ? snapshot.status : "progress";
+        res.write(`event: ${event}\ndata: ${JSON.stringify(snapshot)}\n\n`);
+        return event !== "progress";
+    };
+
+    if (send(job)) {
+        return res.end();
+    }
+
+    const heartbeat = setInterval(() => res.write(": keep-alive\n\n"), 15000);
+    const unsubscribe = subscribeToJob(job.id, (snapshot) => {
+        if (send(snapshot)) close();
+    }, owner);
+
+    function close() {
+        clearInterval(heartbeat);
+        unsubscribe();
+        res.end();
+    }
+
+    req.on("close", () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+});
+
+const quizzes = createStore("quizzes");
+
+// Combined playlist quizzes keep the playlist and its videos; each question has its own videoId.
+// Quizzes published from a draft record which draft and version they are. `ownerId` is the
+// account that made the quiz, if it was made signed in.
+async function saveQuiz({ ownerId, videoId, playlistId, videos, questions, sections, track, quizOptions, draftId, version }) {
+    const quiz = {
+        id: randomUUID(),
+        ...(ownerId && { ownerId }),
+        videoId,
+        ...(playlistId && { playlistId, videos }),
+        ...(draftId && { draftId, version }),
+        createdAt: new Date().toISOString(),
+        quizOptions,
+        questions,
+        sections,
+        track,
+    };
+    await quizzes.set(quiz.id, quiz);
+    return quiz;
+}
+
+// Live rooms reveal the answers, so only the quiz's owner or an instructor may host one
+function canHostQuiz(user, quiz) {
+    return Boolean(user) && (user.role === "instructor" || quiz.ownerId === user.id);
+}
+
+// A stored quiz, without its answers
+app.get('/api/quizzes/:quizId', async (req, res) => {
+    try {
+        const quiz = await quizzes.get(req.params.quizId);
+        if (!quiz) {
+            return res.status(404).json({ error: "Quiz not found" });
+        }
+
+        res.json({
+            quizId: quiz.id,
+            videoId: quiz.videoId,
+            ...(quiz.playlistId && { playlistId: quiz.playlistId, videos: quiz.videos }),
+            ...(quiz.draftId && { version: quiz.version }),
+            createdAt: quiz.createdAt,
+            result: quiz.questions.map(toPublicQuestion),
+            sections: quiz.sections,
+            track: quiz.track,
+            canHost: canHostQuiz(req.user, quiz),
         });
+    } catch (error) {
+        console.error("Error loading quiz:", error);
+        res.status(500).json({ error: "Failed to load quiz. Please try again." });
+    }
+});
 
-        // Remove fields not needed in frontend
-        const finalQuestions = validQuestions.map(({ question, options, correctAnswer }) => ({
-            question, options, correctAnswer
-        }));
+// Choice questions take the option text, multi-select an array of options, typed questions a string
+function isValidAnswerList(answers) {
+    const validAnswer = (answer) => answer === null || typeof answer === "string" ||
+        (Array.isArray(answer) && answer.every(option => typeof option === "string"));
+    return Array.isArray(answers) && answers.every(validAnswer);
+}
+
+// Grade a set of answers: { answers: [...], timeSpent? } in question order, one entry per question.
+// Timed exams send `timeSpent`, the seconds spent on each question, for the breakdown.
+// The correct answers only come back to signed-in learners, whose attempt is recorded, and
+// instructors; anonymous learners just see what they got right.
+app.post('/api/quizzes/:quizId/submissions', async (req, res) => {
+    const { answers, timeSpent } = req.body;
+    if (!isValidAnswerList(answers)) {
+        return res.status(400).json({ error: "answers must be a list of strings, lists of strings or null" });
+    }
+    const validSeconds = (seconds) => typeof seconds === "number" && Number.isFinite(seconds) && seconds >= 0;
+    if (timeSpent !== undefined && !(Array.isArray(timeSpent) && timeSpent.every(validSeconds))) {
+        return res.status(400).json({ error: "timeSpent must be a list of seconds, one per question" });
+    }
 
-        // More lenient minimum question threshold
-        if (finalQuestions.length < 3) {
-            throw new Error("Not enough reliable information in the transcript to generate a quiz");
+    try {
+        const quiz = await quizzes.get(req.params.quizId);
+        if (!quiz) {
+            return res.status(404).json({ error: "Quiz not found" });
         }
 
-        return finalQuestions;
+        if (answers.length > quiz.questions.length || timeSpent?.length > quiz.questions.length) {
+            return res.status(400).json({ error: `This quiz has ${quiz.questions.length} questions` });
+        }
+
+        await countAttempt(req, quiz.id);
+        const grading = gradeSubmission(quiz.questions, answers, { timeSpent });
+        // Signed-in learners get the attempt added to their history
+        const attempt = req.user ? await saveAttempt(req.user, quiz, answers, grading) : null;
+        if (req.user) await addMissedQuestions(req.user.id, quiz, grading.results);
 
+        res.json({ quizId: quiz.id, ...(attempt && { attemptId: attempt.id }), ...(req.user ? grading : hideAnswers(grading)) });
     } catch (error) {
-        console.error("Error generating questions:", error);
-        throw error;
+        console.error("Error grading submission:", error);
+        sendError(res, error, "Failed to grade answers. Please try again.");
     }
+});
+
+// The transcript a practice session follows up on: one video of its quiz (the captions are
+// usually still cached), or the text a quiz from pasted text or an uploaded file was made from
+async function practiceTranscript(session, videoId) {
+    if (session.source) return transcriptFromSource(session.source);
+    const { value } = await fetchTranscript(videoId, { language: session.captionLanguage });
+    return value;
 }
 
-// Serverless function handler for Vercel
-app.post('/api/get-transcript', async (req, res) => {
-    const { videoId } = req.body;
-    if (!videoId) {
-        console.log("Error: No video ID provided");
-        return res.status(400).json({ error: "Video ID is required" });
+// Write the next round of a practice session. Concepts from different videos of a playlist quiz
+// are followed up from their own video; nothing asked so far in the quiz or the session comes back.
+async function nextPracticeRound(session, { onLlmCall }) {
+    const targets = practiceTargets(session.concepts);
+    const pending = session.concepts.filter(concept => !concept.mastered);
+    const byVideo = new Map();
+    pending.forEach((concept, i) => byVideo.set(concept.videoId, [...(byVideo.get(concept.videoId) || []), i]));
+
+    const generated = new Array(targets.length).fill(null);
+    await mapWithConcurrency([...byVideo], PLAYLIST_CONCURRENCY, async ([videoId, indexes]) => {
+        const { transcript, segments } = await practiceTranscript(session, videoId);
+        const { questions } = await generatePracticeQuestions(transcript, {
+            segments,
+            provider: session.provider,
+            model: session.model,
+            quizOptions: session.quizOptions,
+            targets: indexes.map(i => targets[i]),
+            avoid: session.asked,
+            onLlmCall,
+        });
+        indexes.forEach((i, position) => { generated[i] = questions[position]; });
+    });
+
+    const { concepts, questions } = startRound(session.concepts, generated);
+    if (questions.length === 0) {
+        throw new AppError("TOO_FEW_QUESTIONS", "Couldn't write practice questions that passed the quality checks. Please try again.");
+    }
+    return {
+        ...session,
+        concepts,
+        questions,
+        round: session.round + 1,
+        asked: [...session.asked, ...questions.map(q => q.question)],
+    };
+}
+
+function describePracticeSession(session) {
+    return {
+        practiceId: session.id,
+        quizId: session.quizId,
+        round: session.round,
+        maxRounds: MAX_PRACTICE_ROUNDS,
+        finished: session.finished,
+        questions: session.finished ? [] : session.questions.map(toPublicQuestion),
+        mastery: masterySummary(session.concepts),
+        rounds: session.rounds,
+    };
+}
+
+// Start practising the questions a learner got wrong: { attemptId, source?, provider?, model? } with
+// one of the signed-in learner's graded attempts at the quiz. Quizzes made from pasted text or a file
+// need that text as `source`. Responds with the first round of fresh questions on the missed concepts.
+app.post('/api/quizzes/:quizId/practice', requireUser, checkLlmQuota, async (req, res) => {
+    const { attemptId, provider, model } = req.body;
+    if (typeof attemptId !== "string") {
+        return res.status(400).json({ error: "attemptId must be the id of your attempt at this quiz" });
+    }
+    const llmError = checkProviderChoice({ provider, model });
+    if (llmError) {
+        return res.status(400).json({ error: llmError });
     }
 
     try {
-        console.log(`Processing request for video ID: ${videoId}`);
-        const transcriptResult = await getYouTubeTranscript(videoId);
+        const quiz = await quizzes.get(req.params.quizId);
+        if (!quiz) {
+            return res.status(404).json({ error: "Quiz not found" });
+        }
+        // Concepts come from the recorded attempt, so practice can't be used to grade new guesses
+        const attempt = await attempts.get(attemptId);
+        if (!attempt || attempt.userId !== req.user.id || attempt.quizId !== quiz.id) {
+            return res.status(404).json({ error: "Attempt not found" });
+        }
 
-        // Check if transcript result contains an error
-        if (typeof transcriptResult === 'object' && transcriptResult.error) {
-            console.log("Transcript error:", transcriptResult.error);
-            return res.status(400).json({ error: transcriptResult.error });
+        let source;
+        if (!quiz.videoId && !quiz.playlistId) {
+            const parsed = parseSource(req.body.source);
+            if (parsed.error) {
+                return res.status(400).json({ error: `Send the text this quiz was made from as source. ${parsed.error}` });
+            }
+            source = parsed.source;
         }
 
-        // At this point we know we have a valid transcript string
-        const transcript = transcriptResult;
-        console.log(`Transcript fetched successfully (${transcript.length} characters). Generating questions...`);
+        const concepts = conceptsFromResults(quiz, attempt.results, question => localSectionIndex(quiz.sections, question));
+        if (concepts.length === 0) {
+            return res.status(400).json({ error: "Every answer was correct, so there's nothing to practise" });
+        }
 
-        const result = await generateQuestions(transcript);
-        console.log(`Generated ${result.length} questions successfully`);
+        const first = await nextPracticeRound({
+            ownerId: req.user.id,
+            quizId: quiz.id,
+            quizOptions: quiz.quizOptions,
+            captionLanguage: quiz.track?.translatedTo || quiz.track?.languageCode || undefined,
+            source,
+            provider,
+            model,
+            concepts,
+            asked: quiz.questions.map(q => q.question),
+            round: 0,
+            rounds: [],
+            finished: false,
+        }, { onLlmCall: () => chargeLlmCall(req.client) });
+        const session = await createPracticeSession(first);
+        res.status(201).json(describePracticeSession(session));
+    } catch (error) {
+        console.error("Error starting practice:", error);
+        sendError(res, error, "Failed to start practice. Please try again.");
+    }
+});
 
-        res.json({ result });
+app.get('/api/practice/:practiceId', requireUser, async (req, res) => {
+    try {
+        const session = await getPracticeSession(req.params.practiceId, req.user.id);
+        if (!session) {
+            return res.status(404).json({ error: "Practice session not found" });
+        }
+        res.json(describePracticeSession(session));
     } catch (error) {
-        console.error("Error in route handler:", error);
+        console.error("Error loading practice session:", error);
+        res.status(500).json({ error: "Failed to load the practice session. Please try again." });
+    }
+});
+
+// Grade the current round: { answers: [...] } in question order. Responds with the results and
+// mastery so far, and the next round's questions in `next` until the session is `finished`.
+app.post('/api/practice/:practiceId/answers', requireUser, checkLlmQuota, async (req, res) => {
+    const { answers } = req.body;
+    if (!isValidAnswerList(answers)) {
+        return res.status(400).json({ error: "answers must be a list of strings, lists of strings or null" });
+    }
+
+    try {
+        const session = await getPracticeSession(req.params.practiceId, req.user.id);
+        if (!session) {
+            return res.status(404).json({ error: "Practice session not found" });
+        }
+        if (session.finished) {
+            return sendError(res, new AppError("PRACTICE_FINISHED", "This practice session is already finished"));
+        }
+        if (answers.length > session.questions.length) {
+            return res.status(400).json({ error: `This round has ${session.questions.length} questions` });
+        }
 
-        if (error.message && error.message.includes("Not enough reliable information")) {
-            return res.status(400).json({ error: error.message });
+        const grading = gradeSubmission(session.questions, answers);
+        const concepts = recordRound(session.concepts, session.questions, grading.results);
+        const finished = concepts.every(concept => concept.mastered) || session.round >= MAX_PRACTICE_ROUNDS;
+        let updated = {
+            ...session,
+            concepts,
+            rounds: [...session.rounds, { round: session.round, score: grading.score, total: grading.total }],
+            finished,
+        };
+        // A failed round isn't saved, so the same answers can be sent again
+        if (!finished) {
+            updated = await nextPracticeRound(updated, { onLlmCall: () => chargeLlmCall(req.client) });
         }
+        updated = await savePracticeSession(updated);
 
-        res.status(500).json({ error: "Failed to generate questions. Please try another video." });
+        res.json({
+            practiceId: session.id,
+            round: session.round,
+            ...grading,
+            results: grading.results.map((result, i) => ({ ...result, concept: session.questions[i].concept })),
+            mastery: masterySummary(concepts),
+            finished,
+            ...(!finished && { next: { round: updated.round, questions: updated.questions.map(toPublicQuestion) } }),
+        });
+    } catch (error) {
+        console.error("Error grading practice round:", error);
+        sendError(res, error, "Failed to grade the practice round. Please try again.");
     }
 });
 
-async function getYouTubeTranscript(videoId) {
+// Open a live room for a stored quiz: { quizId, questionSeconds? }. Players join with the code
+// over the WebSocket at socketPath; the host connects there too, with the host token.
+app.post('/api/rooms', requireUser, async (req, res) => {
+    const { quizId, questionSeconds = QUESTION_SECONDS.default } = req.body;
+    if (!Number.isInteger(questionSeconds) || questionSeconds < QUESTION_SECONDS.min || questionSeconds > QUESTION_SECONDS.max) {
+        return sendError(res, new AppError("INVALID_REQUEST",
+            `questionSeconds must be a whole number between ${QUESTION_SECONDS.min} and ${QUESTION_SECONDS.max}`));
+    }
+
     try {
-        console.log("Fetching transcript for video ID:", videoId);
-        const response = await axios.get(`https://www.youtube.com/watch?v=${videoId}`);
-        const html = response.data;
+        const quiz = typeof quizId === "string" && await quizzes.get(quizId);
+        if (!quiz) {
+            return res.status(404).json({ error: "Quiz not found" });
+        }
+        if (!canHostQuiz(req.user, quiz)) {
+            return sendError(res, new AppError("NOT_QUIZ_OWNER", "Only the quiz's author or an instructor can host it live"));
+        }
 
-        // Try multiple methods to extract captions
-        let captionsMatch = html.split('"captions":')[1]?.split(',"videoDetails')[0];
+        const room = createRoom(quiz, { questionSeconds });
+        res.status(201).json({ ...describeRoom(room), hostToken: room.hostToken, socketPath: SOCKET_PATH });
+    } catch (error) {
+        console.error("Error opening room:", error);
+        res.status(500).json({ error: "Failed to open a live room. Please try again." });
+    }
+});
 
-        if (!captionsMatch) {
-            // Try alternate pattern
-            captionsMatch = html.split('"captionTracks":')[1]?.split(',"audioTracks')[0];
+// Check a join code before connecting
+app.get('/api/rooms/:code', (req, res) => {
+    const room = getRoom(req.params.code);
+    if (!room) {
+        return sendError(res, new AppError("ROOM_NOT_FOUND", "No live quiz with that code"));
+    }
+    res.json(describeRoom(room));
+});
 
-            if (!captionsMatch) {
-                console.error("Transcripts not available for this video");
-                return { error: "Transcripts not available" };
-            }
+// Instructor drafts: generate with { draft: true }, edit here, then publish for learners
+function requireInstructor(req, res, next) {
+    if (req.user.role !== "instructor") {
+        return sendError(res, new AppError("NOT_INSTRUCTOR", "Only instructors can edit quizzes"));
+    }
+    next();
+}
+
+// Load the caller's draft (and the question in the route, if any) or answer 404
+async function loadDraft(req, res) {
+    const draft = await getDraft(req.user.id, req.params.draftId);
+    if (!draft) {
+        res.status(404).json({ error: "Draft not found" });
+        return null;
+    }
+    if (req.params.index !== undefined && questionIndex(draft, req.params.index) === null) {
+        res.status(404).json({ error: "Question not found" });
+        return null;
+    }
+    return draft;
+}
+
+// Save the outcome of an edit from drafts.js, or report why it was refused
+async function applyDraftEdit(res, { draft, error }) {
+    if (error) {
+        return sendError(res, new AppError("INVALID_REQUEST", error));
+    }
+    res.json({ draft: describeDraft(await saveDraft(draft)) });
+}
+
+app.get('/api/drafts', requireUser, requireInstructor, async (req, res) => {
+    try {
+        res.json({ drafts: await listDrafts(req.user.id) });
+    } catch (error) {
+        console.error("Error listing drafts:", error);
+        res.status(500).json({ error: "Failed to load drafts. Please try again." });
+    }
+});
+
+app.get('/api/drafts/:draftId', requireUser, requireInstructor, async (req, res) => {
+    try {
+        const draft = await loadDraft(req, res);
+        if (draft) res.json({ draft: describeDraft(draft) });
+    } catch (error) {
+        console.error("Error loading draft:", error);
+        res.status(500).json({ error: "Failed to load draft. Please try again." });
+    }
+});
+
+app.delete('/api/drafts/:draftId', requireUser, requireInstructor, async (req, res) => {
+    try {
+        if (!(await deleteDraft(req.user.id, req.params.draftId))) {
+            return res.status(404).json({ error: "Draft not found" });
         }
+        res.status(204).end();
+    } catch (error) {
+        console.error("Error deleting draft:", error);
+        res.status(500).json({ error: "Failed to delete draft. Please try again." });
+    }
+});
 
-        // Parse caption data using a more robust method
-        let captionTracks = [];
-        try {
-            const captionsData = JSON.parse(captionsMatch);
-            captionTracks = captionsData.playerCaptionsTracklistRenderer?.captionTracks ||
-                JSON.parse(`[${captionsMatch}]`);  // Fallback parsing method
-        } catch (e) {
-            // Try regex extraction as a last resort
-            const baseUrlRegex = /"baseUrl":"(https:\/\/www\.youtube\.com\/api\/timedtext[^"]+)"/g;
-            const matches = [...html.matchAll(baseUrlRegex)];
-
-            if (matches && matches.length > 0) {
-                captionTracks = matches.map(match => ({ baseUrl: match[1].replace(/\\u0026/g, '&') }));
-            } else {
-                console.error("Failed to parse captions data");
-                return { error: "Transcripts not available" };
-            }
+// Edit one question: any of type, question, options, correctAnswer, correctAnswers,
+// acceptableAnswers and explanation
+app.patch('/api/drafts/:draftId/questions/:index', requireUser, requireInstructor, async (req, res) => {
+    try {
+        const draft = await loadDraft(req, res);
+        if (draft) await applyDraftEdit(res, editQuestion(draft, Number(req.params.index), req.body));
+    } catch (error) {
+        console.error("Error editing question:", error);
+        res.status(500).json({ error: "Failed to save the question. Please try again." });
+    }
+});
+
+app.delete('/api/drafts/:draftId/questions/:index', requireUser, requireInstructor, async (req, res) => {
+    try {
+        const draft = await loadDraft(req, res);
+        if (draft) await applyDraftEdit(res, removeQuestion(draft, Number(req.params.index)));
+    } catch (error) {
+        console.error("Error deleting question:", error);
+        res.status(500).json({ error: "Failed to delete the question. Please try again." });
+    }
+});
+
+// { order: [...] } lists the current question indexes in their new order
+app.put('/api/drafts/:draftId/order', requireUser, requireInstructor, async (req, res) => {
+    try {
+        const draft = await loadDraft(req, res);
+        if (draft) await applyDraftEdit(res, reorderQuestions(draft, req.body.order));
+    } catch (error) {
+        console.error("Error reordering questions:", error);
+        res.status(500).json({ error: "Failed to reorder the questions. Please try again." });
+    }
+});
+
+// Replace one question with a freshly generated one of the same type, from the same part of
+// the video and unlike the rest of the quiz
+app.post('/api/drafts/:draftId/questions/:index/regenerate', requireUser, requireInstructor, checkLlmQuota, async (req, res) => {
+    try {
+        const draft = await loadDraft(req, res);
+        if (!draft) return;
+
+        const index = Number(req.params.index);
+        const current = draft.questions[index];
+        const localSection = localSectionIndex(draft.sections, current);
+
+        const input = { ...draft.input, videoId: current.videoId || draft.input.videoId };
+        const { transcript, segments } = await loadTranscript(input);
+        const { question, quality } = await regenerateQuestion(transcript, {
+            segments,
+            provider: input.provider,
+            model: input.model,
+            quizOptions: draft.quizOptions,
+            sectionIndex: localSection,
+            type: current.type,
+            existing: draft.questions.filter((q, i) => i !== index),
+            onLlmCall: () => chargeLlmCall(req.client),
+        });
+
+        const replacement = {
+            ...question,
+            // Back to the combined numbering of a playlist quiz
+            ...(current.videoId && { videoId: current.videoId, sections: current.sections }),
+        };
+        const updated = await saveDraft(replaceQuestion(draft, index, replacement).draft);
+        res.json({ draft: describeDraft(updated), question: replacement, quality });
+    } catch (error) {
+        console.error("Error regenerating question:", error);
+        sendError(res, error, "Failed to regenerate the question. Please try again.");
+    }
+});
+
+// Publish the draft as it is now. Every publish makes a new quiz, so earlier share links keep
+// opening the version they were made for.
+app.post('/api/drafts/:draftId/publish', requireUser, requireInstructor, async (req, res) => {
+    try {
+        const draft = await loadDraft(req, res);
+        if (!draft) return;
+
+        const version = draft.versions.length + 1;
+        // Learners and exports don't need to know which questions the instructor edited
+        const questions = draft.questions.map(({ edited, ...question }) => question);
+        const quiz = await saveQuiz({ ...draft, questions, draftId: draft.id, version });
+        const updated = await saveDraft({
+            ...draft,
+            versions: [...draft.versions, { version, quizId: quiz.id, publishedAt: quiz.createdAt }],
+        });
+        res.status(201).json({ quizId: quiz.id, version, draft: summarizeDraft(updated) });
+    } catch (error) {
+        console.error("Error publishing draft:", error);
+        res.status(500).json({ error: "Failed to publish the quiz. Please try again." });
+    }
+});
+
+// Today's requests and AI calls for the calling API key (every key for ADMIN_KEYS)
+app.get('/api/usage', async (req, res) => {
+    try {
+        res.json(await getUsage(req.client));
+    } catch (error) {
+        console.error("Error loading usage:", error);
+        res.status(500).json({ error: "Failed to load usage. Please try again." });
+    }
+});
+
+// Accounts: each of these resolves to { token, user }; send the token as "Authorization: Bearer <token>"
+app.post('/api/auth/register', async (req, res) => {
+    try {
+        const { status, error, ...session } = await register(req.body.username, req.body.password);
+        if (error) {
+            return res.status(status).json({ error });
         }
+        res.status(201).json(session);
+    } catch (error) {
+        console.error("Error registering:", error);
+        res.status(500).json({ error: "Failed to create account. Please try again." });
+    }
+});
 
-        if (!captionTracks || captionTracks.length === 0) {
-            console.error("No captions found in this video");
-            return { error: "Transcripts not available" };
+app.post('/api/auth/login', async (req, res) => {
+    try {
+        const { status, error, ...session } = await signIn(req.body.username, req.body.password);
+        if (error) {
+            return res.status(status).json({ error });
         }
+        res.json(session);
+    } catch (error) {
+        console.error("Error signing in:", error);
+        res.status(500).json({ error: "Failed to sign in. Please try again." });
+    }
+});
 
-        // Get English transcript if available, otherwise use the first available one
-        const englishTrack = captionTracks.find(track =>
-            track.languageCode === 'en' ||
-            track.name?.simpleText?.toLowerCase().includes('english') ||
-            track.baseUrl?.includes('lang=en'));
+app.post('/api/auth/logout', requireUser, async (req, res) => {
+    try {
+        await signOut(req.sessionToken);
+        res.status(204).end();
+    } catch (error) {
+        console.error("Error signing out:", error);
+        sendError(res, error, "Failed to sign out. Please try again.");
+    }
+});
+
+app.get('/api/auth/me', requireUser, (req, res) => {
+    res.json({ user: req.user });
+});
+
+const attempts = createStore("attempts");
 
-        const transcriptUrl = englishTrack?.baseUrl || captionTracks[0].baseUrl;
+async function saveAttempt(user, quiz, answers, grading) {
+    const attempt = {
+        id: randomUUID(),
+        userId: user.id,
+        quizId: quiz.id,
+        videoId: quiz.videoId,
+        createdAt: new Date().toISOString(),
+        questions: quiz.questions.map(toPublicQuestion),
+        answers,
+        score: grading.score,
+        total: grading.total,
+        percentage: grading.percentage,
+        results: grading.results,
+    };
+    await attempts.set(attempt.id, attempt);
+    return attempt;
+}
 
-        if (!transcriptUrl) {
-            console.error("No captions found in this video");
-            return { error: "Transcripts not available" };
+function summarizeAttempt({ id, quizId, videoId, createdAt, score, total, percentage }) {
+    return { id, quizId, videoId, createdAt, score, total, percentage };
+}
+
+// Newest first, optionally for one user and/or one video
+async function findAttempts({ userId, videoId }) {
+    return (await attempts.list())
+        .filter(attempt => (!userId || attempt.userId === userId) && (!videoId || attempt.videoId === videoId))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// The signed-in user's attempts (?videoId= narrows to one video)
+app.get('/api/attempts', requireUser, async (req, res) => {
+    try {
+        const list = await findAttempts({ userId: req.user.id, videoId: req.query.videoId });
+        res.json({ attempts: list.map(summarizeAttempt) });
+    } catch (error) {
+        console.error("Error listing attempts:", error);
+        res.status(500).json({ error: "Failed to load attempts. Please try again." });
+    }
+});
+
+// One attempt with its questions, answers and per-question results
+app.get('/api/attempts/:attemptId', requireUser, async (req, res) => {
+    try {
+        const attempt = await attempts.get(req.params.attemptId);
+        if (!attempt || (attempt.userId !== req.user.id && req.user.role !== "instructor")) {
+            return res.status(404).json({ error: "Attempt not found" });
         }
+        res.json({ attempt });
+    } catch (error) {
+        console.error("Error loading attempt:", error);
+        res.status(500).json({ error: "Failed to load attempt. Please try again." });
+    }
+});
 
-        const transcriptResponse = await axios.get(transcriptUrl);
-        const transcriptXml = transcriptResponse.data;
+// Attempts for a video: instructors see every learner, learners only themselves
+app.get('/api/videos/:videoId/attempts', requireUser, async (req, res) => {
+    try {
+        const isInstructor = req.user.role === "instructor";
+        const list = await findAttempts({
+            videoId: req.params.videoId,
+            userId: isInstructor ? null : req.user.id,
+        });
 
-        // More robust transcript extraction with better cleaning
-        const transcriptSegments = [...transcriptXml.matchAll(/<text[^>]*>([\s\S]*?)<\/text>/g)]
-            .map(match => {
-                // Decode HTML entities and clean text
-                let text = match[1]
-                    .replace(/&amp;#39;/g, "'")
-                    .replace(/&amp;quot;/g, '"')
-                    .replace(/&amp;/g, "&")
-                    .replace(/&#39;/g, "'")
-                    .replace(/&quot;/g, '"')
-                    .replace(/&lt;/g, "<")
-                    .replace(/&gt;/g, ">")
-                    .replace(/\n/g, " ")
-                    .trim();
+        const names = new Map();
+        for (const userId of new Set(list.map(attempt => attempt.userId))) {
+            names.set(userId, (await getUser(userId))?.username ?? null);
+        }
+
+        const scores = list.map(attempt => attempt.percentage);
+        res.json({
+            videoId: req.params.videoId,
+            summary: {
+                attempts: list.length,
+                learners: names.size,
+                bestPercentage: scores.length ? Math.max(...scores) : null,
+                averagePercentage: scores.length ? Math.round(scores.reduce((sum, p) => sum + p, 0) / scores.length) : null,
+            },
+            attempts: list.map(attempt => ({ ...summarizeAttempt(attempt), username: names.get(attempt.userId) })),
+        });
+    } catch (error) {
+        console.error("Error listing video attempts:", error);
+        res.status(500).json({ error: "Failed to load attempts. Please try again." });
+    }
+});
 
-                // Replace HTML entities that might remain
-                text = text.replace(/&[^;]+;/g, " ");
+// Download a quiz with its answers (?format=gift|moodle-xml|qti|kahoot|anki-tsv|apkg).
+// Answers stay private, so this is open to instructors and to learners who have completed the quiz.
+app.get('/api/quizzes/:quizId/export', requireUser, async (req, res) => {
+    const format = String(req.query.format || "").toLowerCase();
+    if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+        return res.status(400).json({ error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(", ")}` });
+    }
+
+    try {
+        const quiz = await quizzes.get(req.params.quizId);
+        if (!quiz) {
+            return res.status(404).json({ error: "Quiz not found" });
+        }
 
-                return text;
-            })
-            .filter(text => text.length > 0);  // Remove empty segments
+        if (req.user.role !== "instructor") {
+            const completed = (await findAttempts({ userId: req.user.id, videoId: quiz.videoId }))
+                .some(attempt => attempt.quizId === quiz.id);
+            if (!completed) {
+                return res.status(403).json({ error: "Finish the quiz before downloading it" });
+            }
+        }
 
-        let transcript = transcriptSegments.join(" ");
+        const { type, extension } = EXPORT_FORMATS[format];
+        res.attachment(`quiz-${quiz.videoId || quiz.id}.${extension}`);
+        res.type(type).send(await exportQuiz(quiz, format));
+    } catch (error) {
+        console.error("Error exporting quiz:", error);
+        res.status(500).json({ error: "Failed to export quiz. Please try again." });
+    }
+});
 
-        // Add period after sentences if they're missing to improve text structure
-        transcript = transcript.replace(/([a-z])\s+([A-Z])/g, "$1. $2");
+// Review deck: questions the signed-in user missed, due according to their SM-2 schedule
+app.get('/api/review/due', requireUser, async (req, res) => {
+    const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+        return res.status(400).json({ error: "limit must be a whole number between 1 and 100" });
+    }
 
-        // Verify transcript has sufficient content for generating questions
-        if (transcript.split(' ').length < 50) {  // Reduced minimum word count
-            console.error("Transcript too short to generate meaningful questions");
-            return { error: "Not enough reliable information in the transcript" };
+    try {
+        res.json(await getDueCards(req.user.id, { limit }));
+    } catch (error) {
+        console.error("Error loading review deck:", error);
+        res.status(500).json({ error: "Failed to load your review deck. Please try again." });
+    }
+});
+
+// Answer one card: { answer, quality? } where quality (0-5) optionally self-rates recall
+app.post('/api/review/cards/:cardId/answer', requireUser, async (req, res) => {
+    const { answer = null, quality } = req.body;
+    const validAnswer = answer === null || typeof answer === "string" ||
+        (Array.isArray(answer) && answer.every(option => typeof option === "string"));
+
+    if (!validAnswer) {
+        return res.status(400).json({ error: "answer must be a string, a list of strings or null" });
+    }
+    if (quality !== undefined && !(Number.isInteger(quality) && quality >= 0 && quality <= 5)) {
+        return res.status(400).json({ error: "quality must be a whole number from 0 to 5" });
+    }
+
+    try {
+        const result = await answerCard(req.user.id, req.params.cardId, answer, quality);
+        if (!result) {
+            return res.status(404).json({ error: "Card not found" });
         }
+        res.json(result);
+    } catch (error) {
+        console.error("Error answering review card:", error);
+        res.status(500).json({ error: "Failed to save your answer. Please try again." });
+    }
+});
 
-        console.log('Transcript in the backend (first 200 chars): ', transcript.substring(0, 200) + '...');
-        return transcript;
+app.delete('/api/review/cards/:cardId', requireUser, async (req, res) => {
+    try {
+        if (!(await deleteCard(req.user.id, req.params.cardId))) {
+            return res.status(404).json({ error: "Card not found" });
+        }
+        res.status(204).end();
     } catch (error) {
-        console.error("Error fetching transcript:", error.message);
-        return { error: "Transcripts not available" };
+        console.error("Error deleting review card:", error);
+        res.status(500).json({ error: "Failed to delete card. Please try again." });
     }
+});
+
+// ?flag=1 or ?flag=true; anything else (including repeated parameters) is off
+function isQueryFlagSet(value) {
+    return typeof value === "string" && ["1", "true"].includes(value.toLowerCase());
 }
 
+// Timed transcript as JSON, SRT, WebVTT or cleaned plain text (?format=json|srt|vtt|text)
+app.get('/api/transcript/:videoId', async (req, res) => {
+    const { videoId } = req.params;
+    const { format: requestedFormat = "json", lang } = req.query;
+    // Repeated parameters arrive as lists
+    const format = typeof requestedFormat === "string" ? requestedFormat.toLowerCase() : null;
+
+    if (!format || !Object.hasOwn(TRANSCRIPT_FORMATS, format)) {
+        return res.status(400).json({ error: `format must be one of: ${Object.keys(TRANSCRIPT_FORMATS).join(", ")}` });
+    }
+
+    if (lang !== undefined && !isLanguageCode(lang)) {
+        return res.status(400).json({ error: "lang must be a language code such as \"en\" or \"pt-BR\"" });
+    }
+
+    try {
+        const { value: transcriptResult } = await fetchTranscript(videoId, {
+            language: lang,
+            minWords: 0,
+            refresh: isQueryFlagSet(req.query.refresh),
+        });
+        const { transcript, segments, track } = transcriptResult;
+
+        if (isQueryFlagSet(req.query.download)) {
+            const extension = format === "text" ? "txt" : format;
+            res.attachment(`${videoId}${track.languageCode ? `.${track.languageCode}` : ""}.${extension}`);
+        }
+
+        switch (format) {
+            case "srt":
+                return res.type(TRANSCRIPT_FORMATS.srt).send(toSrt(segments));
+            case "vtt":
+                return res.type(TRANSCRIPT_FORMATS.vtt).send(toWebVtt(segments));
+            case "text":
+                return res.type(TRANSCRIPT_FORMATS.text).send(cleanTranscriptText(transcript));
+            default:
+                return res.json({ videoId, track, segments });
+        }
+    } catch (error) {
+        console.error("Error in transcript route:", error);
+        sendError(res, error, "Failed to fetch transcript. Please try again.");
+    }
+});
+
+// List the caption tracks available for a video
+app.get('/api/captions/:videoId', async (req, res) => {
+    const { videoId } = req.params;
+
+    try {
+        const tracksResult = await fetchCaptionTracks(videoId);
+        res.json({
+            videoId,
+            tracks: tracksResult.captionTracks.map(describeTrack),
+            translationLanguages: tracksResult.translationLanguages.map(describeTranslationLanguage),
+        });
+    } catch (error) {
+        console.error("Error listing caption tracks:", error.message);
+        sendError(res, error, "Failed to list caption tracks. Please try again.");
+    }
+});
+
+// Body parser failures (malformed JSON, oversized uploads) get the usual { error, code } shape
+app.use((error, req, res, next) => {
+    if (error.type === "entity.too.large") {
+        return sendError(res, new AppError("PAYLOAD_TOO_LARGE", "Request is too large. Uploads can be at most 2 MB."));
+    }
+    if (error.type === "entity.parse.failed") {
+        return sendError(res, new AppError("INVALID_REQUEST", "Request body is not valid JSON"));
+    }
+    next(error);
+});
+
 const PORT = "3000";
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
     console.log(`Server is running on port ${PORT}`);
 });
+// WebSocket upgrades bypass Express, so resolve their address with the same "trust proxy" setting
+attachRoomSockets(server, { clientIp: (req) => proxyAddr(req, app.get("trust proxy fn")) });
 
 
 
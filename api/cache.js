@@ -0,0 +1,205 @@
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import { createHash, randomUUID } from "node:crypto";
+
+// Expiring cache for fetched transcripts and generated quizzes.
+// CACHE_BACKEND picks where entries live:
+//   memory (default)  in this process only
+//   file              one JSON file per entry under CACHE_DIR (default ./data/cache)
+//   sqlite            a table in CACHE_SQLITE_PATH (default ./data/cache.sqlite), needs node:sqlite
+//   redis             any Redis-compatible server at REDIS_URL
+//   none              caching disabled
+// Every backend implements get(key), set(key, value, ttlSeconds) and delete(key).
+
+export const TTL = {
+    transcript: Number(process.env.CACHE_TTL_TRANSCRIPT || 24 * 60 * 60),
+    quiz: Number(process.env.CACHE_TTL_QUIZ || 7 * 24 * 60 * 60),
+    playlist: Number(process.env.CACHE_TTL_PLAYLIST || 60 * 60),
+};
+
+const hashKey = (key) => createHash("sha256").update(key).digest("hex");
+const expiresAt = (ttlSeconds) => (ttlSeconds > 0 ? Date.now() + ttlSeconds * 1000 : null);
+const isExpired = (entry) => entry.expiresAt !== null && entry.expiresAt <= Date.now();
+
+function createMemoryBackend() {
+    const entries = new Map();
+    return {
+        async get(key) {
+            const entry = entries.get(key);
+            if (!entry) return null;
+            if (isExpired(entry)) {
+                entries.delete(key);
+                return null;
+            }
+            return structuredClone(entry.value);
+        },
+        async set(key, value, ttlSeconds) {
+            entries.set(key, { value: structuredClone(value), expiresAt: expiresAt(ttlSeconds) });
+        },
+        async delete(key) {
+            entries.delete(key);
+        },
+    };
+}
+
+function createFileBackend(directory) {
+    const fileFor = (key) => path.join(directory, `${hashKey(key)}.json`);
+    return {
+        async get(key) {
+            let entry;
+            try {
+                entry = JSON.parse(await fs.readFile(fileFor(key), "utf8"));
+            } catch (error) {
+                if (error.code === "ENOENT") return null;
+                throw error;
+            }
+            if (isExpired(entry)) {
+                await this.delete(key);
+                return null;
+            }
+            return entry.value;
+        },
+        async set(key, value, ttlSeconds) {
+            await fs.mkdir(directory, { recursive: true });
+            const file = fileFor(key);
+            // Unique per write, so concurrent writes of one key don't share a temp file
+            const temp = `${file}.${process.pid}.${randomUUID()}.tmp`;
+            await fs.writeFile(temp, JSON.stringify({ key, value, expiresAt: expiresAt(ttlSeconds) }));
+            await fs.rename(temp, file);
+        },
+        async delete(key) {
+            await fs.rm(fileFor(key), { force: true });
+        },
+    };
+}
+
+async function createSqliteBackend(file) {
+    let sqlite;
+    try {
+        sqlite = await import("node:sqlite");
+    } catch (error) {
+        throw new Error("CACHE_BACKEND=sqlite needs a Node.js version with node:sqlite (22.5 or later)");
+    }
+
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const db = new sqlite.DatabaseSync(file);
+    db.exec("CREATE TABLE IF NOT EXISTS cache (key TEXT PRIMARY KEY, value TEXT NOT NULL, expires_at INTEGER)");
+    const select = db.prepare("SELECT value, expires_at AS expiresAt FROM cache WHERE key = ?");
+    const upsert = db.prepare("INSERT OR REPLACE INTO cache (key, value, expires_at) VALUES (?, ?, ?)");
+    const remove = db.prepare("DELETE FROM cache WHERE key = ?");
+
+    return {
+        async get(key) {
+            const row = select.get(key);
+            if (!row) return null;
+            if (isExpired(row)) {
+                remove.run(key);
+                return null;
+            }
+            return JSON.parse(row.value);
+        },
+        async set(key, value, ttlSeconds) {
+            upsert.run(key, JSON.stringify(value), expiresAt(ttlSeconds));
+        },
+        async delete(key) {
+            remove.run(key);
+        },
+    };
+}
+
+async function createRedisBackend(url) {
+    const { default: Redis } = await import("ioredis");
+    const client = new Redis(url, { maxRetriesPerRequest: 2 });
+    client.on("error", (error) => console.error("Redis cache error:", error.message));
+
+    return {
+        async get(key) {
+            const value = await client.get(`yt-quiz:${key}`);
+            return value === null ? null : JSON.parse(value);
+        },
+        async set(key, value, ttlSeconds) {
+            const args = ttlSeconds > 0 ? ["EX", Math.ceil(ttlSeconds)] : [];
+            await client.set(`yt-quiz:${key}`, JSON.stringify(value), ...args);
+        },
+        async delete(key) {
+            await client.del(`yt-quiz:${key}`);
+        },
+    };
+}
+
+function createNullBackend() {
+    return {
+        async get() { return null; },
+        async set() {},
+        async delete() {},
+    };
+}
+
+async function createBackend(name) {
+    switch (name) {
+        case "none":
+            return createNullBackend();
+        case "file":
+            return createFileBackend(process.env.CACHE_DIR || path.join("data", "cache"));
+        case "sqlite":
+            return createSqliteBackend(process.env.CACHE_SQLITE_PATH || path.join("data", "cache.sqlite"));
+        case "redis":
+            return createRedisBackend(process.env.REDIS_URL || "redis://localhost:6379");
+        case "memory":
+            return createMemoryBackend();
+        default:
+            throw new Error(`Unknown CACHE_BACKEND "${name}". Use memory, file, sqlite, redis or none.`);
+    }
+}
+
+let backendPromise = null;
+
+function getBackend() {
+    backendPromise = backendPromise || createBackend((process.env.CACHE_BACKEND || "memory").toLowerCase())
+        .catch(error => {
+            console.error("Cache disabled:", error.message);
+            return createNullBackend();
+        });
+    return backendPromise;
+}
+
+// Stable key for an options object, independent of property order
+export function cacheKey(prefix, parts) {
+    const canonical = (value) => {
+        if (Array.isArray(value)) return value.map(canonical);
+        if (value && typeof value === "object") {
+            return Object.fromEntries(Object.keys(value).sort()
+                .filter(key => value[key] !== undefined)
+                .map(key => [key, canonical(value[key])]));
+        }
+        return value;
+    };
+    return `${prefix}:${hashKey(JSON.stringify(canonical(parts)))}`;
+}
+
+// Return the cached value for `key`, or run `compute` and cache what it returns.
+// `shouldCache(value)` can refuse to cache results such as errors; `refresh` skips the lookup.
+// Resolves to { value, cached }.
+export async function getOrCompute(key, ttlSeconds, compute, { refresh = false, shouldCache = () => true } = {}) {
+    const backend = await getBackend();
+
+    if (!refresh) {
+        try {
+            const cachedValue = await backend.get(key);
+            if (cachedValue !== null) return { value: cachedValue, cached: true };
+        } catch (error) {
+            // A broken cache shouldn't take generation down with it
+            console.error("Cache read failed:", error.message);
+        }
+    }
+
+    const value = await compute();
+    if (shouldCache(value)) {
+        try {
+            await backend.set(key, value, ttlSeconds);
+        } catch (error) {
+            console.error("Cache write failed:", error.message);
+        }
+    }
+    return { value, cached: false };
+}
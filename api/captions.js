@@ -0,0 +1,317 @@
+import axios from "axios";
+import { decodeHTML, decodeXML } from "entities";
+import { AppError, isTransient, withRetry } from "./errors.js";
+
+// YouTube caption extraction: finding the caption tracks on a watch page,
+// choosing one, and parsing the srv1, srv3 and json3 caption formats into
+// timed segments ({ text, start, duration } in seconds).
+
+// Return the JSON object literal that starts at `start` (which must point at "{"),
+// honouring strings and escapes so braces inside text don't end it early.
+export function extractJsonObject(text, start) {
+    if (text[start] !== "{") return null;
+
+    let depth = 0;
+    let inString = false;
+    for (let i = start; i < text.length; i++) {
+        const char = text[i];
+        if (inString) {
+            if (char === "\\") i++;
+            else if (char === '"') inString = false;
+        } else if (char === '"') {
+            inString = true;
+        } else if (char === "{") {
+            depth++;
+        } else if (char === "}") {
+            depth--;
+            if (depth === 0) {
+                try {
+                    return JSON.parse(text.slice(start, i + 1));
+                } catch (e) {
+                    return null;
+                }
+            }
+        }
+    }
+    return null;
+}
+
+// Find `ytInitialPlayerResponse` in a watch page, whichever way it was assigned
+export function extractPlayerResponse(html) {
+    const assignment = /ytInitialPlayerResponse"?\]?\s*=\s*\{/g;
+    let match;
+    while ((match = assignment.exec(html)) !== null) {
+        const playerResponse = extractJsonObject(html, match.index + match[0].length - 1);
+        if (playerResponse) return playerResponse;
+    }
+    return null;
+}
+
+// Caption tracks listed on a watch page, or null when there are none.
+// Resolves to { captionTracks, translationLanguages, videoDetails }.
+export function parseCaptionTracks(html) {
+    const playerResponse = extractPlayerResponse(html);
+    let renderer = playerResponse?.captions?.playerCaptionsTracklistRenderer;
+
+    if (!renderer) {
+        // Some pages only carry the captions object on its own
+        const captionsIndex = html.indexOf('"captions":{');
+        const captions = captionsIndex >= 0
+            ? extractJsonObject(html, captionsIndex + '"captions":'.length)
+            : null;
+        renderer = captions?.playerCaptionsTracklistRenderer;
+    }
+
+    let captionTracks = renderer?.captionTracks || [];
+
+    if (captionTracks.length === 0) {
+        // Try regex extraction as a last resort
+        const baseUrlRegex = /"baseUrl":"(https:\/\/www\.youtube\.com\/api\/timedtext[^"]+)"/g;
+        captionTracks = [...html.matchAll(baseUrlRegex)].flatMap(match => {
+            // Captures cut off mid-escape aren't valid JSON strings; skip them
+            try {
+                return [{ baseUrl: JSON.parse(`"${match[1]}"`) }];
+            } catch (error) {
+                return [];
+            }
+        });
+    }
+
+    if (captionTracks.length === 0) return null;
+
+    return {
+        captionTracks,
+        translationLanguages: renderer?.translationLanguages || [],
+        videoDetails: playerResponse?.videoDetails || null,
+    };
+}
+
+// Why YouTube won't play the video (private, removed, region-blocked, ...), or null when it's playable.
+// Pages without a player response are left to the caption checks.
+export function checkPlayability(html) {
+    const status = extractPlayerResponse(html)?.playabilityStatus;
+    if (!status || status.status === "OK") return null;
+    return {
+        status: status.status,
+        reason: status.reason || runsText(status.errorScreen?.playerErrorMessageRenderer?.reason) || null,
+    };
+}
+
+function runsText(value) {
+    return value?.simpleText || value?.runs?.map(run => run.text).join("") || null;
+}
+
+// Public description of a caption track
+export function describeTrack(track) {
+    const languageCode = track.languageCode ||
+        (track.baseUrl && new URL(track.baseUrl).searchParams.get("lang")) || null;
+    return {
+        languageCode,
+        name: runsText(track.name) || languageCode,
+        kind: track.kind === "asr" ? "asr" : "manual",
+        isTranslatable: Boolean(track.isTranslatable),
+    };
+}
+
+export function describeTranslationLanguage(language) {
+    return {
+        languageCode: language.languageCode,
+        name: runsText(language.languageName) || language.languageCode,
+    };
+}
+
+// Pick the track for `language`: exact code, then same base language, preferring manual
+// captions over auto-generated ones. Without a language, English or the first track.
+// If no track matches but one is translatable, YouTube translates it for us.
+export function selectCaptionTrack(captionTracks, translationLanguages, language) {
+    const byPreference = (a, b) => (a.kind === "asr") - (b.kind === "asr");
+
+    if (language) {
+        const wanted = language.toLowerCase();
+        const base = wanted.split("-")[0];
+        const candidates = [...captionTracks].sort(byPreference);
+        const track = candidates.find(t => t.languageCode?.toLowerCase() === wanted) ||
+            candidates.find(t => t.languageCode?.toLowerCase().split("-")[0] === base);
+        if (track) return { track, translated: false };
+
+        const translatable = candidates.find(t => t.isTranslatable);
+        const canTranslate = translationLanguages.some(l => l.languageCode?.toLowerCase() === wanted);
+        if (translatable && canTranslate) {
+            return { track: translatable, translated: true, tlang: language };
+        }
+        return null;
+    }
+
+    // Get English transcript if available, otherwise use the first available one
+    const englishTrack = [...captionTracks].sort(byPreference).find(track =>
+        track.languageCode === 'en' ||
+        runsText(track.name)?.toLowerCase().includes('english') ||
+        track.baseUrl?.includes('lang=en'));
+
+    return { track: englishTrack || captionTracks[0], translated: false };
+}
+
+// Caption text is HTML escaped inside an XML document, so it is decoded once for each layer
+function decodeCaptionText(raw) {
+    return decodeHTML(decodeXML(raw.replace(/<[^>]+>/g, "")))
+        .replace(/\s+/g, " ")
+        .trim();
+}
+
+function xmlAttribute(attributes, name) {
+    return attributes.match(new RegExp(`\\b${name}="([^"]*)"`))?.[1];
+}
+
+// srv1: <transcript><text start="1.2" dur="3.4">...</text></transcript>
+export function parseSrv1(xml) {
+    return [...xml.matchAll(/<text\b([^>]*)>([\s\S]*?)<\/text>/g)]
+        .map(([, attributes, body]) => ({
+            text: decodeCaptionText(body),
+            start: parseFloat(xmlAttribute(attributes, "start") ?? "0"),
+            duration: parseFloat(xmlAttribute(attributes, "dur") ?? "0"),
+        }))
+        .filter(segment => segment.text.length > 0);  // Remove empty segments
+}
+
+// srv3: <timedtext format="3"><body><p t="1200" d="3400"><s>word</s>...</p></body></timedtext>
+export function parseSrv3(xml) {
+    return [...xml.matchAll(/<p\b([^>]*)>([\s\S]*?)<\/p>/g)]
+        .map(([, attributes, body]) => ({
+            text: decodeCaptionText(body.replace(/<br\s*\/?>/g, " ")),
+            start: parseInt(xmlAttribute(attributes, "t") ?? "0", 10) / 1000,
+            duration: parseInt(xmlAttribute(attributes, "d") ?? "0", 10) / 1000,
+        }))
+        .filter(segment => segment.text.length > 0);
+}
+
+// json3: { events: [{ tStartMs, dDurationMs, segs: [{ utf8 }] }] }
+export function parseJson3(data) {
+    const json = typeof data === "string" ? JSON.parse(data) : data;
+    return (json.events || [])
+        .filter(event => Array.isArray(event.segs))
+        .map(event => ({
+            text: event.segs.map(seg => seg.utf8 || "").join("").replace(/\s+/g, " ").trim(),
+            start: (event.tStartMs || 0) / 1000,
+            duration: (event.dDurationMs || 0) / 1000,
+        }))
+        .filter(segment => segment.text.length > 0);
+}
+
+// Detect the caption format from the payload itself
+export function parseCaptions(data) {
+    if (typeof data === "object" && data !== null) return parseJson3(data);
+
+    const text = String(data).trim();
+    if (text.startsWith("{")) return parseJson3(text);
+    if (/<timedtext\b[^>]*format="3"/.test(text) || /<p\b[^>]*\bt="\d+"/.test(text)) return parseSrv3(text);
+    return parseSrv1(text);
+}
+
+// Join segments into running text. Auto-generated captions have no punctuation, so a period
+// is added where one segment ends in a lowercase word and the next starts a capitalised one.
+// Only segment boundaries are considered, so names like "iPhone Pro" are never split.
+export function joinSegments(segments) {
+    const punctuated = segments.filter(s => /[.!?…]["')\]]?$/.test(s.text)).length;
+    const needsBreaks = punctuated < segments.length * 0.2;
+
+    return segments
+        .map((segment, i) => {
+            const next = segments[i + 1];
+            if (needsBreaks && next && /[a-z]$/.test(segment.text) && /^[A-Z][a-z]/.test(next.text)) {
+                return `${segment.text}.`;
+            }
+            return segment.text;
+        })
+        .join(" ");
+}
+
+export async function defaultHttpGet(url, { signal } = {}) {
+    const response = await axios.get(url, { signal });
+    return response.data;
+}
+
+// Network errors and 5xx/429 responses from YouTube are retried before giving up
+export async function fetchFromYouTube(httpGet, url, signal) {
+    try {
+        return await withRetry(() => httpGet(url, { signal }), { shouldRetry: isTransient, signal });
+    } catch (error) {
+        if (signal?.aborted) throw error;
+        throw new AppError("YOUTUBE_UNREACHABLE", "Couldn't reach YouTube. Please try again in a moment.", {
+            retryable: isTransient(error),
+            cause: error,
+        });
+    }
+}
+
+// Fetch the watch page and return its caption tracks. Throws an AppError when the video
+// can't be played or has no captions.
+export async function fetchCaptionTracks(videoId, { httpGet = defaultHttpGet, signal } = {}) {
+    console.log("Fetching caption tracks for video ID:", videoId);
+    const html = String(await fetchFromYouTube(httpGet, `https://www.youtube.com/watch?v=${encodeURIComponent(videoId)}`, signal));
+
+    const unplayable = checkPlayability(html);
+    if (unplayable) {
+        console.error(`Video ${videoId} is not playable: ${unplayable.status} ${unplayable.reason || ""}`);
+        throw new AppError("VIDEO_UNAVAILABLE", unplayable.reason
+            ? `This video is unavailable: ${unplayable.reason}`
+            : "This video is private or unavailable");
+    }
+
+    const tracks = parseCaptionTracks(html);
+    if (!tracks) {
+        console.error("Transcripts not available for this video");
+        throw new AppError("CAPTIONS_MISSING", "Transcripts not available");
+    }
+    return tracks;
+}
+
+// `language` selects the caption track; resolves to { transcript, segments, track }.
+// Transcripts shorter than `minWords` are rejected as too thin to quiz on.
+// Failures throw an AppError (CAPTIONS_MISSING, CAPTIONS_LANGUAGE_MISSING, VIDEO_UNAVAILABLE,
+// TRANSCRIPT_TOO_SHORT or YOUTUBE_UNREACHABLE).
+export async function getYouTubeTranscript(videoId, { language, minWords = 50, httpGet = defaultHttpGet, signal } = {}) {
+    console.log("Fetching transcript for video ID:", videoId);
+    const { captionTracks, translationLanguages } = await fetchCaptionTracks(videoId, { httpGet, signal });
+    const selection = selectCaptionTrack(captionTracks, translationLanguages, language);
+
+    if (!selection) {
+        console.error(`No "${language}" captions found in this video`);
+        throw new AppError("CAPTIONS_LANGUAGE_MISSING", `Captions not available in language "${language}"`);
+    }
+
+    let transcriptUrl = selection.track.baseUrl;
+
+    if (!transcriptUrl) {
+        console.error("No captions found in this video");
+        throw new AppError("CAPTIONS_MISSING", "Transcripts not available");
+    }
+
+    if (selection.tlang) {
+        transcriptUrl += `&tlang=${encodeURIComponent(selection.tlang)}`;
+    }
+
+    let segments;
+    try {
+        segments = parseCaptions(await fetchFromYouTube(httpGet, transcriptUrl, signal));
+    } catch (error) {
+        if (error instanceof AppError || signal?.aborted) throw error;
+        console.error("Error parsing captions:", error.message);
+        throw new AppError("CAPTIONS_MISSING", "Transcripts not available", { cause: error });
+    }
+    const transcript = joinSegments(segments);
+
+    // Verify transcript has sufficient content for generating questions
+    if (transcript.split(' ').length < minWords) {
+        console.error("Transcript too short to generate meaningful questions");
+        throw new AppError("TRANSCRIPT_TOO_SHORT", "Not enough reliable information in the transcript");
+    }
+
+    console.log('Transcript in the backend (first 200 chars): ', transcript.substring(0, 200) + '...');
+    const track = {
+        ...describeTrack(selection.track),
+        translated: selection.translated,
+        ...(selection.tlang && { translatedTo: selection.tlang }),
+    };
+
+    return { transcript, segments, track };
+}
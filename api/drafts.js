@@ -0,0 +1,159 @@
+import { randomUUID } from "node:crypto";
+import { isDeepStrictEqual } from "node:util";
+import { createStore } from "./store.js";
+import { normalizeQuestion, QUESTION_TYPES } from "./quiz.js";
+
+// Instructor drafts: generated quizzes an instructor checks and edits before learners see them.
+// Drafts keep their answers and live in their own store, out of reach of the learner endpoints.
+// Publishing copies the draft into an ordinary quiz, so each share link keeps opening exactly
+// the version that was published while the draft stays editable.
+
+const drafts = createStore("drafts");
+
+// Fields of a question an instructor can change
+// Changing any of these makes the question's supporting quote stale
+const ANSWER_FIELDS = ["question", "options", "correctAnswer", "correctAnswers"];
+const EDITABLE_FIELDS = ["type", "question", "options", "correctAnswer", "correctAnswers", "acceptableAnswers", "explanation"];
+
+// `input` is what's needed to fetch the transcript again for regenerating questions:
+// { videoId, source, captionLanguage, provider, model }
+export async function createDraft(ownerId, { input, videoId, playlistId, videos, questions, sections, track, quizOptions }) {
+    const now = new Date().toISOString();
+    const draft = {
+        id: randomUUID(),
+        ownerId,
+        createdAt: now,
+        updatedAt: now,
+        input,
+        videoId,
+        ...(playlistId && { playlistId, videos }),
+        quizOptions,
+        questions,
+        sections,
+        track,
+        versions: [],
+    };
+    await drafts.set(draft.id, draft);
+    return draft;
+}
+
+// The draft, or null when it doesn't exist or belongs to someone else
+export async function getDraft(ownerId, id) {
+    const draft = await drafts.get(id);
+    return draft && draft.ownerId === ownerId ? draft : null;
+}
+
+export async function saveDraft(draft) {
+    const updated = { ...draft, updatedAt: new Date().toISOString() };
+    await drafts.set(draft.id, updated);
+    return updated;
+}
+
+export async function deleteDraft(ownerId, id) {
+    if (!(await getDraft(ownerId, id))) return false;
+    return drafts.delete(id);
+}
+
+// Everything the editor needs, answers included; the transcript input stays on the server
+export function describeDraft({ ownerId, input, ...draft }) {
+    return draft;
+}
+
+export function summarizeDraft({ id, videoId, playlistId, track, createdAt, updatedAt, questions, versions }) {
+    return {
+        id,
+        videoId,
+        ...(playlistId && { playlistId }),
+        track,
+        createdAt,
+        updatedAt,
+        questionCount: questions.length,
+        publishedVersions: versions.length,
+        lastPublishedQuizId: versions.at(-1)?.quizId ?? null,
+    };
+}
+
+// Newest first
+export async function listDrafts(ownerId) {
+    return (await drafts.list())
+        .filter(draft => draft.ownerId === ownerId)
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+        .map(summarizeDraft);
+}
+
+// `index` from a route parameter, as a position in the draft; null when there's no such question
+export function questionIndex(draft, value) {
+    const index = Number(value);
+    return Number.isInteger(index) && index >= 0 && index < draft.questions.length ? index : null;
+}
+
+// The edits below return { draft } with the change applied, or { error }; callers save the result
+
+// Change any of EDITABLE_FIELDS of one question. The result must still be a valid question of its
+// type; where it came from (timestamp, video) is kept, and so is the supporting quote unless the
+// question or its answer changed. `edited` marks it for the editor and is dropped on publish.
+export function editQuestion(draft, index, changes) {
+    if (!changes || typeof changes !== "object" || Array.isArray(changes)) {
+        return { error: "Send the fields to change as an object" };
+    }
+    const unknown = Object.keys(changes).filter(field => !EDITABLE_FIELDS.includes(field));
+    if (unknown.length > 0) {
+        return { error: `Only these fields can be edited: ${EDITABLE_FIELDS.join(", ")}` };
+    }
+
+    const current = draft.questions[index];
+    const merged = { ...current, ...changes };
+    // Changing the type drops answer fields that don't belong to the new one
+    if (changes.type && changes.type !== current.type) {
+        ["options", "correctAnswer", "correctAnswers", "acceptableAnswers"]
+            .filter(field => !(field in changes))
+            .forEach(field => delete merged[field]);
+    }
+    if (!Object.hasOwn(QUESTION_TYPES, merged.type)) {
+        return { error: `type must be one of: ${Object.keys(QUESTION_TYPES).join(", ")}` };
+    }
+
+    const normalized = normalizeQuestion(merged, [merged.type]);
+    if (!normalized) {
+        return { error: `Not a valid ${merged.type} question (at least 20 characters). ${QUESTION_TYPES[merged.type]}` };
+    }
+
+    const { type, question, options, correctAnswer, correctAnswers, acceptableAnswers, explanation, citation, ...origin } = merged;
+    // The quote was checked against the old wording and answer, so it can't vouch for new ones
+    const reworded = ANSWER_FIELDS.some(field => !isDeepStrictEqual(normalized[field], current[field]));
+    return {
+        draft: replaceAt(draft, index, {
+            ...origin,
+            ...normalized,
+            ...(citation && !reworded && { citation }),
+            edited: true,
+        }),
+    };
+}
+
+export function replaceQuestion(draft, index, question) {
+    return { draft: replaceAt(draft, index, question) };
+}
+
+function replaceAt(draft, index, question) {
+    return { ...draft, questions: draft.questions.map((q, i) => (i === index ? question : q)) };
+}
+
+export function removeQuestion(draft, index) {
+    if (draft.questions.length === 1) {
+        return { error: "A quiz needs at least one question" };
+    }
+    return { draft: { ...draft, questions: draft.questions.filter((q, i) => i !== index) } };
+}
+
+// `order` lists every current question index once, in the new order
+export function reorderQuestions(draft, order) {
+    const count = draft.questions.length;
+    const valid = Array.isArray(order) && order.length === count &&
+        order.every(index => Number.isInteger(index) && index >= 0 && index < count) &&
+        new Set(order).size === count;
+    if (!valid) {
+        return { error: `order must list each question index from 0 to ${count - 1} exactly once` };
+    }
+    return { draft: { ...draft, questions: order.map(index => draft.questions[index]) } };
+}
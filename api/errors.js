@@ -0,0 +1,137 @@
+// Errors reported to clients as { error, code }: `code` is stable and safe to switch on,
+// `error` is a human-readable message that may change. Each code has one HTTP status.
+
+export const ERROR_STATUSES = {
+    INVALID_REQUEST: 400,
+    API_KEY_INVALID: 401,
+    NOT_HOST: 403,
+    NOT_INSTRUCTOR: 403,
+    NOT_QUIZ_OWNER: 403,
+    CAPTIONS_MISSING: 404,
+    CAPTIONS_LANGUAGE_MISSING: 404,
+    VIDEO_UNAVAILABLE: 404,
+    PLAYLIST_UNAVAILABLE: 404,
+    ROOM_NOT_FOUND: 404,
+    ROOM_FULL: 409,
+    NAME_TAKEN: 409,
+    PRACTICE_FINISHED: 409,
+    PAYLOAD_TOO_LARGE: 413,
+    TRANSCRIPT_TOO_SHORT: 422,
+    TOO_FEW_QUESTIONS: 422,
+    RATE_LIMITED: 429,
+    QUOTA_EXCEEDED: 429,
+    ATTEMPTS_EXCEEDED: 429,
+    INTERNAL_ERROR: 500,
+    YOUTUBE_UNREACHABLE: 502,
+    LLM_INVALID_JSON: 502,
+    LLM_UNAVAILABLE: 502,
+    LLM_RATE_LIMITED: 503,
+    JOBS_UNAVAILABLE: 503,
+};
+
+export class AppError extends Error {
+    // `retryable` marks transient failures; `retryAfter` is a hint in seconds
+    constructor(code, message, { retryable = false, retryAfter, cause } = {}) {
+        super(message, { cause });
+        this.name = "AppError";
+        this.code = code;
+        this.status = ERROR_STATUSES[code] ?? 500;
+        this.retryable = retryable;
+        this.retryAfter = retryAfter;
+    }
+}
+
+// { status, body } for any thrown error; unexpected ones become INTERNAL_ERROR with `fallbackMessage`
+export function errorResponse(error, fallbackMessage = "Something went wrong. Please try again.") {
+    if (error instanceof AppError) {
+        return {
+            status: error.status,
+            body: {
+                error: error.message,
+                code: error.code,
+                ...(error.retryAfter && { retryAfter: error.retryAfter }),
+            },
+        };
+    }
+    return { status: 500, body: { error: fallbackMessage, code: "INTERNAL_ERROR" } };
+}
+
+// Send an errorResponse, with Retry-After when the error carries one
+export function sendError(res, error, fallbackMessage) {
+    const { status, body } = errorResponse(error, fallbackMessage);
+    if (body.retryAfter) res.set("Retry-After", String(body.retryAfter));
+    return res.status(status).json(body);
+}
+
+// HTTP status of a failed upstream call, whichever client made it (axios, fetch-based SDKs)
+function upstreamStatus(error) {
+    return error?.response?.status ?? error?.status ?? null;
+}
+
+function retryAfterHeader(error) {
+    const value = error?.response?.headers?.["retry-after"];
+    const seconds = Number(value);
+    return Number.isFinite(seconds) && seconds > 0 ? seconds : undefined;
+}
+
+// Network errors, 429s and 5xx responses are worth another try
+export function isTransient(error) {
+    const status = upstreamStatus(error);
+    if (status) return status === 429 || status >= 500;
+    return ["ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "EAI_AGAIN", "ENOTFOUND", "ECONNABORTED"].includes(error?.code) ||
+        /fetch failed|network|socket hang up/i.test(error?.message || "");
+}
+
+// Map a model provider failure to an AppError
+export function toLlmError(error) {
+    if (error instanceof AppError) return error;
+    if (upstreamStatus(error) === 429 || /quota|rate limit|resource.?exhausted/i.test(error?.message || "")) {
+        return new AppError("LLM_RATE_LIMITED", "The AI service is busy right now. Please try again in a minute.", {
+            retryable: true,
+            retryAfter: retryAfterHeader(error) ?? 60,
+            cause: error,
+        });
+    }
+    return new AppError("LLM_UNAVAILABLE", "The AI service failed to respond. Please try again.", {
+        retryable: isTransient(error),
+        cause: error,
+    });
+}
+
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        signal?.throwIfAborted();
+        const timer = setTimeout(() => {
+            signal?.removeEventListener("abort", onAbort);
+            resolve();
+        }, ms);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        signal?.addEventListener("abort", onAbort, { once: true });
+    });
+}
+
+// Run `fn(attempt)` until it succeeds, retrying errors that `shouldRetry` accepts with
+// exponential backoff and jitter. A retryAfter hint (seconds) is honoured up to `maxDelayMs`.
+export async function withRetry(fn, {
+    retries = 2,
+    baseDelayMs = 500,
+    maxDelayMs = 8000,
+    shouldRetry = (error) => error?.retryable === true,
+    signal,
+} = {}) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fn(attempt);
+        } catch (error) {
+            if (signal?.aborted || attempt >= retries || !shouldRetry(error)) throw error;
+
+            const backoff = baseDelayMs * 2 ** attempt * (1 + Math.random() * 0.25);
+            const delay = Math.min(maxDelayMs, error.retryAfter ? error.retryAfter * 1000 : backoff);
+            console.error(`Attempt ${attempt + 1} failed (${error.code || error.message}), retrying in ${Math.round(delay)}ms`);
+            await sleep(delay, signal);
+        }
+    }
+}
@@ -0,0 +1,321 @@
+import JSZip from "jszip";
+import AnkiExport from "anki-apkg-export";
+
+// Quiz export to LMS and flashcard formats. Each exporter takes a stored quiz
+// (questions with answers) and resolves to the file body; EXPORT_FORMATS lists
+// the content type and file extension for each.
+
+export const EXPORT_FORMATS = {
+    gift: { type: "text/plain; charset=utf-8", extension: "gift.txt", label: "Moodle GIFT" },
+    "moodle-xml": { type: "application/xml; charset=utf-8", extension: "moodle.xml", label: "Moodle XML" },
+    qti: { type: "application/zip", extension: "qti21.zip", label: "QTI 2.1" },
+    kahoot: { type: "text/csv; charset=utf-8", extension: "kahoot.csv", label: "Kahoot CSV" },
+    "anki-tsv": { type: "text/tab-separated-values; charset=utf-8", extension: "anki.tsv", label: "Anki TSV" },
+    apkg: { type: "application/octet-stream", extension: "apkg", label: "Anki deck" },
+};
+
+function correctAnswersOf(question) {
+    return question.correctAnswers || [question.correctAnswer];
+}
+
+function typedAnswersOf(question) {
+    return [question.correctAnswer, ...(question.acceptableAnswers || [])];
+}
+
+// Quizzes made from uploaded text have no video; they go by the name of what was sent
+function quizTitle(quiz) {
+    return quiz.videoId ? `YouTube quiz ${quiz.videoId}` : `Quiz: ${quiz.track?.name || quiz.id}`;
+}
+
+function quizTags(quiz) {
+    return quiz.videoId ? ["youtube-quiz", `video-${quiz.videoId}`] : ["youtube-quiz", `quiz-${quiz.id}`];
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&apos;");
+}
+
+// Moodle wants partial credit from a fixed list; 100/n rounded to 5 places is always on it
+function fraction(share) {
+    return Number((100 / share).toFixed(5));
+}
+
+// GIFT: https://docs.moodle.org/en/GIFT_format
+function escapeGift(text) {
+    return String(text).replace(/([~=#{}:\\])/g, "\\$1").replace(/\n/g, " ");
+}
+
+function giftAnswers(question) {
+    switch (question.type) {
+        case "true-false":
+            return question.correctAnswer === "True" ? "T" : "F";
+        case "multi-select": {
+            const correct = question.correctAnswers;
+            const wrongCount = question.options.length - correct.length;
+            return question.options
+                .map(option => correct.includes(option)
+                    ? `~%${fraction(correct.length)}%${escapeGift(option)}`
+                    : `~%-${fraction(wrongCount)}%${escapeGift(option)}`)
+                .join(" ");
+        }
+        case "fill-in-the-blank":
+        case "short-answer":
+            return typedAnswersOf(question).map(answer => `=${escapeGift(answer)}`).join(" ");
+        default:
+            return question.options
+                .map(option => `${option === question.correctAnswer ? "=" : "~"}${escapeGift(option)}`)
+                .join(" ");
+    }
+}
+
+export function toGift(quiz) {
+    const link = quiz.videoId ? `// https://www.youtube.com/watch?v=${quiz.videoId}\n` : "";
+    const header = `// ${quizTitle(quiz)}\n${link}\n`;
+    return header + quiz.questions
+        .map((question, i) => {
+            const feedback = question.explanation ? ` ####${escapeGift(question.explanation)}` : "";
+            return `::Q${i + 1}:: ${escapeGift(question.question)} {${giftAnswers(question)}${feedback}}`;
+        })
+        .join("\n\n") + "\n";
+}
+
+// Moodle XML: https://docs.moodle.org/en/Moodle_XML_format
+function moodleAnswer(fractionValue, text, feedback = "") {
+    return `    <answer fraction="${fractionValue}" format="plain_text">
+      <text>${escapeXml(text)}</text>
+      <feedback><text>${escapeXml(feedback)}</text></feedback>
+    </answer>`;
+}
+
+function moodleQuestion(question, i) {
+    const common = `    <name><text>Q${i + 1}</text></name>
+    <questiontext format="plain_text"><text>${escapeXml(question.question)}</text></questiontext>
+    <generalfeedback format="plain_text"><text>${escapeXml(question.explanation || "")}</text></generalfeedback>`;
+
+    switch (question.type) {
+        case "true-false":
+            return `  <question type="truefalse">
+${common}
+${moodleAnswer(question.correctAnswer === "True" ? 100 : 0, "true")}
+${moodleAnswer(question.correctAnswer === "False" ? 100 : 0, "false")}
+  </question>`;
+        case "fill-in-the-blank":
+        case "short-answer":
+            return `  <question type="shortanswer">
+${common}
+    <usecase>0</usecase>
+${typedAnswersOf(question).map(answer => moodleAnswer(100, answer)).join("\n")}
+  </question>`;
+        default: {
+            const correct = correctAnswersOf(question);
+            const multiple = question.type === "multi-select";
+            const wrongCount = question.options.length - correct.length;
+            const answers = question.options.map(option => {
+                if (correct.includes(option)) return moodleAnswer(fraction(correct.length), option);
+                return moodleAnswer(multiple ? -fraction(wrongCount) : 0, option);
+            });
+            return `  <question type="multichoice">
+${common}
+    <single>${multiple ? "false" : "true"}</single>
+    <shuffleanswers>1</shuffleanswers>
+    <answernumbering>abc</answernumbering>
+${answers.join("\n")}
+  </question>`;
+        }
+    }
+}
+
+export function toMoodleXml(quiz) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<quiz>
+  <question type="category">
+    <category><text>$course$/${escapeXml(quizTitle(quiz))}</text></category>
+  </question>
+${quiz.questions.map(moodleQuestion).join("\n")}
+</quiz>
+`;
+}
+
+// QTI 2.1: one assessmentItem per question plus an assessmentTest, in an IMS content package
+const QTI_NAMESPACE = "http://www.imsglobal.org/xsd/imsqti_v2p1";
+
+function qtiItem(question, id) {
+    const feedback = question.explanation
+        ? `\n  <modalFeedback outcomeIdentifier="FEEDBACK" identifier="explanation" showHide="hide">${escapeXml(question.explanation)}</modalFeedback>`
+        : "";
+
+    if (question.type === "fill-in-the-blank" || question.type === "short-answer") {
+        const mapping = typedAnswersOf(question)
+            .map(answer => `      <mapEntry mapKey="${escapeXml(answer)}" mappedValue="1" caseSensitive="false"/>`)
+            .join("\n");
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentItem xmlns="${QTI_NAMESPACE}" identifier="${id}" title="${id}" adaptive="false" timeDependent="false">
+  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string">
+    <correctResponse><value>${escapeXml(question.correctAnswer)}</value></correctResponse>
+    <mapping defaultValue="0">
+${mapping}
+    </mapping>
+  </responseDeclaration>
+  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float"/>
+  <outcomeDeclaration identifier="FEEDBACK" cardinality="single" baseType="identifier"/>
+  <itemBody>
+    <p>${escapeXml(question.question)}</p>
+    <p><textEntryInteraction responseIdentifier="RESPONSE" expectedLength="30"/></p>
+  </itemBody>
+  <responseProcessing template="http://www.imsglobal.org/question/qti_v2p1/rptemplates/map_response"/>${feedback}
+</assessmentItem>
+`;
+    }
+
+    const multiple = question.type === "multi-select";
+    const correct = correctAnswersOf(question);
+    const choiceId = (i) => `choice${i + 1}`;
+    const choices = question.options
+        .map((option, i) => `      <simpleChoice identifier="${choiceId(i)}">${escapeXml(option)}</simpleChoice>`)
+        .join("\n");
+    const correctValues = question.options
+        .map((option, i) => (correct.includes(option) ? `<value>${choiceId(i)}</value>` : null))
+        .filter(Boolean)
+        .join("");
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentItem xmlns="${QTI_NAMESPACE}" identifier="${id}" title="${id}" adaptive="false" timeDependent="false">
+  <responseDeclaration identifier="RESPONSE" cardinality="${multiple ? "multiple" : "single"}" baseType="identifier">
+    <correctResponse>${correctValues}</correctResponse>
+  </responseDeclaration>
+  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float"/>
+  <outcomeDeclaration identifier="FEEDBACK" cardinality="single" baseType="identifier"/>
+  <itemBody>
+    <choiceInteraction responseIdentifier="RESPONSE" shuffle="${question.type === "true-false" ? "false" : "true"}" maxChoices="${multiple ? 0 : 1}">
+      <prompt>${escapeXml(question.question)}</prompt>
+${choices}
+    </choiceInteraction>
+  </itemBody>
+  <responseProcessing template="http://www.imsglobal.org/question/qti_v2p1/rptemplates/match_correct"/>${feedback}
+</assessmentItem>
+`;
+}
+
+export async function toQtiPackage(quiz) {
+    const zip = new JSZip();
+    const ids = quiz.questions.map((_, i) => `item${i + 1}`);
+
+    quiz.questions.forEach((question, i) => zip.file(`${ids[i]}.xml`, qtiItem(question, ids[i])));
+
+    zip.file("assessment.xml", `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentTest xmlns="${QTI_NAMESPACE}" identifier="test" title="${escapeXml(quizTitle(quiz))}">
+  <testPart identifier="part1" navigationMode="linear" submissionMode="individual">
+    <assessmentSection identifier="section1" title="Questions" visible="true">
+${ids.map(id => `      <assessmentItemRef identifier="${id}" href="${id}.xml"/>`).join("\n")}
+    </assessmentSection>
+  </testPart>
+</assessmentTest>
+`);
+
+    const itemResources = ids.map(id => `    <resource identifier="${id}" type="imsqti_item_xmlv2p1" href="${id}.xml">
+      <file href="${id}.xml"/>
+    </resource>`).join("\n");
+
+    zip.file("imsmanifest.xml", `<?xml version="1.0" encoding="UTF-8"?>
+<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1" identifier="manifest-${escapeXml(quiz.id)}">
+  <metadata>
+    <schema>QTIv2.1 Package</schema>
+    <schemaversion>1.0.0</schemaversion>
+  </metadata>
+  <organizations/>
+  <resources>
+    <resource identifier="test" type="imsqti_test_xmlv2p1" href="assessment.xml">
+      <file href="assessment.xml"/>
+${ids.map(id => `      <dependency identifierref="${id}"/>`).join("\n")}
+    </resource>
+${itemResources}
+  </resources>
+</manifest>
+`);
+
+    return zip.generateAsync({ type: "nodebuffer", compression: "DEFLATE" });
+}
+
+// Kahoot's spreadsheet template: up to four answers, correct ones given by number.
+// Typed questions have no options, so they are left out.
+function csvCell(value) {
+    const text = String(value ?? "");
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toKahootCsv(quiz, { timeLimit = 20 } = {}) {
+    const header = ["Question - max 120 characters", "Answer 1 - max 75 characters", "Answer 2 - max 75 characters",
+        "Answer 3 - max 75 characters", "Answer 4 - max 75 characters", "Time limit (sec) - 5, 10, 20, 30, 60, 90, 120, or 240 secs",
+        "Correct answer(s) - choose at least one"];
+
+    const rows = quiz.questions
+        .filter(question => question.options?.length && question.options.length <= 4)
+        .map(question => {
+            const correct = correctAnswersOf(question);
+            const options = [...question.options, "", "", "", ""].slice(0, 4);
+            const correctNumbers = question.options
+                .map((option, i) => (correct.includes(option) ? i + 1 : null))
+                .filter(Boolean)
+                .join(",");
+            return [question.question, ...options, timeLimit, correctNumbers];
+        });
+
+    return [header, ...rows].map(row => row.map(csvCell).join(",")).join("\n") + "\n";
+}
+
+// Anki cards: the question (with its options) on the front, the answer and explanation on the back
+function ankiCard(question) {
+    const options = question.options && question.type !== "true-false"
+        ? `<br><br>${question.options.map(option => `&bull; ${escapeXml(option)}`).join("<br>")}`
+        : "";
+    const front = `${escapeXml(question.question)}${options}`;
+
+    const answer = question.correctAnswers ? question.correctAnswers.join(", ") : question.correctAnswer;
+    const explanation = question.explanation ? `<br><br>${escapeXml(question.explanation)}` : "";
+    const back = `<b>${escapeXml(answer)}</b>${explanation}`;
+    return { front, back };
+}
+
+export function toAnkiTsv(quiz) {
+    // Anki reads these header lines to pick the separator and HTML handling
+    const lines = ["#separator:tab", "#html:true", "#tags column:3"];
+    quiz.questions.forEach(question => {
+        const { front, back } = ankiCard(question);
+        const clean = (text) => text.replace(/[\t\r\n]+/g, " ");
+        lines.push([clean(front), clean(back), quizTags(quiz).join(" ")].join("\t"));
+    });
+    return lines.join("\n") + "\n";
+}
+
+export async function toApkg(quiz) {
+    const deck = new AnkiExport.default(quizTitle(quiz));
+    quiz.questions.forEach(question => {
+        const { front, back } = ankiCard(question);
+        deck.addCard(front, back, { tags: quizTags(quiz) });
+    });
+    return deck.save();
+}
+
+export async function exportQuiz(quiz, format) {
+    switch (format) {
+        case "gift":
+            return toGift(quiz);
+        case "moodle-xml":
+            return toMoodleXml(quiz);
+        case "qti":
+            return toQtiPackage(quiz);
+        case "kahoot":
+            return toKahootCsv(quiz);
+        case "anki-tsv":
+            return toAnkiTsv(quiz);
+        case "apkg":
+            return toApkg(quiz);
+        default:
+            throw new Error(`Unknown export format "${format}"`);
+    }
+}
@@ -0,0 +1,474 @@
+import { getProvider } from "./providers.js";
+import { AppError, toLlmError, withRetry } from "./errors.js";
+import {
+    DEFAULT_QUIZ_OPTIONS,
+    QUESTION_TYPES,
+    DIFFICULTIES,
+    FORMATTING_GUIDANCE,
+    buildQuestionSchema,
+    describeQuizOptions,
+    languageName,
+} from "./quiz.js";
+import { createQualityReport, recordRejection, checkQuestion, removeDuplicates, verifyQuestions } from "./quality.js";
+import {
+    cleanTranscriptText,
+    buildPassages,
+    buildSections,
+    splitTextIntoSections,
+    formatPassagesForPrompt,
+} from "./transcript.js";
+
+// How many sections are sent to the model at the same time
+export const SECTION_CONCURRENCY = 3;
+
+// Extra rounds asking short sections for replacements after questions were rejected
+const MAX_TOP_UP_ROUNDS = 2;
+
+// Long transcripts are split into time-ordered sections (map), each section gets its share of
+// questions, and the results are merged, deduplicated and balanced across sections (reduce).
+// Every candidate goes through the quality pipeline (quality.js); when `quizOptions.verifyAnswers`
+// is set, survivors are double-checked by a second model pass. Sections that come up short are
+// topped up with fresh questions for up to MAX_TOP_UP_ROUNDS more rounds.
+// `segments` is optional; when given, questions are anchored to the passage they came from.
+// `onProgress(stage, { completed, total })` is called as sections finish; `signal` cancels generation.
+// `onLlmCall()` is awaited before each request sent to the model, for usage accounting; if it
+// rejects (e.g. the quota is used up) that request isn't sent.
+// Resolves to { questions, sections, quality } where `quality` reports every rejected question.
+export async function generateQuestions(transcript, {
+    segments,
+    provider,
+    model,
+    quizOptions = DEFAULT_QUIZ_OPTIONS,
+    signal,
+    onProgress = () => {},
+    onLlmCall = () => {},
+} = {}) {
+    try {
+        const llm = getProvider(provider, model);
+
+        const sections = segments?.length
+            ? buildSections(buildPassages(segments))
+            : splitTextIntoSections(cleanTranscriptText(transcript));
+
+        const quotas = allocateQuestions(sections, quizOptions.questionCount);
+        const report = createQualityReport();
+        const pool = [];
+
+        // Round 0 asks every section for its quota; later rounds only ask for what's missing
+        let requests = quotas;
+        for (let round = 0; round <= MAX_TOP_UP_ROUNDS; round++) {
+            const wanted = requests.reduce((sum, count) => sum + count, 0);
+            if (wanted === 0) break;
+            report.rounds = round + 1;
+
+            const candidates = await generateRound(llm, sections, requests, {
+                quizOptions,
+                avoid: pool.map(q => q.question),
+                report,
+                signal,
+                onLlmCall,
+                onProgress: round === 0 ? onProgress : (stage, progress) => onProgress("topping-up", progress),
+                failWhenEmpty: round === 0,
+            });
+
+            let accepted = removeDuplicates(pool, candidates, report);
+            if (quizOptions.verifyAnswers) {
+                onProgress("verifying", { completed: 0, total: sections.length });
+                accepted = await verifyRound(llm, sections, accepted, { report, signal, onLlmCall });
+                report.verified = true;
+            }
+            pool.push(...accepted);
+
+            const have = quotas.map(() => 0);
+            pool.forEach(q => { have[q.sections[0]]++; });
+            requests = quotas.map((quota, i) => Math.max(0, quota - have[i]));
+            if (pool.length >= quizOptions.questionCount) break;
+        }
+
+        onProgress("validating", { completed: sections.length, total: sections.length });
+        const finalQuestions = balanceQuestions(pool, quotas, quizOptions.questionCount);
+        report.accepted = finalQuestions.length;
+
+        // More lenient minimum question threshold
+        if (finalQuestions.length < Math.min(3, quizOptions.questionCount)) {
+            throw new AppError("TOO_FEW_QUESTIONS", "Not enough reliable information in the transcript to generate a quiz");
+        }
+
+        return {
+            questions: finalQuestions,
+            sections: sections.map(({ index, start, end }) => ({ index, start, end })),
+            quality: report,
+        };
+
+    } catch (error) {
+        console.error("Error generating questions:", error);
+        throw error;
+    }
+}
+
+// Ask each section for `requests[i]` questions and run the per-question checks on the results
+async function generateRound(llm, sections, requests, { quizOptions, avoid, report, signal, onLlmCall, onProgress, failWhenEmpty }) {
+    let firstError = null;
+    let completed = 0;
+    const active = sections.filter((section, i) => requests[i] > 0).length;
+    onProgress("generating", { completed, total: active });
+
+    const perSection = await mapWithConcurrency(sections, SECTION_CONCURRENCY, async (section, i) => {
+        if (requests[i] === 0) return [];
+        signal?.throwIfAborted();
+        try {
+            const raw = await generateSectionQuestions(llm, section, {
+                ...quizOptions,
+                // Ask for a little extra when results will be deduplicated across sections
+                questionCount: sections.length > 1 ? Math.ceil(requests[i] * 1.25) : requests[i],
+            }, { avoid, signal, onLlmCall });
+            report.candidates += raw.length;
+            return acceptQuestions(raw, section, quizOptions, report);
+        } catch (error) {
+            if (signal?.aborted) throw error;
+            // One bad section shouldn't sink a long video; remember the error in case all of them fail
+            console.error(`Section ${section.index} failed:`, error.message);
+            firstError = firstError || error;
+            return [];
+        } finally {
+            onProgress("generating", { completed: ++completed, total: active });
+        }
+    });
+
+    if (failWhenEmpty && firstError && perSection.every(questions => questions.length === 0)) {
+        throw firstError;
+    }
+    return perSection.flat();
+}
+
+// Run the per-question checks on one section's raw questions and anchor the survivors to their passage
+function acceptQuestions(raw, section, quizOptions, report) {
+    return raw.flatMap(q => {
+        const { question, check, reason } = checkQuestion(q, { ...quizOptions, sectionText: sectionText(section) });
+        if (!question) {
+            recordRejection(report, q, check, reason, section.index);
+            return [];
+        }
+        const passage = section.passages?.find(p => p.index === q.passage);
+        return [{
+            ...question,
+            ...(passage && { timestamp: { start: passage.start, end: passage.end } }),
+            sections: [section.index],
+        }];
+    });
+}
+
+// Second-pass answer check, one model call per section. A failed check keeps the questions.
+async function verifyRound(llm, sections, questions, { report, signal, onLlmCall }) {
+    const results = await mapWithConcurrency(sections, SECTION_CONCURRENCY, async (section) => {
+        const own = questions.filter(q => q.sections[0] === section.index);
+        if (own.length === 0) return [];
+        try {
+            return await verifyQuestions(llm, own, sectionText(section), { report, signal, onLlmCall });
+        } catch (error) {
+            if (signal?.aborted) throw error;
+            console.error(`Answer check for section ${section.index} failed:`, error.message);
+            report.verificationErrors = (report.verificationErrors || 0) + 1;
+            return own;
+        }
+    });
+    return results.flat();
+}
+
+function sectionText(section) {
+    return section.passages ? section.passages.map(p => p.text).join(" ") : section.text;
+}
+
+// Raw question objects from the model for one section; checking is left to the caller
+async function generateSectionQuestions(llm, section, quizOptions, { avoid = [], signal, onLlmCall }) {
+    const passages = section.passages || null;
+    const promptTranscript = passages
+        ? formatPassagesForPrompt(passages)
+        : section.text;
+    const avoidList = avoid.length
+        ? `\n\n        Do not repeat or rephrase these questions, which the quiz already has:\n${avoid.map(q => `        - ${q}`).join("\n")}`
+        : "";
+
+    const prompt = `
+        Generate educational quiz questions based on this YouTube video transcript:
+
+        ${describeQuizOptions(quizOptions)}${avoidList}
+
+        GUIDANCE FOR GENERATING GOOD QUESTIONS:
+        1. Create questions about key concepts, facts, definitions, or ideas from the transcript.
+        2. Make questions clear and specific - each should stand on its own without needing additional context.
+        3. Follow the answer format of each question type exactly; choice questions must not have ambiguous options.
+           Never use "All of the above", "None of the above" or similar options, and keep the correct option about as long as the distractors.
+        4. Focus on the main educational content in the transcript.
+        5. Assign higher confidence scores (0.7+) to questions about clearly stated information.
+        6. If the content is technical or specialized, include necessary context within the question.
+        7. Avoid creating questions about ambiguous or unclear parts of the transcript.
+        8. Explain each correct answer, and support it with a quote copied word for word from the transcript (a phrase or sentence, without the passage markers).
+        9. ${FORMATTING_GUIDANCE}${passages ? `
+        10. The transcript is split into passages marked [P<number> start-end]. Set "passage" to the number of the passage each question is drawn from.` : ""}
+
+        Remember to create educational questions that test understanding of the content.
+
+        Transcript: ${promptTranscript}`;
+
+    // Rate limits and outages are retried with backoff; every attempt counts towards usage
+    const responseText = await withRetry(async () => {
+        await onLlmCall();
+        try {
+            return await llm.generateContent({
+                prompt,
+                schema: buildQuestionSchema(quizOptions, passages),
+                temperature: 0.2,  // Slightly increased for more variety
+                maxOutputTokens: 8000,
+                signal,
+            });
+        } catch (error) {
+            if (signal?.aborted) throw error;
+            throw toLlmError(error);
+        }
+    }, { signal });
+
+    // Parse and validate questions
+    let questions;
+    try {
+        questions = JSON.parse(responseText);
+    } catch (e) {
+        console.error("Failed to parse JSON response:", e);
+        throw new AppError("LLM_INVALID_JSON", "AI returned invalid JSON. Please try another video.");
+    }
+
+    return Array.isArray(questions) ? questions : [];
+}
+
+// Candidates asked for when replacing one question, so a rejection or two still leaves one
+const REPLACEMENT_CANDIDATES = 3;
+
+// Write one new question of `type` from section `sectionIndex` of the transcript, unlike any of
+// `existing` (the questions the quiz keeps). Same options and quality checks as generateQuestions.
+// Resolves to { question, quality }; throws TOO_FEW_QUESTIONS when every candidate was rejected.
+export async function regenerateQuestion(transcript, {
+    segments,
+    provider,
+    model,
+    quizOptions = DEFAULT_QUIZ_OPTIONS,
+    sectionIndex = 0,
+    type,
+    existing = [],
+    signal,
+    onLlmCall = () => {},
+} = {}) {
+    const llm = getProvider(provider, model);
+    const sections = segments?.length
+        ? buildSections(buildPassages(segments))
+        : splitTextIntoSections(cleanTranscriptText(transcript));
+    const section = sections[sectionIndex] || sections[0];
+
+    const options = {
+        ...quizOptions,
+        questionCount: REPLACEMENT_CANDIDATES,
+        questionTypes: type ? [type] : quizOptions.questionTypes,
+    };
+    const report = createQualityReport();
+    report.rounds = 1;
+
+    const raw = await generateSectionQuestions(llm, section, options, { avoid: existing.map(q => q.question), signal, onLlmCall });
+    report.candidates = raw.length;
+
+    // removeDuplicates merges section lists into the kept questions, so give it copies
+    const kept = existing.map(q => ({ ...q, sections: [...(q.sections || [])] }));
+    let candidates = removeDuplicates(kept, acceptQuestions(raw, section, options, report), report);
+    if (quizOptions.verifyAnswers && candidates.length > 0) {
+        candidates = await verifyQuestions(llm, candidates, sectionText(section), { report, signal, onLlmCall });
+        report.verified = true;
+    }
+
+    if (candidates.length === 0) {
+        throw new AppError("TOO_FEW_QUESTIONS", "Couldn't write a replacement question that passed the quality checks. Please try again.");
+    }
+    report.accepted = 1;
+    return { question: candidates[0], quality: report };
+}
+
+// Write one follow-up question for each of `targets` ({ question, difficulty, section, concept? }):
+// a missed question to be tested again from another angle, at its own difficulty and of its own type.
+// One model call per section. Resolves to { questions, quality } with `questions` aligned with
+// `targets`: the new question with a short `concept` name, or null when every candidate was rejected
+// or its section failed. Rejects only when no section produced anything and one of them failed.
+export async function generatePracticeQuestions(transcript, {
+    segments,
+    provider,
+    model,
+    quizOptions = DEFAULT_QUIZ_OPTIONS,
+    targets,
+    avoid = [],
+    signal,
+    onLlmCall = () => {},
+} = {}) {
+    const llm = getProvider(provider, model);
+    const sections = segments?.length
+        ? buildSections(buildPassages(segments))
+        : splitTextIntoSections(cleanTranscriptText(transcript));
+    const report = createQualityReport();
+    report.rounds = 1;
+
+    const groups = new Map();
+    targets.forEach((target, i) => {
+        const section = sections[target.section] || sections[0];
+        if (!groups.has(section)) groups.set(section, []);
+        groups.get(section).push(i);
+    });
+
+    const candidates = new Array(targets.length).fill(null);
+    let firstError = null;
+    await mapWithConcurrency([...groups], SECTION_CONCURRENCY, async ([section, indexes]) => {
+        const group = indexes.map(i => targets[i]);
+        let raw;
+        try {
+            raw = await generateSectionFollowUps(llm, section, group, quizOptions, { avoid, signal, onLlmCall });
+        } catch (error) {
+            if (signal?.aborted) throw error;
+            // Its targets stay null; the other sections' follow-ups are still worth keeping
+            console.error(`Follow-ups for section ${section.index} failed:`, error.message);
+            firstError = firstError || error;
+            return;
+        }
+        report.candidates += raw.length;
+        // The model answers in the order the missed questions were listed
+        indexes.forEach((i, position) => {
+            const q = raw[position];
+            const [question] = acceptQuestions(q ? [q] : [], section, { ...quizOptions, questionTypes: [targets[i].question.type] }, report);
+            if (question) {
+                const concept = targets[i].concept || (typeof q.concept === "string" && q.concept.trim()) || null;
+                candidates[i] = { ...question, concept };
+            }
+        });
+    });
+    if (firstError && candidates.every(question => question === null)) throw firstError;
+
+    // Nothing asked before may come back, however it's worded
+    const kept = avoid.map(question => ({ question, sections: [] }));
+    const unique = new Set(removeDuplicates(kept, candidates.filter(Boolean), report));
+    let questions = candidates.map(question => (unique.has(question) ? question : null));
+    if (quizOptions.verifyAnswers && unique.size > 0) {
+        const passed = new Set(await verifyRound(llm, sections, [...unique], { report, signal, onLlmCall }));
+        questions = questions.map(question => (passed.has(question) ? question : null));
+        report.verified = true;
+    }
+
+    report.accepted = questions.filter(Boolean).length;
+    return { questions, quality: report };
+}
+
+async function generateSectionFollowUps(llm, section, targets, quizOptions, { avoid, signal, onLlmCall }) {
+    const passages = section.passages || null;
+    const questionTypes = [...new Set(targets.map(target => target.question.type))];
+    const schema = buildQuestionSchema({ questionCount: targets.length, questionTypes }, passages);
+    schema.items.properties.concept = {
+        type: "string",
+        description: "The concept the question tests, in a few words.",
+    };
+    schema.items.required.push("concept");
+
+    const missed = targets.map((target, i) => {
+        const answer = target.question.correctAnswers?.join(", ") ?? target.question.correctAnswer;
+        return `        ${i + 1}. (${target.question.type}, write it ${target.difficulty}) ${target.question.question} Answer: ${answer}`;
+    }).join("\n");
+    const languageLine = quizOptions.language
+        ? `\n        Write every question, option and answer in ${languageName(quizOptions.language)}; keep "True"/"False" options and the supporting quote in the original language of the transcript.`
+        : "";
+
+    const prompt = `
+        A learner answered these quiz questions about a YouTube video wrongly:
+
+${missed}
+
+        Write exactly ${targets.length} new questions, one for each missed question and in the same order.
+        Each new question must test the same concept as its missed question, from a different angle and
+        in different words, so it can't be answered by remembering the original. Keep the question type
+        of the missed question and write it at the difficulty given:
+        - easy: ${DIFFICULTIES.easy}
+        - medium: ${DIFFICULTIES.medium}
+        - hard: ${DIFFICULTIES.hard}${languageLine}
+
+        Question types:
+${questionTypes.map(type => `        - ${type}: ${QUESTION_TYPES[type]}`).join("\n")}
+
+        Do not repeat or rephrase any of these questions:
+${avoid.map(q => `        - ${q}`).join("\n")}
+
+        Never use "All of the above", "None of the above" or similar options, and keep the correct option about as long as the distractors.
+        Set "concept" to the concept a question tests, in a few words. Explain each correct answer, and support it
+        with a quote copied word for word from the transcript (a phrase or sentence, without the passage markers).
+        ${FORMATTING_GUIDANCE}${passages ? `
+        The transcript is split into passages marked [P<number> start-end]. Set "passage" to the number of the passage each question is drawn from.` : ""}
+
+        Transcript: ${passages ? formatPassagesForPrompt(passages) : section.text}`;
+
+    const responseText = await withRetry(async () => {
+        await onLlmCall();
+        try {
+            return await llm.generateContent({ prompt, schema, temperature: 0.4, maxOutputTokens: 6000, signal });
+        } catch (error) {
+            if (signal?.aborted) throw error;
+            throw toLlmError(error);
+        }
+    }, { signal });
+
+    let questions;
+    try {
+        questions = JSON.parse(responseText);
+    } catch (e) {
+        console.error("Failed to parse JSON response:", e);
+        throw new AppError("LLM_INVALID_JSON", "AI returned invalid JSON. Please try again.");
+    }
+    return Array.isArray(questions) ? questions : [];
+}
+
+// Spread the requested count over sections in proportion to their length.
+// Every section gets at least one question while there are enough to go round.
+function allocateQuestions(sections, questionCount) {
+    const lengths = sections.map(section => section.passages
+        ? section.passages.reduce((sum, p) => sum + p.text.length, 0)
+        : section.text.length);
+    const total = lengths.reduce((sum, length) => sum + length, 0) || 1;
+
+    const quotas = sections.map(() => (questionCount >= sections.length ? 1 : 0));
+    let remaining = questionCount - quotas.reduce((sum, q) => sum + q, 0);
+
+    // Largest remainder method for what's left
+    const shares = lengths.map((length, i) => ({ i, share: (length / total) * remaining }));
+    shares.forEach(({ i, share }) => { quotas[i] += Math.floor(share); });
+    remaining = questionCount - quotas.reduce((sum, q) => sum + q, 0);
+    shares
+        .sort((a, b) => (b.share % 1) - (a.share % 1))
+        .slice(0, remaining)
+        .forEach(({ i }) => { quotas[i]++; });
+
+    return quotas;
+}
+
+// Take each section's quota first, then top up from whatever is left, and return in video order
+function balanceQuestions(questions, quotas, questionCount) {
+    const bySection = quotas.map(() => []);
+    questions.forEach(q => bySection[q.sections[0]].push(q));
+
+    const selected = bySection.flatMap((list, i) => list.slice(0, quotas[i]));
+    const leftovers = bySection.flatMap((list, i) => list.slice(quotas[i]));
+    selected.push(...leftovers.slice(0, Math.max(0, questionCount - selected.length)));
+
+    return selected.sort((a, b) =>
+        a.sections[0] - b.sections[0] || (a.timestamp?.start ?? 0) - (b.timestamp?.start ?? 0));
+}
+
+export async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (next < items.length) {
+            const i = next++;
+            results[i] = await fn(items[i], i);
+        }
+    });
+    await Promise.all(workers);
+    return results;
+}
@@ -0,0 +1,124 @@
+import { EventEmitter } from "node:events";
+import { randomUUID } from "node:crypto";
+
+// In-memory registry of background quiz generation jobs. A job runs `task({ signal, report })`
+// where `report(stage, details)` publishes progress; the task resolves to { status, body }
+// exactly like an HTTP response so jobs and the synchronous route share one code path.
+// Jobs live in this process only and keep running after the response, which serverless hosts
+// don't allow: there (Vercel sets VERCEL) they're off unless BACKGROUND_JOBS=1, and clients
+// generate through POST /api/get-transcript instead. BACKGROUND_JOBS=0 turns them off anywhere.
+// `owner` records who started the job; lookups that pass an owner only see matching jobs.
+
+const JOB_TTL_MS = 30 * 60 * 1000;
+
+const jobs = new Map();
+
+export const jobsEnabled = process.env.BACKGROUND_JOBS
+    ? process.env.BACKGROUND_JOBS === "1"
+    : !process.env.VERCEL;
+
+export const FINAL_STATUSES = ["done", "failed", "cancelled"];
+
+function snapshot(job) {
+    return {
+        id: job.id,
+        status: job.status,
+        stage: job.stage,
+        progress: job.progress,
+        message: job.message,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt,
+        ...(job.result && { result: job.result }),
+        ...(job.error && { error: job.error }),
+    };
+}
+
+// Every field given in `owner` must match the one recorded on the job
+function ownedBy(job, owner) {
+    return !owner || Object.entries(owner).every(([field, value]) => job.owner[field] === value);
+}
+
+function findJob(id, owner) {
+    const job = jobs.get(id);
+    return job && ownedBy(job, owner) ? job : null;
+}
+
+function update(job, changes) {
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    job.events.emit("update", snapshot(job));
+}
+
+export function createJob(task, owner = {}) {
+    const now = new Date().toISOString();
+    const job = {
+        id: randomUUID(),
+        status: "queued",
+        stage: "queued",
+        progress: 0,
+        message: "Waiting to start",
+        createdAt: now,
+        updatedAt: now,
+        owner,
+        controller: new AbortController(),
+        events: new EventEmitter(),
+    };
+    jobs.set(job.id, job);
+
+    const report = (stage, { progress, message } = {}) => {
+        if (FINAL_STATUSES.includes(job.status)) return;
+        update(job, { status: "running", stage, progress: progress ?? job.progress, message: message ?? job.message });
+    };
+
+    // Start on the next tick so the caller can hand out the ID first
+    setImmediate(async () => {
+        try {
+            const { status, body } = await task({ signal: job.controller.signal, report });
+            if (job.status === "cancelled") return;
+
+            if (status >= 400) {
+                update(job, { status: "failed", stage: "failed", message: body.error, error: body });
+            } else {
+                update(job, { status: "done", stage: "done", progress: 100, message: "Quiz ready", result: body });
+            }
+        } catch (error) {
+            if (job.status === "cancelled") return;
+            console.error(`Job ${job.id} failed:`, error);
+            update(job, {
+                status: "failed",
+                stage: "failed",
+                message: "Failed to generate questions. Please try another video.",
+                error: { error: "Failed to generate questions. Please try another video.", code: "INTERNAL_ERROR" },
+            });
+        } finally {
+            setTimeout(() => jobs.delete(job.id), JOB_TTL_MS).unref();
+        }
+    });
+
+    return snapshot(job);
+}
+
+export function getJob(id, owner) {
+    const job = findJob(id, owner);
+    return job ? snapshot(job) : null;
+}
+
+// Returns the updated job, or null if it doesn't exist
+export function cancelJob(id, owner) {
+    const job = findJob(id, owner);
+    if (!job) return null;
+
+    if (!FINAL_STATUSES.includes(job.status)) {
+        job.controller.abort();
+        update(job, { status: "cancelled", stage: "cancelled", message: "Cancelled" });
+    }
+    return snapshot(job);
+}
+
+// Call `listener(snapshot)` on every change; returns an unsubscribe function
+export function subscribeToJob(id, listener, owner) {
+    const job = findJob(id, owner);
+    if (!job) return null;
+
+    job.events.on("update", listener);
+    return () => job.events.off("update", listener);
+}
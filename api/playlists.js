@@ -0,0 +1,130 @@
+import { AppError } from "./errors.js";
+import { extractJsonObject, fetchFromYouTube, defaultHttpGet } from "./captions.js";
+
+// Playlist quizzes: reading the videos off a playlist page, sharing a combined quiz's
+// questions out between them and merging the per-video results into one quiz.
+
+// "per-video" makes one quiz for each video, "combined" one quiz covering them all
+export const PLAYLIST_MODES = ["combined", "per-video"];
+
+export const MAX_PLAYLIST_VIDEOS = 25;
+
+export function isPlaylistId(value) {
+    return typeof value === "string" && /^[\w-]{10,64}$/.test(value);
+}
+
+// Find `ytInitialData` in a playlist page, whichever way it was assigned
+function extractInitialData(html) {
+    const assignment = /ytInitialData"?\]?\s*=\s*\{/g;
+    let match;
+    while ((match = assignment.exec(html)) !== null) {
+        const data = extractJsonObject(html, match.index + match[0].length - 1);
+        if (data) return data;
+    }
+    return null;
+}
+
+// Every value stored under `key` anywhere in `node`; the page layout moves renderers around
+function findAll(node, key, found = []) {
+    if (Array.isArray(node)) {
+        node.forEach(child => findAll(child, key, found));
+    } else if (node && typeof node === "object") {
+        for (const [name, value] of Object.entries(node)) {
+            if (name === key) found.push(value);
+            else findAll(value, key, found);
+        }
+    }
+    return found;
+}
+
+const textOf = (text) => (typeof text === "string" ? text : text?.simpleText ?? text?.runs?.map(run => run.text).join("") ?? "");
+
+// { title, videos: [{ videoId, title, lengthSeconds?, playable }] } in playlist order,
+// or null when the page has no playlist data. Only the videos on the first page are listed.
+export function parsePlaylistPage(html) {
+    const data = extractInitialData(html);
+    if (!data) return null;
+
+    const seen = new Set();
+    const videos = findAll(data, "playlistVideoRenderer")
+        .filter(video => video?.videoId && !seen.has(video.videoId) && seen.add(video.videoId))
+        .map(video => ({
+            videoId: video.videoId,
+            title: textOf(video.title),
+            ...(video.lengthSeconds && { lengthSeconds: Number(video.lengthSeconds) }),
+            playable: video.isPlayable !== false,
+        }));
+
+    const title = textOf(data.metadata?.playlistMetadataRenderer?.title) ||
+        textOf(data.header?.playlistHeaderRenderer?.title);
+    return { title, videos };
+}
+
+// Fetch a playlist page. Resolves to { id, title, videos, videoCount } with at most
+// MAX_PLAYLIST_VIDEOS videos; `videoCount` is how many the page listed.
+export async function fetchPlaylist(playlistId, { httpGet = defaultHttpGet, signal } = {}) {
+    console.log("Fetching playlist:", playlistId);
+    const html = String(await fetchFromYouTube(httpGet, `https://www.youtube.com/playlist?list=${encodeURIComponent(playlistId)}`, signal));
+
+    const playlist = parsePlaylistPage(html);
+    if (!playlist || playlist.videos.length === 0) {
+        console.error(`Playlist ${playlistId} has no videos we can read`);
+        throw new AppError("PLAYLIST_UNAVAILABLE", "This playlist is private, empty or doesn't exist");
+    }
+
+    return {
+        id: playlistId,
+        title: playlist.title,
+        videos: playlist.videos.slice(0, MAX_PLAYLIST_VIDEOS),
+        videoCount: playlist.videos.length,
+    };
+}
+
+// Share `questionCount` evenly between `videoCount` videos, earlier videos taking the remainder.
+// Every video gets at least one question, so the total can exceed `questionCount`.
+export function shareQuestions(questionCount, videoCount) {
+    const base = Math.max(1, Math.floor(questionCount / videoCount));
+    const extra = questionCount > videoCount ? questionCount % videoCount : 0;
+    return Array.from({ length: videoCount }, (_, i) => base + (i < extra ? 1 : 0));
+}
+
+// Add up the quality reports of each video's quiz; rejections keep their videoId
+function mergeQualityReports(parts) {
+    const merged = { candidates: 0, rounds: 0, verified: true, rejectedByCheck: {}, rejected: [], accepted: 0 };
+    parts.forEach(({ videoId, generated: { quality } }) => {
+        merged.candidates += quality.candidates;
+        merged.rounds = Math.max(merged.rounds, quality.rounds);
+        merged.verified = merged.verified && quality.verified;
+        merged.accepted += quality.accepted || 0;
+        Object.entries(quality.rejectedByCheck).forEach(([check, count]) => {
+            merged.rejectedByCheck[check] = (merged.rejectedByCheck[check] || 0) + count;
+        });
+        merged.rejected.push(...quality.rejected.map(rejection => ({ ...rejection, videoId })));
+    });
+    return merged;
+}
+
+// One quiz from each video's generateQuestions result, in playlist order. Questions and sections
+// carry their videoId, and question section numbers point into the combined `sections`.
+export function combineQuizzes(parts) {
+    const questions = [];
+    const sections = [];
+    parts.forEach(({ videoId, generated }) => {
+        const offset = sections.length;
+        sections.push(...generated.sections.map(section => ({ ...section, index: offset + section.index, videoId })));
+        questions.push(...generated.questions.map(question => ({
+            ...question,
+            videoId,
+            ...(question.sections && { sections: question.sections.map(index => offset + index) }),
+        })));
+    });
+
+    return { questions, sections, quality: mergeQualityReports(parts) };
+}
+
+// Position of a question's section within its own video's sections. Combined quizzes number
+// sections across all their videos; other quizzes have a single numbering anyway.
+export function localSectionIndex(sections, question) {
+    const own = sections.filter(section => section.videoId === question.videoId);
+    return Math.max(0, own.findIndex(section => section.index === question.sections?.[0]));
+}
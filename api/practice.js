@@ -0,0 +1,118 @@
+import { randomUUID } from "node:crypto";
+import { createStore } from "./store.js";
+
+// Adaptive practice on the concepts a learner missed. Each missed question becomes a concept.
+// Every round asks one fresh question per concept that isn't mastered yet, worded differently
+// from anything asked before: easier after a miss, harder after a correct answer. A concept is
+// mastered after MASTERY_STREAK correct answers in a row; sessions end when every concept is
+// mastered or after MAX_PRACTICE_ROUNDS rounds.
+
+export const MAX_PRACTICE_ROUNDS = 4;
+export const MASTERY_STREAK = 2;
+
+const DIFFICULTY_STEPS = ["easy", "medium", "hard"];
+
+const sessions = createStore("practice-sessions");
+
+export function adjustDifficulty(difficulty, correct) {
+    const step = DIFFICULTY_STEPS.indexOf(difficulty) + (correct ? 1 : -1);
+    return DIFFICULTY_STEPS[Math.min(Math.max(step, 0), DIFFICULTY_STEPS.length - 1)];
+}
+
+// One concept per missed question of a graded quiz. `locateSection(question)` gives the
+// section of its video (or text) the question was drawn from.
+export function conceptsFromResults(quiz, results, locateSection) {
+    const difficulty = adjustDifficulty(quiz.quizOptions?.difficulty || "medium", false);
+    return results
+        .filter(result => !result.correct)
+        .map((result, id) => {
+            const question = quiz.questions[result.index];
+            return {
+                id,
+                name: null,
+                original: question,
+                videoId: question.videoId || quiz.videoId || null,
+                section: locateSection(question),
+                difficulty,
+                attempts: 0,
+                correct: 0,
+                streak: 0,
+                mastered: false,
+            };
+        });
+}
+
+// Update concepts with a graded round; `questions` and `results` are aligned
+export function recordRound(concepts, questions, results) {
+    return concepts.map(concept => {
+        const i = questions.findIndex(question => question.conceptId === concept.id);
+        if (i === -1) return concept;
+
+        const correct = results[i].correct;
+        const streak = correct ? concept.streak + 1 : 0;
+        return {
+            ...concept,
+            attempts: concept.attempts + 1,
+            correct: concept.correct + (correct ? 1 : 0),
+            streak,
+            mastered: streak >= MASTERY_STREAK,
+            difficulty: adjustDifficulty(concept.difficulty, correct),
+        };
+    });
+}
+
+export function masterySummary(concepts) {
+    return concepts.map(({ id, name, original, attempts, correct, mastered, difficulty }) => ({
+        id,
+        concept: name || original.question,
+        attempts,
+        correct,
+        mastered,
+        difficulty,
+    }));
+}
+
+// What generatePracticeQuestions needs to follow up on each concept not mastered yet
+export function practiceTargets(concepts) {
+    return concepts
+        .filter(concept => !concept.mastered)
+        .map(({ original, difficulty, section, name }) => ({ question: original, difficulty, section, concept: name }));
+}
+
+// Turn the questions generatePracticeQuestions wrote for practiceTargets(concepts) into the next
+// round. Concepts are named after their first follow-up; ones that got no question sit the round out.
+export function startRound(concepts, generated) {
+    const pending = concepts.filter(concept => !concept.mastered);
+    const questions = [];
+    const named = new Map();
+    pending.forEach((concept, i) => {
+        const question = generated[i];
+        if (!question) return;
+        const name = concept.name || question.concept;
+        named.set(concept.id, name);
+        questions.push({ ...question, concept: name, conceptId: concept.id });
+    });
+    return {
+        concepts: concepts.map(concept => (named.has(concept.id) ? { ...concept, name: named.get(concept.id) } : concept)),
+        questions,
+    };
+}
+
+export async function createPracticeSession(fields) {
+    const now = new Date().toISOString();
+    const session = { id: randomUUID(), createdAt: now, updatedAt: now, round: 0, questions: [], rounds: [], finished: false, ...fields };
+    await sessions.set(session.id, session);
+    return session;
+}
+
+// Sessions belong to the learner who started them; anyone else gets null
+export async function getPracticeSession(id, ownerId) {
+    const session = await sessions.get(id);
+    return session && session.ownerId === ownerId ? session : null;
+}
+
+export async function savePracticeSession(session) {
+    const updated = { ...session, updatedAt: new Date().toISOString() };
+    await sessions.set(session.id, updated);
+    return updated;
+}
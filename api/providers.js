@@ -0,0 +1,269 @@
+import axios from "axios";
+import { GoogleGenerativeAI } from "@google/generative-ai";
+
+// Every provider exposes the same shape:
+//   { name, model, generateContent({ prompt, schema, temperature, maxOutputTokens, signal }) -> Promise<string> }
+// The returned string is the raw JSON text produced by the model; callers parse it.
+// `signal` is an optional AbortSignal that cancels the request.
+
+function createGeminiProvider({ apiKey = process.env.GEMINI_API, model = "gemini-1.5-pro" } = {}) {
+    const genAI = new GoogleGenerativeAI(apiKey);
+
+    return {
+        name: "gemini",
+        model,
+        async generateContent({ prompt, schema, temperature, maxOutputTokens, signal }) {
+            const generativeModel = genAI.getGenerativeModel({
+                model,
+                generationConfig: {
+                    responseMimeType: "application/json",
+                    responseSchema: schema,
+                    temperature,
+                    maxOutputTokens,
+                },
+            });
+
+            const result = await generativeModel.generateContent(prompt, { signal });
+
+            if (!result.response || !result.response.text) {
+                throw new Error("Invalid response from AI model.");
+            }
+
+            return result.response.text();
+        }
+    };
+}
+
+// Works with OpenAI and anything that speaks its chat completions API (vLLM, LM Studio, Groq, ...)
+function createOpenAIProvider({
+    baseUrl = process.env.OPENAI_BASE_URL || "https://api.openai.com/v1",
+    apiKey = process.env.OPENAI_API_KEY,
+    model = process.env.OPENAI_MODEL || "gpt-4o-mini"
+} = {}) {
+    return {
+        name: "openai",
+        model,
+        async generateContent({ prompt, schema, temperature, maxOutputTokens, signal }) {
+            // Structured outputs require an object at the root, so arrays are wrapped and unwrapped again
+            const wrapped = schema.type !== "object";
+            const responseSchema = wrapped
+                ? { type: "object", properties: { result: schema }, required: ["result"] }
+                : schema;
+
+            const response = await axios.post(`${baseUrl.replace(/\/+$/, "")}/chat/completions`, {
+                model,
+                messages: [{ role: "user", content: prompt }],
+                temperature,
+                max_tokens: maxOutputTokens,
+                response_format: {
+                    type: "json_schema",
+                    json_schema: { name: "response", schema: responseSchema, strict: false }
+                }
+            }, {
+                headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+                signal
+            });
+
+            const text = response.data?.choices?.[0]?.message?.content;
+            if (typeof text !== "string") {
+                throw new Error("Invalid response from AI model.");
+            }
+
+            if (!wrapped) return text;
+
+            // Let the caller report unparsable output the same way for every provider
+            try {
+                return JSON.stringify(JSON.parse(text).result);
+            } catch (e) {
+                return text;
+            }
+        }
+    };
+}
+
+// Local models served by Ollama, using its native structured output support
+function createOllamaProvider({
+    host = process.env.OLLAMA_HOST || "http://localhost:11434",
+    model = process.env.OLLAMA_MODEL || "llama3.1"
+} = {}) {
+    return {
+        name: "ollama",
+        model,
+        async generateContent({ prompt, schema, temperature, maxOutputTokens, signal }) {
+            const response = await axios.post(`${host.replace(/\/+$/, "")}/api/chat`, {
+                model,
+                messages: [{ role: "user", content: prompt }],
+                format: schema,
+                stream: false,
+                options: { temperature, num_predict: maxOutputTokens }
+            }, { signal });
+
+            const text = response.data?.message?.content;
+            if (typeof text !== "string") {
+                throw new Error("Invalid response from AI model.");
+            }
+            return text;
+        }
+    };
+}
+
+// Deterministic offline provider: builds a response that satisfies the schema
+// from sentences of the prompt itself, so the same prompt always gives the same output.
+// Every prompt ends with "Transcript: ...", so that's the text it draws from.
+function createFakeProvider({ model = "fake" } = {}) {
+    return {
+        name: "fake",
+        model,
+        async generateContent({ prompt, schema, signal }) {
+            signal?.throwIfAborted();
+            const source = (prompt.split(/Transcript:/i).pop() || prompt).replace(/\[[^\]]*\]/g, " ");
+            const sentences = source
+                .split(/(?<=[.!?])\s+|\n+/)
+                .map(s => s.trim())
+                .filter(s => s.split(" ").length >= 4);
+            const words = [...new Set(source.match(/[A-Za-z][A-Za-z'-]{3,}/g) || [])];
+
+            const random = seededRandom(hashString(prompt));
+            const pick = (list, fallback) => list.length ? list[Math.floor(random() * list.length)] : fallback;
+
+            return JSON.stringify(fakeValue(schema, { sentences, words, random, pick }, ""));
+        }
+    };
+}
+
+function fakeValue(schema, ctx, key) {
+    switch (schema.type) {
+        case "object": {
+            const value = {};
+            for (const [prop, propSchema] of Object.entries(schema.properties || {})) {
+                value[prop] = fakeValue(propSchema, ctx, prop);
+            }
+            return "question" in value ? fakeQuestion(value) : value;
+        }
+        case "array": {
+            const count = schema.minItems ?? Math.min(schema.maxItems ?? 4, 4);
+            const items = [];
+            const seen = new Set();
+            for (let attempt = 0; items.length < count && attempt < count * 20; attempt++) {
+                const item = fakeValue(schema.items || { type: "string" }, ctx, key);
+                const id = JSON.stringify(item);
+                if (seen.has(id)) continue;
+                seen.add(id);
+                items.push(item);
+            }
+            // Pad deterministically if the source text ran out of distinct material
+            while (items.length < count && (schema.items?.type || "string") === "string") {
+                items.push(`${fakeValue(schema.items || { type: "string" }, ctx, key)} ${items.length + 1}`);
+            }
+            return items;
+        }
+        case "integer":
+            if (schema.minimum !== undefined && schema.maximum !== undefined) {
+                return schema.minimum + Math.floor(ctx.random() * (schema.maximum - schema.minimum + 1));
+            }
+            return schema.maximum ?? 1;
+        case "number":
+            return schema.maximum ?? 1;
+        case "boolean":
+            return true;
+        default:
+            if (schema.enum) return ctx.pick(schema.enum, schema.enum[0]);
+            if (key === "question") {
+                return `What does the video say about "${ctx.pick(ctx.sentences, "the main topic")}"?`;
+            }
+            if (key === "options") {
+                return ctx.pick(ctx.words, "option") + " " + ctx.pick(ctx.words, "choice");
+            }
+            return ctx.pick(ctx.sentences, ctx.pick(ctx.words, "text"));
+    }
+}
+
+// Keep quiz answers consistent with the generated options and question type
+function fakeQuestion(value) {
+    const options = Array.isArray(value.options) ? value.options : [];
+    switch (value.type) {
+        case "multi-select":
+            return { ...value, options, correctAnswer: "", correctAnswers: options.slice(0, 2) };
+        case "true-false":
+            return { ...value, options: ["True", "False"], correctAnswer: "True" };
+        case "fill-in-the-blank":
+        case "short-answer": {
+            const answer = options[0] || "answer";
+            const question = value.type === "fill-in-the-blank"
+                ? `Complete the statement from the video: _____ relates to ${answer}.`
+                : value.question;
+            return { ...value, question, options: [], correctAnswer: answer, acceptableAnswers: [] };
+        }
+        default:
+            return options.length ? { ...value, correctAnswer: options[0] } : value;
+    }
+}
+
+function hashString(str) {
+    let hash = 2166136261;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+}
+
+// mulberry32
+function seededRandom(seed) {
+    return () => {
+        seed = (seed + 0x6D2B79F5) >>> 0;
+        let t = seed;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+const factories = {
+    gemini: createGeminiProvider,
+    openai: createOpenAIProvider,
+    ollama: createOllamaProvider,
+    fake: createFakeProvider,
+};
+
+export const providerNames = Object.keys(factories);
+
+// Model names as providers spell them, e.g. "gpt-4o-mini", "llama3.1:8b" or "org/model-7b".
+// LLM_MODELS (comma-separated) limits callers to those models.
+const MODEL_PATTERN = /^[\w.:/-]{1,100}$/;
+
+export function isAllowedModel(model) {
+    if (typeof model !== "string" || !MODEL_PATTERN.test(model)) return false;
+    const allowed = (process.env.LLM_MODELS || "").split(",").map(name => name.trim()).filter(Boolean);
+    return allowed.length === 0 || allowed.includes(model);
+}
+
+// Providers are kept per provider and model; the oldest goes once there are this many
+const MAX_INSTANCES = 20;
+const instances = new Map();
+
+// Resolve a provider by name (falls back to LLM_PROVIDER, then gemini).
+// Endpoints and keys only ever come from the environment; callers may pick the provider and
+// a model that isAllowedModel accepts.
+export function getProvider(name, model) {
+    const providerName = (name || process.env.LLM_PROVIDER || "gemini").toLowerCase();
+    const factory = Object.hasOwn(factories, providerName) && factories[providerName];
+    if (!factory) {
+        throw new Error(`Unknown LLM provider "${providerName}". Available: ${providerNames.join(", ")}`);
+    }
+    if (model && !isAllowedModel(model)) {
+        throw new Error(`Model "${String(model).slice(0, 100)}" is not allowed`);
+    }
+
+    // LLM_MODEL only applies to the configured default provider
+    const defaultModel = providerName === (process.env.LLM_PROVIDER || "gemini").toLowerCase()
+        ? process.env.LLM_MODEL
+        : undefined;
+    const resolvedModel = model || defaultModel || undefined;
+    const cacheKey = `${providerName}:${resolvedModel || ""}`;
+    if (!instances.has(cacheKey)) {
+        if (instances.size >= MAX_INSTANCES) instances.delete(instances.keys().next().value);
+        instances.set(cacheKey, factory(resolvedModel ? { model: resolvedModel } : {}));
+    }
+    return instances.get(cacheKey);
+}
@@ -0,0 +1,185 @@
+import { normalizeQuestion } from "./quiz.js";
+import { containsQuote } from "./transcript.js";
+import { AppError, toLlmError, withRetry } from "./errors.js";
+
+// Question quality pipeline. Every candidate from the model goes through the per-question
+// checks below; survivors are deduplicated against each other and can then be double-checked
+// by a second model pass. Rejections are collected in a report so clients can see which
+// check removed which question.
+
+const MIN_CONFIDENCE = 0.6;
+
+// Questions whose wording overlaps this much are treated as the same question
+const DUPLICATE_SIMILARITY = 0.7;
+
+// Options that let learners answer without knowing the material
+const GIVEAWAY_OPTIONS = [
+    /\b(all|none) of (the )?(above|these|the options|the answers)\b/i,
+    /^both( of the above| [a-d] and [a-d])?$/i,
+    /^neither( of the above)?$/i,
+];
+
+// A correct option this much longer than the average distractor (and by a real margin) stands out
+const LENGTH_GIVEAWAY_RATIO = 1.8;
+const LENGTH_GIVEAWAY_MIN_CHARS = 15;
+
+export function createQualityReport() {
+    return { candidates: 0, rounds: 0, verified: false, rejectedByCheck: {}, rejected: [] };
+}
+
+export function recordRejection(report, question, check, reason, section) {
+    report.rejectedByCheck[check] = (report.rejectedByCheck[check] || 0) + 1;
+    report.rejected.push({
+        check,
+        reason,
+        question: typeof question?.question === "string" ? question.question : null,
+        ...(section !== undefined && { section }),
+    });
+}
+
+function findGiveawayOption(options) {
+    return options.find(option => GIVEAWAY_OPTIONS.some(pattern => pattern.test(option.trim())));
+}
+
+function hasLengthGiveaway(question) {
+    if (question.type !== "single-choice") return false;
+    const correct = question.correctAnswer.length;
+    const distractors = question.options.filter(option => option !== question.correctAnswer).map(o => o.length);
+    const average = distractors.reduce((sum, length) => sum + length, 0) / distractors.length;
+    return correct > Math.max(...distractors) &&
+        correct >= average * LENGTH_GIVEAWAY_RATIO &&
+        correct - average >= LENGTH_GIVEAWAY_MIN_CHARS;
+}
+
+// Run the per-question checks on one raw model question.
+// Returns { question } (normalized, with citation) or { check, reason } for the first failed check.
+export function checkQuestion(raw, { questionTypes, citationPolicy, sectionText }) {
+    if (!raw || typeof raw !== "object") {
+        return { check: "format", reason: "Not a question object" };
+    }
+    if (!(raw.confidence >= MIN_CONFIDENCE)) {
+        return { check: "low-confidence", reason: `Model confidence ${raw.confidence ?? "missing"} is below ${MIN_CONFIDENCE}` };
+    }
+
+    const question = normalizeQuestion(raw, questionTypes);
+    if (!question) {
+        return { check: "format", reason: "Missing fields, too short, or options and answer don't fit the question type" };
+    }
+
+    const giveaway = question.options && question.type !== "true-false" && findGiveawayOption(question.options);
+    if (giveaway) {
+        return { check: "giveaway-option", reason: `Uses the option "${giveaway}"` };
+    }
+    if (hasLengthGiveaway(question)) {
+        return { check: "answer-length", reason: "The correct option is much longer than the distractors" };
+    }
+
+    // The supporting quote has to really be in the transcript
+    const quote = typeof raw.quote === "string" ? raw.quote.trim() : "";
+    const verified = containsQuote(sectionText, quote);
+    if (!verified && citationPolicy !== "flag") {
+        return { check: "unverified-quote", reason: "The supporting quote isn't in the transcript" };
+    }
+
+    return { question: { ...question, citation: { quote, verified } } };
+}
+
+function questionTokens(text) {
+    return new Set(text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+}
+
+function similarity(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    let shared = 0;
+    for (const token of a) if (b.has(token)) shared++;
+    return shared / (a.size + b.size - shared);
+}
+
+// Drop near-identical questions, keeping the first (questions in `kept` win) and recording every
+// section it came from. Returns the new questions that survived.
+export function removeDuplicates(kept, candidates, report) {
+    const seen = kept.map(question => ({ question, tokens: questionTokens(question.question) }));
+    const added = [];
+    for (const question of candidates) {
+        const tokens = questionTokens(question.question);
+        const duplicate = seen.find(s => similarity(s.tokens, tokens) >= DUPLICATE_SIMILARITY);
+        if (duplicate) {
+            duplicate.question.sections = [...new Set([...duplicate.question.sections, ...question.sections])];
+            recordRejection(report, question, "duplicate", `Near-duplicate of "${duplicate.question.question}"`, question.sections[0]);
+            continue;
+        }
+        seen.push({ question, tokens });
+        added.push(question);
+    }
+    return added;
+}
+
+const VERIFICATION_SCHEMA = {
+    type: "array",
+    items: {
+        type: "object",
+        properties: {
+            index: { type: "integer" },
+            correct: { type: "boolean" },
+            unambiguous: { type: "boolean" },
+            issue: { type: "string" },
+        },
+        required: ["index", "correct", "unambiguous"],
+    },
+};
+
+function describeForVerification(question, index) {
+    const answer = question.correctAnswers
+        ? question.correctAnswers.join(" | ")
+        : [question.correctAnswer, ...(question.acceptableAnswers || [])].join(" | ");
+    const options = question.options?.length ? `\n   Options: ${question.options.join(" | ")}` : "";
+    return `${index}. [${question.type}] ${question.question}${options}\n   Marked answer: ${answer}`;
+}
+
+// Second pass: ask the model whether each marked answer is right and the only defensible one,
+// given the transcript section. Resolves to the questions that passed; failures are recorded.
+export async function verifyQuestions(llm, questions, sectionText, { report, signal, onLlmCall = () => {} }) {
+    if (questions.length === 0) return [];
+
+    const prompt = `
+        You are checking quiz questions written from a YouTube video transcript.
+
+        For each question below decide:
+        - "correct": is the marked answer right according to the transcript?
+        - "unambiguous": is it the only defensible answer, with no other option also arguably right?
+        Give a short "issue" when either is false. Return one entry per question, using its number as "index".
+
+        Questions:
+        ${questions.map(describeForVerification).join("\n")}
+
+        Transcript: ${sectionText}`;
+
+    const responseText = await withRetry(async () => {
+        await onLlmCall();
+        try {
+            return await llm.generateContent({ prompt, schema: VERIFICATION_SCHEMA, temperature: 0, maxOutputTokens: 2000, signal });
+        } catch (error) {
+            if (signal?.aborted) throw error;
+            throw toLlmError(error);
+        }
+    }, { signal });
+
+    let verdicts;
+    try {
+        verdicts = JSON.parse(responseText);
+    } catch (e) {
+        throw new AppError("LLM_INVALID_JSON", "AI returned invalid JSON while checking answers.");
+    }
+
+    // Questions the checker skipped are given the benefit of the doubt
+    const byIndex = new Map((Array.isArray(verdicts) ? verdicts : []).map(v => [v.index, v]));
+    return questions.filter((question, index) => {
+        const verdict = byIndex.get(index);
+        if (!verdict || (verdict.correct !== false && verdict.unambiguous !== false)) return true;
+
+        const problem = verdict.correct === false ? "The marked answer looks wrong" : "More than one answer could be right";
+        recordRejection(report, question, "answer-verification",
+            verdict.issue ? `${problem}: ${verdict.issue}` : problem, question.sections[0]);
+        return false;
+    });
+}
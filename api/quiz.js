@@ -0,0 +1,313 @@
+// Quiz shape: which question types exist, how generation options are parsed,
+// the response schema sent to the model and the per-type validation rules.
+
+export const QUESTION_TYPES = {
+    "single-choice": "A multiple-choice question with exactly four options and one correct answer (correctAnswer).",
+    "multi-select": "A question with four to six options where two or more are correct (correctAnswers).",
+    "true-false": "A statement to judge, with options [\"True\", \"False\"] and correctAnswer set to one of them.",
+    "fill-in-the-blank": "A sentence with the missing term replaced by \"_____\"; correctAnswer is the missing term and there are no options.",
+    "short-answer": "An open question answered in one to five words; correctAnswer is the model answer and there are no options.",
+};
+
+export const DIFFICULTIES = {
+    easy: "Ask about facts and definitions stated directly in the transcript.",
+    medium: "Mix recall with questions that check understanding of how the ideas relate.",
+    hard: "Focus on application, comparison and reasoning; distractors should be plausible and close to the correct answer.",
+};
+
+// The app renders questions, options and explanations as sanitized Markdown with highlighted
+// code blocks and KaTeX math; answers are still compared as plain strings
+export const FORMATTING_GUIDANCE = "Questions, options and explanations are shown as Markdown. " +
+    "Put code in backticks, or in a fenced code block with the language name for longer snippets, " +
+    "and write math as LaTeX between \\( and \\), or between $$ and $$ for a formula on its own line. " +
+    "Use plain text when nothing needs formatting, and never raw HTML. The supporting quote stays plain text copied from the transcript.";
+
+// What happens to questions whose supporting quote can't be found in the transcript
+export const CITATION_POLICIES = ["drop", "flag"];
+
+export const DEFAULT_QUIZ_OPTIONS = {
+    questionCount: 10,
+    difficulty: "medium",
+    questionTypes: ["single-choice"],
+    citationPolicy: "drop",
+    verifyAnswers: false,
+};
+
+const MAX_QUESTION_COUNT = 30;
+
+export function isLanguageCode(value) {
+    return typeof value === "string" && /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/i.test(value);
+}
+
+// English name of a language code for use in prompts, e.g. "hi" -> "Hindi"
+export function languageName(code) {
+    try {
+        return new Intl.DisplayNames(["en"], { type: "language" }).of(code) || code;
+    } catch (e) {
+        return code;
+    }
+}
+
+// Validate generation options from a request body. Returns { options } or { error }.
+export function parseQuizOptions(body = {}) {
+    const options = { ...DEFAULT_QUIZ_OPTIONS };
+
+    if (body.questionCount !== undefined) {
+        const count = Number(body.questionCount);
+        if (!Number.isInteger(count) || count < 1 || count > MAX_QUESTION_COUNT) {
+            return { error: `questionCount must be a whole number between 1 and ${MAX_QUESTION_COUNT}` };
+        }
+        options.questionCount = count;
+    }
+
+    if (body.difficulty !== undefined) {
+        if (!Object.hasOwn(DIFFICULTIES, body.difficulty)) {
+            return { error: `difficulty must be one of: ${Object.keys(DIFFICULTIES).join(", ")}` };
+        }
+        options.difficulty = body.difficulty;
+    }
+
+    // Language the quiz is written in, independent of the caption track language
+    if (body.quizLanguage !== undefined) {
+        if (!isLanguageCode(body.quizLanguage)) {
+            return { error: "quizLanguage must be a language code such as \"hi\" or \"es\"" };
+        }
+        options.language = body.quizLanguage;
+    }
+
+    if (body.citationPolicy !== undefined) {
+        if (!CITATION_POLICIES.includes(body.citationPolicy)) {
+            return { error: `citationPolicy must be one of: ${CITATION_POLICIES.join(", ")}` };
+        }
+        options.citationPolicy = body.citationPolicy;
+    }
+
+    // Second model pass that double-checks every answer; slower and uses more AI calls
+    if (body.verifyAnswers !== undefined) {
+        if (typeof body.verifyAnswers !== "boolean") {
+            return { error: "verifyAnswers must be true or false" };
+        }
+        options.verifyAnswers = body.verifyAnswers;
+    }
+
+    if (body.questionTypes !== undefined) {
+        const types = Array.isArray(body.questionTypes) ? body.questionTypes : [body.questionTypes];
+        const unknown = types.filter(type => !Object.hasOwn(QUESTION_TYPES, type));
+        if (types.length === 0 || unknown.length > 0) {
+            return { error: `questionTypes must be a list of: ${Object.keys(QUESTION_TYPES).join(", ")}` };
+        }
+        options.questionTypes = [...new Set(types)];
+    }
+
+    return { options };
+}
+
+// `passages` adds a required passage reference when the transcript was split into passages
+export function buildQuestionSchema({ questionCount, questionTypes }, passages = null) {
+    const schema = {
+        description: "A list of quiz questions generated from the given text.",
+        type: "array",
+        minItems: questionCount,
+        maxItems: questionCount,
+        items: {
+            type: "object",
+            description: "A quiz question of one of the requested types.",
+            properties: {
+                type: {
+                    type: "string",
+                    format: "enum",
+                    enum: questionTypes,
+                    description: "The question type."
+                },
+                question: {
+                    type: "string",
+                    description: "The question text. Should be clear and based on the transcript content."
+                },
+                options: {
+                    type: "array",
+                    items: { type: "string" },
+                    description: "Answer choices for single-choice, multi-select and true-false questions. Empty otherwise."
+                },
+                correctAnswer: {
+                    type: "string",
+                    description: "The correct answer. For choice questions it must be one of the options. Empty for multi-select."
+                },
+                correctAnswers: {
+                    type: "array",
+                    items: { type: "string" },
+                    description: "All correct options of a multi-select question. Empty otherwise."
+                },
+                acceptableAnswers: {
+                    type: "array",
+                    items: { type: "string" },
+                    description: "Other wordings accepted for fill-in-the-blank and short-answer questions."
+                },
+                explanation: {
+                    type: "string",
+                    description: "One or two sentences explaining why the correct answer is right."
+                },
+                quote: {
+                    type: "string",
+                    description: "A short verbatim excerpt copied exactly from the transcript that supports the correct answer."
+                },
+                confidence: {
+                    type: "number",
+                    minimum: 0,
+                    maximum: 1,
+                    description: "Confidence score (0-1)."
+                }
+            },
+            required: ["type", "question", "explanation", "quote", "confidence"],
+        }
+    };
+
+    if (passages?.length) {
+        schema.items.properties.passage = {
+            type: "integer",
+            minimum: passages[0].index,
+            maximum: passages[passages.length - 1].index,
+            description: "Number of the transcript passage the question is drawn from."
+        };
+        schema.items.required.push("passage");
+    }
+
+    return schema;
+}
+
+export function describeQuizOptions({ questionCount, difficulty, questionTypes, language }) {
+    const typeLines = questionTypes
+        .map(type => `        - ${type}: ${QUESTION_TYPES[type]}`)
+        .join("\n");
+
+    const languageLine = language
+        ? `\n        Write every question, option and answer in ${languageName(language)}, whatever the language of the transcript. Keep "True"/"False" options, the question type names and the supporting quote in the original language of the transcript.`
+        : "";
+
+    return `Generate exactly ${questionCount} questions.
+        Difficulty (${difficulty}): ${DIFFICULTIES[difficulty]}${languageLine}
+        Use only these question types${questionTypes.length > 1 ? ", spread evenly" : ""}:
+${typeLines}`;
+}
+
+// Per-type structural checks. Returns the normalized question or null when it should be dropped.
+export function normalizeQuestion(q, questionTypes) {
+    if (!q || typeof q.question !== "string" || !questionTypes.includes(q.type)) return null;
+
+    // Question must have reasonable length
+    if (q.question.trim().length < 20) return null;
+
+    const options = Array.isArray(q.options) ? q.options.map(o => String(o).trim()) : [];
+    const correctAnswer = typeof q.correctAnswer === "string" ? q.correctAnswer.trim() : "";
+    const base = { type: q.type, question: q.question.trim() };
+    if (typeof q.explanation === "string" && q.explanation.trim()) {
+        base.explanation = q.explanation.trim();
+    }
+
+    switch (q.type) {
+        case "single-choice": {
+            // Options should be all present and distinct
+            if (options.length !== 4 || new Set(options).size !== 4) return null;
+            // Correct answer must be in options
+            if (!options.includes(correctAnswer)) return null;
+            return { ...base, options, correctAnswer };
+        }
+        case "multi-select": {
+            if (options.length < 4 || options.length > 6 || new Set(options).size !== options.length) return null;
+            const correctAnswers = [...new Set((q.correctAnswers || []).map(a => String(a).trim()))];
+            if (correctAnswers.length < 2 || correctAnswers.length >= options.length) return null;
+            if (!correctAnswers.every(answer => options.includes(answer))) return null;
+            return { ...base, options, correctAnswers };
+        }
+        case "true-false": {
+            const answer = correctAnswer.toLowerCase();
+            if (answer !== "true" && answer !== "false") return null;
+            return { ...base, options: ["True", "False"], correctAnswer: answer === "true" ? "True" : "False" };
+        }
+        case "fill-in-the-blank":
+        case "short-answer": {
+            if (!correctAnswer) return null;
+            if (q.type === "fill-in-the-blank" && !/_{3,}/.test(base.question)) return null;
+            const acceptableAnswers = (q.acceptableAnswers || [])
+                .map(a => String(a).trim())
+                .filter(a => a && a !== correctAnswer);
+            return { ...base, correctAnswer, acceptableAnswers };
+        }
+        default:
+            return null;
+    }
+}
+
+// What learners see while taking a quiz: everything except the answers and their justification
+export function toPublicQuestion({ correctAnswer, correctAnswers, acceptableAnswers, explanation, citation, ...question }) {
+    return question;
+}
+
+// Case, punctuation and leading articles don't matter for typed answers
+function normalizeTextAnswer(text) {
+    return String(text)
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s]/gu, " ")
+        .replace(/^\s*(the|a|an)\s+/, "")
+        .replace(/\s+/g, " ")
+        .trim();
+}
+
+export function isCorrectAnswer(question, answer) {
+    if (answer === null || answer === undefined || answer === "") return false;
+
+    switch (question.type || "single-choice") {
+        case "multi-select": {
+            if (!Array.isArray(answer)) return false;
+            const chosen = new Set(answer);
+            return chosen.size === question.correctAnswers.length &&
+                question.correctAnswers.every(option => chosen.has(option));
+        }
+        case "fill-in-the-blank":
+        case "short-answer":
+            return typeof answer === "string" &&
+                [question.correctAnswer, ...(question.acceptableAnswers || [])]
+                    .some(accepted => normalizeTextAnswer(accepted) === normalizeTextAnswer(answer));
+        default:
+            return answer === question.correctAnswer;
+    }
+}
+
+// `answers` is aligned with `questions`; unanswered questions are null. Timed exams also send
+// `timeSpent`, the seconds spent on each question, which the breakdown then includes.
+// Resolves to { score, total, percentage, results } with the per-question breakdown.
+export function gradeSubmission(questions, answers, { timeSpent } = {}) {
+    const results = questions.map((question, index) => {
+        const answer = answers[index] ?? null;
+        return {
+            index,
+            question: question.question,
+            answer,
+            correct: isCorrectAnswer(question, answer),
+            ...(question.correctAnswers ? { correctAnswers: question.correctAnswers } : { correctAnswer: question.correctAnswer }),
+            ...(question.explanation && { explanation: question.explanation }),
+            ...(question.citation && { citation: question.citation }),
+            ...(question.timestamp && { timestamp: question.timestamp }),
+            ...(question.videoId && { videoId: question.videoId }),
+            ...(timeSpent && { seconds: Math.round(timeSpent[index] ?? 0) }),
+        };
+    });
+
+    const score = results.filter(result => result.correct).length;
+    return {
+        score,
+        total: questions.length,
+        percentage: questions.length ? Math.round((score / questions.length) * 100) : 0,
+        ...(timeSpent && { totalSeconds: results.reduce((sum, result) => sum + result.seconds, 0) }),
+        results,
+    };
+}
+
+// A grading for a learner who hasn't earned the answers yet: what was right and wrong, but not
+// the answers themselves or their justification (see toPublicQuestion)
+export function hideAnswers(grading) {
+    return {
+        ...grading,
+        answersHidden: true,
+        results: grading.results.map(({ correctAnswer, correctAnswers, explanation, citation, ...result }) => result),
+    };
+}
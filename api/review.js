@@ -0,0 +1,140 @@
+import { createStore } from "./store.js";
+import { toPublicQuestion, gradeSubmission } from "./quiz.js";
+
+// Per-user review deck of missed questions, scheduled with SM-2.
+// A card holds the full question (answers included), so it stays on the server
+// like quizzes do; learners only ever receive the public question.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_EASINESS = 1.3;
+
+const cards = createStore("review-cards");
+
+// SM-2: `quality` is 0-5, where 3 or more means the item was recalled.
+// Returns the new { easiness, interval (days), repetitions, dueAt }.
+export function scheduleReview({ easiness = 2.5, interval = 0, repetitions = 0 }, quality, now = Date.now()) {
+    let nextInterval;
+    let nextRepetitions;
+
+    if (quality >= 3) {
+        nextRepetitions = repetitions + 1;
+        if (nextRepetitions === 1) nextInterval = 1;
+        else if (nextRepetitions === 2) nextInterval = 6;
+        else nextInterval = Math.round(interval * easiness);
+    } else {
+        // Forgotten items start over and come back tomorrow
+        nextRepetitions = 0;
+        nextInterval = 1;
+    }
+
+    const nextEasiness = Math.max(MIN_EASINESS, easiness + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
+
+    return {
+        easiness: Math.round(nextEasiness * 100) / 100,
+        interval: nextInterval,
+        repetitions: nextRepetitions,
+        dueAt: new Date(now + nextInterval * DAY_MS).toISOString(),
+    };
+}
+
+// IDs become store keys, so build them from the (UUID) user and quiz IDs
+function cardId(userId, quizId, questionIndex) {
+    return `${userId}_${quizId}_${questionIndex}`;
+}
+
+// Put every missed question of a graded quiz in the user's deck. New cards are due
+// straight away; a card that is missed again lapses back to the start of its schedule.
+export async function addMissedQuestions(userId, quiz, results) {
+    const now = new Date().toISOString();
+    for (const result of results.filter(r => !r.correct)) {
+        const id = cardId(userId, quiz.id, result.index);
+        const existing = await cards.get(id);
+
+        if (existing) {
+            await cards.set(id, {
+                ...existing,
+                ...scheduleReview(existing, 1),
+                dueAt: now,
+                lapses: existing.lapses + 1,
+            });
+            continue;
+        }
+
+        await cards.set(id, {
+            id,
+            userId,
+            quizId: quiz.id,
+            videoId: quiz.questions[result.index].videoId || quiz.videoId,
+            questionIndex: result.index,
+            question: quiz.questions[result.index],
+            easiness: 2.5,
+            interval: 0,
+            repetitions: 0,
+            lapses: 0,
+            createdAt: now,
+            dueAt: now,
+            lastReviewedAt: null,
+        });
+    }
+}
+
+async function userCards(userId) {
+    return (await cards.list()).filter(card => card.userId === userId);
+}
+
+function toPublicCard(card) {
+    return {
+        id: card.id,
+        videoId: card.videoId,
+        dueAt: card.dueAt,
+        repetitions: card.repetitions,
+        lapses: card.lapses,
+        question: toPublicQuestion(card.question),
+    };
+}
+
+// Counts for the whole deck plus the cards due now, most overdue first
+export async function getDueCards(userId, { limit = 20, now = Date.now() } = {}) {
+    const deck = await userCards(userId);
+    const due = deck
+        .filter(card => Date.parse(card.dueAt) <= now)
+        .sort((a, b) => a.dueAt.localeCompare(b.dueAt));
+    const upcoming = deck
+        .filter(card => Date.parse(card.dueAt) > now)
+        .map(card => card.dueAt)
+        .sort();
+
+    return {
+        total: deck.length,
+        due: due.length,
+        nextDueAt: upcoming[0] ?? null,
+        cards: due.slice(0, limit).map(toPublicCard),
+    };
+}
+
+// Grade an answer to a card and reschedule it. `quality` (0-5) may be given to
+// self-rate recall; otherwise a correct answer counts as 4 and a wrong one as 1.
+// Resolves to null when the card doesn't belong to the user.
+export async function answerCard(userId, id, answer, quality) {
+    const card = await cards.get(id);
+    if (!card || card.userId !== userId) return null;
+
+    const [result] = gradeSubmission([card.question], [answer]).results;
+    const recall = quality ?? (result.correct ? 4 : 1);
+    const updated = {
+        ...card,
+        ...scheduleReview(card, recall),
+        lapses: card.lapses + (recall < 3 ? 1 : 0),
+        lastReviewedAt: new Date().toISOString(),
+    };
+    await cards.set(id, updated);
+
+    const { index, question, ...feedback } = result;
+    return { ...feedback, card: toPublicCard(updated) };
+}
+
+export async function deleteCard(userId, id) {
+    const card = await cards.get(id);
+    if (!card || card.userId !== userId) return false;
+    return cards.delete(id);
+}
@@ -0,0 +1,406 @@
+import { randomBytes, randomInt, timingSafeEqual } from "node:crypto";
+import { WebSocketServer } from "ws";
+import { toPublicQuestion, gradeSubmission } from "./quiz.js";
+import { AppError, errorResponse } from "./errors.js";
+import { identifyClient } from "./access.js";
+
+// Live multiplayer rooms. A host opens a room for a stored quiz and shares its join code;
+// players join over WebSockets, answer each question against a timer while the host
+// advances, and everyone gets the leaderboard after every question and at the end.
+// Rooms live in memory, so they need a long-running server rather than serverless functions.
+//
+// Every message is a JSON object with a "type". Clients send:
+//   host    { code, hostToken }            take control of a room
+//   join    { code, name, playerToken? }   join, or rejoin after a dropped connection
+//   start, next, end                       host only; "next" reveals the current question
+//                                          early, then moves on to the next one or the results
+//   answer  { answer }                     same answer shapes as quiz submissions
+// The server sends: welcome, room, question, answered, reveal, finished and error.
+
+export const SOCKET_PATH = "/api/rooms/socket";
+
+export const QUESTION_SECONDS = { default: 20, min: 5, max: 120 };
+
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";  // no 0/O or 1/I to mix up
+const CODE_LENGTH = 6;
+const MAX_PLAYERS = 100;
+const MAX_NAME_LENGTH = 30;
+const MAX_POINTS = 1000;
+const ROOM_TTL_MS = 3 * 60 * 60 * 1000;
+
+const rooms = new Map();
+
+function newCode() {
+    let code;
+    do {
+        code = Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[randomInt(CODE_ALPHABET.length)]).join("");
+    } while (rooms.has(code));
+    return code;
+}
+
+function sameToken(a, b) {
+    return typeof a === "string" && a.length === b.length && timingSafeEqual(Buffer.from(a), Buffer.from(b));
+}
+
+// Open a room for `quiz` (a stored quiz, answers included). The host token is the only way to run it.
+export function createRoom(quiz, { questionSeconds = QUESTION_SECONDS.default } = {}) {
+    const room = {
+        code: newCode(),
+        hostToken: randomBytes(24).toString("hex"),
+        quiz,
+        questionSeconds,
+        status: "lobby",  // lobby -> question -> reveal -> question ... -> finished
+        questionIndex: -1,
+        deadline: null,
+        timer: null,
+        host: null,
+        players: new Map(),
+        touchedAt: Date.now(),
+    };
+    rooms.set(room.code, room);
+    return room;
+}
+
+export function getRoom(code) {
+    return rooms.get(String(code || "").trim().toUpperCase()) ?? null;
+}
+
+// Forget rooms nobody has used for a while
+setInterval(() => {
+    const now = Date.now();
+    for (const [code, room] of rooms) {
+        if (now - room.touchedAt > ROOM_TTL_MS) {
+            clearTimeout(room.timer);
+            rooms.delete(code);
+        }
+    }
+}, 10 * 60 * 1000).unref();
+
+export function leaderboard(room) {
+    const ranked = [...room.players.values()]
+        .map(player => ({
+            name: player.name,
+            score: player.score,
+            correct: player.answers.filter(answer => answer?.correct).length,
+            connected: Boolean(player.peer),
+        }))
+        .sort((a, b) => b.score - a.score || b.correct - a.correct || a.name.localeCompare(b.name));
+
+    // Equal scores share a rank
+    let rank = 0;
+    return ranked.map((entry, i) => {
+        if (i === 0 || ranked[i - 1].score !== entry.score) rank = i + 1;
+        return { rank, ...entry };
+    });
+}
+
+export function describeRoom(room) {
+    return {
+        code: room.code,
+        status: room.status,
+        questionIndex: room.questionIndex,
+        questionCount: room.quiz.questions.length,
+        questionSeconds: room.questionSeconds,
+        players: leaderboard(room),
+    };
+}
+
+function send(peer, message) {
+    peer?.send(message);
+}
+
+function broadcast(room, message) {
+    send(room.host, message);
+    room.players.forEach(player => send(player.peer, message));
+}
+
+function touch(room) {
+    room.touchedAt = Date.now();
+}
+
+function questionMessage(room) {
+    return {
+        type: "question",
+        index: room.questionIndex,
+        total: room.quiz.questions.length,
+        question: toPublicQuestion(room.quiz.questions[room.questionIndex]),
+        seconds: room.questionSeconds,
+        // Remaining time, so late joiners and rejoiners get the right countdown
+        remainingMs: Math.max(0, room.deadline - Date.now()),
+    };
+}
+
+function askNextQuestion(room) {
+    room.questionIndex++;
+    room.status = "question";
+    room.deadline = Date.now() + room.questionSeconds * 1000;
+    room.timer = setTimeout(() => reveal(room), room.questionSeconds * 1000);
+    broadcast(room, questionMessage(room));
+}
+
+// Faster correct answers earn more: from MAX_POINTS down to half of it at the deadline
+function pointsFor(room, correct, answeredAt) {
+    if (!correct) return 0;
+    const remaining = Math.max(0, room.deadline - answeredAt) / (room.questionSeconds * 1000);
+    return Math.round(MAX_POINTS * (0.5 + 0.5 * remaining));
+}
+
+function reveal(room) {
+    if (room.status !== "question") return;
+    clearTimeout(room.timer);
+    room.status = "reveal";
+    touch(room);
+
+    const index = room.questionIndex;
+    const { answer, correct, ...solution } = gradeSubmission([room.quiz.questions[index]], [null]).results[0];
+    const answers = [...room.players.values()].map(player => player.answers[index]).filter(Boolean);
+    const board = leaderboard(room);
+    const message = {
+        type: "reveal",
+        ...solution,
+        index,
+        last: index === room.quiz.questions.length - 1,
+        answeredCount: answers.length,
+        correctCount: answers.filter(a => a.correct).length,
+        leaderboard: board,
+    };
+
+    send(room.host, message);
+    room.players.forEach(player => send(player.peer, {
+        ...message,
+        you: {
+            ...(player.answers[index] || { answer: null, correct: false, points: 0 }),
+            score: player.score,
+            rank: board.find(entry => entry.name === player.name).rank,
+        },
+    }));
+}
+
+function finish(room) {
+    clearTimeout(room.timer);
+    room.status = "finished";
+    touch(room);
+
+    const questions = room.quiz.questions;
+    const board = leaderboard(room);
+    const message = {
+        type: "finished",
+        questionCount: questions.length,
+        leaderboard: board,
+        // How the room did on each question that was asked
+        questions: questions.slice(0, room.questionIndex + 1).map((question, index) => {
+            const answers = [...room.players.values()].map(player => player.answers[index]).filter(Boolean);
+            return {
+                index,
+                question: question.question,
+                answeredCount: answers.length,
+                correctCount: answers.filter(a => a.correct).length,
+            };
+        }),
+    };
+
+    send(room.host, message);
+    room.players.forEach(player => {
+        const answered = questions.map((question, index) => player.answers[index]?.answer ?? null);
+        const { score, total, percentage, results } = gradeSubmission(questions.slice(0, room.questionIndex + 1), answered);
+        send(player.peer, {
+            ...message,
+            you: {
+                points: player.score,
+                rank: board.find(entry => entry.name === player.name).rank,
+                score,
+                total,
+                percentage,
+                results,
+            },
+        });
+    });
+}
+
+// State for someone (re)connecting mid-game
+function catchUp(room, peer) {
+    send(peer, { type: "room", room: describeRoom(room) });
+    if (room.status === "question") send(peer, questionMessage(room));
+}
+
+function requireHost(peer) {
+    if (peer.role !== "host") throw new AppError("NOT_HOST", "Only the host can do that");
+    return peer.room;
+}
+
+function requireRoom(code) {
+    const room = getRoom(code);
+    if (!room) throw new AppError("ROOM_NOT_FOUND", "No live quiz with that code. Check the code and try again.");
+    return room;
+}
+
+function hostRoom(peer, { code, hostToken }) {
+    const room = requireRoom(code);
+    if (!sameToken(hostToken, room.hostToken)) throw new AppError("NOT_HOST", "That isn't the host key for this room");
+
+    // A new host connection replaces the old one, e.g. after a page reload
+    if (room.host && room.host !== peer) send(room.host, { type: "error", code: "NOT_HOST", error: "The room was opened somewhere else" });
+    room.host = peer;
+    Object.assign(peer, { room, role: "host" });
+    send(peer, { type: "welcome", role: "host" });
+    catchUp(room, peer);
+}
+
+function joinRoom(peer, { code, name, playerToken }) {
+    const room = requireRoom(code);
+
+    const rejoining = [...room.players.values()].find(player => sameToken(playerToken, player.token));
+    if (rejoining) {
+        if (rejoining.peer && rejoining.peer !== peer) send(rejoining.peer, { type: "error", code: "NAME_TAKEN", error: "You joined from somewhere else" });
+        rejoining.peer = peer;
+        Object.assign(peer, { room, role: "player", player: rejoining });
+        send(peer, { type: "welcome", role: "player", name: rejoining.name, playerToken: rejoining.token });
+        catchUp(room, peer);
+        broadcast(room, { type: "room", room: describeRoom(room) });
+        return;
+    }
+
+    const displayName = typeof name === "string" ? name.replace(/\s+/g, " ").trim() : "";
+    if (!displayName || displayName.length > MAX_NAME_LENGTH) {
+        throw new AppError("INVALID_REQUEST", `Pick a name of 1 to ${MAX_NAME_LENGTH} characters`);
+    }
+    if (room.status === "finished") throw new AppError("INVALID_REQUEST", "This quiz has already finished");
+    if (room.players.size >= MAX_PLAYERS) throw new AppError("ROOM_FULL", `This room is full (${MAX_PLAYERS} players)`);
+    if ([...room.players.values()].some(player => player.name.toLowerCase() === displayName.toLowerCase())) {
+        throw new AppError("NAME_TAKEN", "Someone in this room already has that name");
+    }
+
+    const player = { token: randomBytes(16).toString("hex"), name: displayName, score: 0, answers: [], peer };
+    room.players.set(player.token, player);
+    touch(room);
+    Object.assign(peer, { room, role: "player", player });
+    send(peer, { type: "welcome", role: "player", name: player.name, playerToken: player.token });
+    catchUp(room, peer);
+    broadcast(room, { type: "room", room: describeRoom(room) });
+}
+
+function answerQuestion(peer, { answer = null }) {
+    if (peer.role !== "player") throw new AppError("INVALID_REQUEST", "Join the room before answering");
+    const { room, player } = peer;
+    if (room.status !== "question") throw new AppError("INVALID_REQUEST", "Time is up for this question");
+
+    const index = room.questionIndex;
+    if (player.answers[index]) throw new AppError("INVALID_REQUEST", "You already answered this question");
+
+    const validAnswer = answer === null || typeof answer === "string" ||
+        (Array.isArray(answer) && answer.every(option => typeof option === "string"));
+    if (!validAnswer) throw new AppError("INVALID_REQUEST", "answer must be a string, a list of strings or null");
+
+    const now = Date.now();
+    const [{ correct }] = gradeSubmission([room.quiz.questions[index]], [answer]).results;
+    const points = pointsFor(room, correct, now);
+    player.answers[index] = { answer, correct, points };
+    player.score += points;
+    touch(room);
+
+    // Correctness stays hidden until the reveal
+    send(peer, { type: "answered", index });
+    const players = [...room.players.values()];
+    const answeredCount = players.filter(p => p.answers[index]).length;
+    send(room.host, { type: "answered", index, answeredCount, playerCount: players.length });
+
+    // Everyone still connected has answered: no need to wait for the timer
+    if (players.every(p => p.answers[index] || !p.peer)) reveal(room);
+}
+
+// Apply one client message. Throws an AppError when it can't be applied.
+export function handleMessage(peer, message) {
+    switch (message?.type) {
+        case "host":
+            return hostRoom(peer, message);
+        case "join":
+            return joinRoom(peer, message);
+        case "answer":
+            return answerQuestion(peer, message);
+        case "start": {
+            const room = requireHost(peer);
+            if (room.status !== "lobby") throw new AppError("INVALID_REQUEST", "The quiz has already started");
+            if (room.players.size === 0) throw new AppError("INVALID_REQUEST", "Wait for at least one player to join");
+            return askNextQuestion(room);
+        }
+        case "next": {
+            const room = requireHost(peer);
+            if (room.status === "question") return reveal(room);
+            if (room.status !== "reveal") throw new AppError("INVALID_REQUEST", "There is no question to move on from");
+            return room.questionIndex + 1 < room.quiz.questions.length ? askNextQuestion(room) : finish(room);
+        }
+        case "end": {
+            const room = requireHost(peer);
+            if (room.status === "finished") throw new AppError("INVALID_REQUEST", "The quiz has already finished");
+            return finish(room);
+        }
+        default:
+            throw new AppError("INVALID_REQUEST", "Unknown message type");
+    }
+}
+
+// A connection went away; players keep their score and can rejoin with their token
+export function handleDisconnect(peer) {
+    const { room } = peer;
+    if (!room) return;
+
+    if (peer.role === "host" && room.host === peer) {
+        room.host = null;
+    } else if (peer.role === "player" && peer.player.peer === peer) {
+        peer.player.peer = null;
+        broadcast(room, { type: "room", room: describeRoom(room) });
+        // The one player everyone was waiting on may just have left
+        if (room.status === "question") {
+            const players = [...room.players.values()];
+            if (players.some(p => p.peer) && players.every(p => p.answers[room.questionIndex] || !p.peer)) reveal(room);
+        }
+    }
+}
+
+// Serve rooms on SOCKET_PATH of an HTTP server. Connections go through the same API key
+// and rate limit checks as HTTP requests (the key comes as ?api_key= since browsers can't
+// set headers on WebSockets). `clientIp(req)` gives the caller's address; pass the app's own
+// resolution so proxies are trusted the same way as for HTTP routes.
+export function attachRoomSockets(server, { clientIp = (req) => req.socket.remoteAddress } = {}) {
+    const wss = new WebSocketServer({ noServer: true, maxPayload: 16 * 1024 });
+
+    server.on("upgrade", (req, socket, head) => {
+        const url = new URL(req.url, "http://localhost");
+        if (url.pathname !== SOCKET_PATH) {
+            socket.destroy();
+            return;
+        }
+
+        const { error } = identifyClient({ ip: clientIp(req), key: url.searchParams.get("api_key") });
+        if (error) {
+            const { status, body } = errorResponse(error);
+            socket.end(`HTTP/1.1 ${status} ${body.code}\r\nContent-Type: application/json\r\nConnection: close\r\n\r\n${JSON.stringify(body)}`);
+            return;
+        }
+
+        wss.handleUpgrade(req, socket, head, ws => wss.emit("connection", ws));
+    });
+
+    wss.on("connection", ws => {
+        const peer = {
+            send: (message) => {
+                if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(message));
+            },
+        };
+
+        ws.on("message", data => {
+            try {
+                handleMessage(peer, JSON.parse(data));
+            } catch (error) {
+                if (!(error instanceof AppError)) console.error("Error handling room message:", error);
+                const { body } = errorResponse(error instanceof SyntaxError
+                    ? new AppError("INVALID_REQUEST", "Messages must be JSON")
+                    : error);
+                peer.send({ type: "error", ...body });
+            }
+        });
+        ws.on("close", () => handleDisconnect(peer));
+    });
+
+    return wss;
+}
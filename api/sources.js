@@ -0,0 +1,56 @@
+import { AppError } from "./errors.js";
+import { parseSubtitles } from "./transcript.js";
+import { joinSegments } from "./captions.js";
+
+// Quizzes from material that isn't on YouTube: pasted notes, or the contents of an SRT/WebVTT
+// subtitle file or a plain-text transcript. Browsers read the file and send its text as
+// { source: { content, format?, name? } } in place of a videoId.
+
+export const SOURCE_FORMATS = ["auto", "text", "srt", "vtt"];
+
+export const MAX_SOURCE_CHARS = 500000;
+
+// Validate `source` from a request body. Returns { source } or { error }.
+export function parseSource(value) {
+    if (!value || typeof value !== "object" || typeof value.content !== "string") {
+        return { error: "source must be an object with the transcript text in \"content\"" };
+    }
+    if (!value.content.trim()) {
+        return { error: "source.content is empty" };
+    }
+    if (value.content.length > MAX_SOURCE_CHARS) {
+        return { error: `source.content is too long (at most ${MAX_SOURCE_CHARS} characters)` };
+    }
+
+    const format = value.format === undefined ? "auto" : value.format;
+    if (!SOURCE_FORMATS.includes(format)) {
+        return { error: `source.format must be one of: ${SOURCE_FORMATS.join(", ")}` };
+    }
+    if (value.name !== undefined && typeof value.name !== "string") {
+        return { error: "source.name must be a string" };
+    }
+
+    return { source: { content: value.content, format, name: value.name?.trim().slice(0, 200) || null } };
+}
+
+// { transcript, segments, track } like getYouTubeTranscript, so the rest of generation
+// doesn't care where the text came from. Plain text has no timings, so `segments` is empty.
+// With format "auto", anything containing subtitle cues is read as subtitles.
+export function transcriptFromSource({ content, format, name }, { minWords = 50 } = {}) {
+    const segments = format === "text" ? [] : parseSubtitles(content);
+    if (segments.length === 0 && (format === "srt" || format === "vtt")) {
+        throw new AppError("INVALID_REQUEST", `No subtitle cues found in this ${format.toUpperCase()} file`);
+    }
+
+    const transcript = segments.length ? joinSegments(segments) : content.replace(/\s+/g, " ").trim();
+    if (transcript.split(" ").length < minWords) {
+        throw new AppError("TRANSCRIPT_TOO_SHORT", `Not enough text to generate a quiz (at least ${minWords} words are needed)`);
+    }
+
+    const kind = segments.length ? "subtitles" : "text";
+    return {
+        transcript,
+        segments,
+        track: { languageCode: null, name: name || (kind === "subtitles" ? "Uploaded subtitles" : "Pasted text"), kind },
+    };
+}
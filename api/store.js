@@ -0,0 +1,110 @@
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import { randomUUID } from "node:crypto";
+
+// Small async key-value store for server-side records (quizzes, ...). `create` only writes
+// records that don't exist yet and says whether it did.
+// STORE_BACKEND=file keeps one JSON file per record under DATA_DIR (default ./data);
+// anything else keeps records in memory for the life of the process.
+
+function createMemoryBackend() {
+    const records = new Map();
+    return {
+        async get(id) {
+            return records.has(id) ? structuredClone(records.get(id)) : null;
+        },
+        async set(id, value) {
+            records.set(id, structuredClone(value));
+        },
+        async create(id, value) {
+            if (records.has(id)) return false;
+            records.set(id, structuredClone(value));
+            return true;
+        },
+        async delete(id) {
+            return records.delete(id);
+        },
+        async list() {
+            return [...records.values()].map(value => structuredClone(value));
+        },
+    };
+}
+
+function createFileBackend(directory) {
+    // IDs become file names, so only allow safe characters
+    const fileFor = (id) => {
+        if (!/^[\w-]+$/.test(id)) throw new Error(`Invalid record ID "${id}"`);
+        return path.join(directory, `${id}.json`);
+    };
+
+    return {
+        async get(id) {
+            try {
+                return JSON.parse(await fs.readFile(fileFor(id), "utf8"));
+            } catch (error) {
+                if (error.code === "ENOENT") return null;
+                throw error;
+            }
+        },
+        async set(id, value) {
+            await fs.mkdir(directory, { recursive: true });
+            // Write then rename so readers never see a half-written file. The temp name is unique
+            // per write, so concurrent writes of one record don't trip over each other.
+            const file = fileFor(id);
+            const temp = `${file}.${process.pid}.${randomUUID()}.tmp`;
+            await fs.writeFile(temp, JSON.stringify(value));
+            await fs.rename(temp, file);
+        },
+        async create(id, value) {
+            await fs.mkdir(directory, { recursive: true });
+            // Linking fails if the record exists, so only one of several concurrent creates wins
+            const file = fileFor(id);
+            const temp = `${file}.${process.pid}.${randomUUID()}.tmp`;
+            await fs.writeFile(temp, JSON.stringify(value));
+            try {
+                await fs.link(temp, file);
+                return true;
+            } catch (error) {
+                if (error.code === "EEXIST") return false;
+                throw error;
+            } finally {
+                await fs.unlink(temp);
+            }
+        },
+        async delete(id) {
+            try {
+                await fs.unlink(fileFor(id));
+                return true;
+            } catch (error) {
+                if (error.code === "ENOENT") return false;
+                throw error;
+            }
+        },
+        async list() {
+            let files;
+            try {
+                files = await fs.readdir(directory);
+            } catch (error) {
+                if (error.code === "ENOENT") return [];
+                throw error;
+            }
+            const records = await Promise.all(files
+                .filter(file => file.endsWith(".json"))
+                .map(file => this.get(file.slice(0, -".json".length))));
+            return records.filter(Boolean);
+        },
+    };
+}
+
+const stores = new Map();
+
+// One store per record type, e.g. createStore("quizzes")
+export function createStore(name) {
+    if (!stores.has(name)) {
+        const backend = process.env.STORE_BACKEND === "file"
+            ? createFileBackend(path.join(process.env.DATA_DIR || "data", name))
+            : createMemoryBackend();
+        stores.set(name, backend);
+    }
+    return stores.get(name);
+}
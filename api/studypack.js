@@ -0,0 +1,271 @@
+import { getProvider } from "./providers.js";
+import { AppError, toLlmError, withRetry } from "./errors.js";
+import { isLanguageCode, languageName } from "./quiz.js";
+import { SECTION_CONCURRENCY, mapWithConcurrency } from "./generate.js";
+import {
+    cleanTranscriptText,
+    buildPassages,
+    buildSections,
+    splitTextIntoSections,
+    formatPassagesForPrompt,
+} from "./transcript.js";
+
+// Study packs: a section-by-section summary, key concepts, a glossary and flashcards,
+// built from the same transcript sections as quizzes. Each section is summarised on its
+// own (map); the results are merged and deduplicated, and long videos get an overview
+// written from the section summaries (reduce).
+
+export const DEFAULT_STUDY_PACK_OPTIONS = {
+    flashcardCount: 12,
+};
+
+const MAX_FLASHCARDS = 40;
+const MAX_KEY_CONCEPTS = 15;
+
+export const STUDY_PACK_SCHEMA = {
+    description: "Study notes for one part of a video transcript.",
+    type: "object",
+    properties: {
+        title: {
+            type: "string",
+            description: "A short heading for this part of the video.",
+        },
+        summary: {
+            type: "string",
+            description: "A summary of this part in 2 to 5 sentences.",
+        },
+        keyConcepts: {
+            type: "array",
+            description: "The most important ideas in this part.",
+            items: {
+                type: "object",
+                properties: {
+                    name: { type: "string", description: "The concept, in a few words." },
+                    explanation: { type: "string", description: "One or two sentences explaining it." },
+                },
+                required: ["name", "explanation"],
+            },
+        },
+        glossary: {
+            type: "array",
+            description: "Technical or specialised terms used in this part.",
+            items: {
+                type: "object",
+                properties: {
+                    term: { type: "string" },
+                    definition: { type: "string", description: "A one-sentence definition as used in the video." },
+                },
+                required: ["term", "definition"],
+            },
+        },
+        flashcards: {
+            type: "array",
+            description: "Question-and-answer cards for revision.",
+            items: {
+                type: "object",
+                properties: {
+                    front: { type: "string", description: "A question or prompt." },
+                    back: { type: "string", description: "The answer, in at most two sentences." },
+                },
+                required: ["front", "back"],
+            },
+        },
+    },
+    required: ["title", "summary", "keyConcepts", "glossary", "flashcards"],
+};
+
+const OVERVIEW_SCHEMA = {
+    type: "object",
+    properties: {
+        overview: { type: "string", description: "A summary of the whole video in one paragraph." },
+    },
+    required: ["overview"],
+};
+
+// Validate study pack options from a request body. Returns { options } or { error }.
+export function parseStudyPackOptions(body = {}) {
+    const options = { ...DEFAULT_STUDY_PACK_OPTIONS };
+
+    if (body.flashcardCount !== undefined) {
+        const count = Number(body.flashcardCount);
+        if (!Number.isInteger(count) || count < 0 || count > MAX_FLASHCARDS) {
+            return { error: `flashcardCount must be a whole number between 0 and ${MAX_FLASHCARDS}` };
+        }
+        options.flashcardCount = count;
+    }
+
+    // Same option name as quizzes so one settings form works for both
+    if (body.quizLanguage !== undefined) {
+        if (!isLanguageCode(body.quizLanguage)) {
+            return { error: "quizLanguage must be a language code such as \"hi\" or \"es\"" };
+        }
+        options.language = body.quizLanguage;
+    }
+
+    return { options };
+}
+
+const text = (value) => (typeof value === "string" ? value.replace(/\s+/g, " ").trim() : "");
+
+// Keep only entries whose `fields` are all non-empty strings, trimmed
+function cleanEntries(list, fields) {
+    if (!Array.isArray(list)) return [];
+    return list
+        .map(entry => Object.fromEntries(fields.map(field => [field, text(entry?.[field])])))
+        .filter(entry => fields.every(field => entry[field]));
+}
+
+// Check one section of model output against STUDY_PACK_SCHEMA. Returns the cleaned section
+// or null when it has no usable summary.
+export function normalizeStudyPackSection(raw) {
+    if (!raw || typeof raw !== "object" || !text(raw.summary)) return null;
+    return {
+        title: text(raw.title),
+        summary: text(raw.summary),
+        keyConcepts: cleanEntries(raw.keyConcepts, ["name", "explanation"]),
+        glossary: cleanEntries(raw.glossary, ["term", "definition"]),
+        flashcards: cleanEntries(raw.flashcards, ["front", "back"]),
+    };
+}
+
+// First entry wins for each key, compared without case and punctuation
+function uniqueBy(list, key) {
+    const seen = new Set();
+    return list.filter(entry => {
+        const id = entry[key].toLowerCase().replace(/[^\p{L}\p{N}]+/gu, " ").trim();
+        if (seen.has(id)) return false;
+        seen.add(id);
+        return true;
+    });
+}
+
+// Merge per-section results into one pack
+export function mergeStudyPackSections(sections, { flashcardCount }) {
+    return {
+        sections: sections.map(({ index, start, end, title, summary }) => ({
+            index,
+            ...(start !== undefined && { start, end }),
+            title,
+            summary,
+        })),
+        keyConcepts: uniqueBy(sections.flatMap(s => s.keyConcepts), "name").slice(0, MAX_KEY_CONCEPTS),
+        glossary: uniqueBy(sections.flatMap(s => s.glossary), "term")
+            .sort((a, b) => a.term.localeCompare(b.term)),
+        flashcards: uniqueBy(sections.flatMap(s => s.flashcards), "front").slice(0, flashcardCount),
+    };
+}
+
+async function requestJson(llm, { prompt, schema, maxOutputTokens }, { signal, onLlmCall }) {
+    const responseText = await withRetry(async () => {
+        await onLlmCall();
+        try {
+            return await llm.generateContent({ prompt, schema, temperature: 0.3, maxOutputTokens, signal });
+        } catch (error) {
+            if (signal?.aborted) throw error;
+            throw toLlmError(error);
+        }
+    }, { signal });
+
+    try {
+        return JSON.parse(responseText);
+    } catch (e) {
+        console.error("Failed to parse JSON response:", e);
+        throw new AppError("LLM_INVALID_JSON", "AI returned invalid JSON. Please try again.");
+    }
+}
+
+function languageLine(language) {
+    return language
+        ? `\n        Write everything in ${languageName(language)}, whatever the language of the transcript.`
+        : "";
+}
+
+async function generateSection(llm, section, { flashcards, language }, { signal, onLlmCall }) {
+    const transcript = section.passages ? formatPassagesForPrompt(section.passages) : section.text;
+    const prompt = `
+        Write study notes for learners from this part of a YouTube video transcript.
+
+        - "title": a short heading for this part.
+        - "summary": what this part covers, in 2 to 5 sentences.
+        - "keyConcepts": the 3 to 6 most important ideas, each with a short explanation.
+        - "glossary": technical or specialised terms the video uses, each with a one-sentence definition. Leave it empty if there are none.
+        - "flashcards": exactly ${flashcards} revision cards; "front" asks about one fact or idea and "back" answers it briefly.
+        Only use what the transcript says.${languageLine(language)}
+
+        Transcript: ${transcript}`;
+
+    const raw = await requestJson(llm, { prompt, schema: STUDY_PACK_SCHEMA, maxOutputTokens: 6000 }, { signal, onLlmCall });
+    const cleaned = normalizeStudyPackSection(raw);
+    if (!cleaned) {
+        throw new AppError("LLM_INVALID_JSON", "AI returned study notes without a summary. Please try again.");
+    }
+    return cleaned;
+}
+
+async function generateOverview(llm, sections, { language }, { signal, onLlmCall }) {
+    const prompt = `
+        These are summaries of consecutive parts of one YouTube video. Write a single paragraph
+        that summarises the whole video for a learner.${languageLine(language)}
+
+        ${sections.map(s => `${s.title}: ${s.summary}`).join("\n        ")}`;
+
+    const { overview } = await requestJson(llm, { prompt, schema: OVERVIEW_SCHEMA, maxOutputTokens: 1000 }, { signal, onLlmCall });
+    return text(overview);
+}
+
+// Resolves to { overview, sections, keyConcepts, glossary, flashcards }.
+// Options and callbacks work like generateQuestions.
+export async function generateStudyPack(transcript, {
+    segments,
+    provider,
+    model,
+    options = DEFAULT_STUDY_PACK_OPTIONS,
+    signal,
+    onProgress = () => {},
+    onLlmCall = () => {},
+} = {}) {
+    const llm = getProvider(provider, model);
+    const sections = segments?.length
+        ? buildSections(buildPassages(segments))
+        : splitTextIntoSections(cleanTranscriptText(transcript));
+
+    // Ask for a few extra flashcards per section since duplicates are dropped
+    const flashcards = Math.ceil(options.flashcardCount / sections.length) + (sections.length > 1 ? 1 : 0);
+    let firstError = null;
+    let completed = 0;
+    onProgress("generating", { completed, total: sections.length });
+
+    const results = await mapWithConcurrency(sections, SECTION_CONCURRENCY, async (section) => {
+        signal?.throwIfAborted();
+        try {
+            const notes = await generateSection(llm, section, { flashcards, language: options.language }, { signal, onLlmCall });
+            return { index: section.index, start: section.start, end: section.end, ...notes };
+        } catch (error) {
+            if (signal?.aborted) throw error;
+            console.error(`Study notes for section ${section.index} failed:`, error.message);
+            firstError = firstError || error;
+            return null;
+        } finally {
+            onProgress("generating", { completed: ++completed, total: sections.length });
+        }
+    });
+
+    const succeeded = results.filter(Boolean);
+    if (succeeded.length === 0) throw firstError;
+
+    const pack = mergeStudyPackSections(succeeded, options);
+    let overview = succeeded[0].summary;
+    if (succeeded.length > 1) {
+        onProgress("summarising", { completed, total: sections.length });
+        try {
+            overview = await generateOverview(llm, succeeded, options, { signal, onLlmCall }) ||
+                succeeded.map(s => s.summary).join(" ");
+        } catch (error) {
+            if (signal?.aborted) throw error;
+            console.error("Study pack overview failed:", error.message);
+            overview = succeeded.map(s => s.summary).join(" ");
+        }
+    }
+
+    return { overview, ...pack };
+}
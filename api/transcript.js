@@ -0,0 +1,195 @@
+import { decodeHTML } from "entities";
+
+// Helpers for working with timed transcript segments ({ text, start, duration } in seconds).
+
+// Clean transcript further to improve processing
+export function cleanTranscriptText(text) {
+    return text
+        .replace(/\b(\w+)\s+\1\s+\1\b/g, '$1 $1') // Remove triple repeated words
+        .replace(/\b(\w+)\s+\1\b/g, '$1')        // Remove double repeated words
+        .replace(/\s{2,}/g, ' ')           // Remove multiple spaces
+        .trim();
+}
+
+// Lowercase words only, so quotes match regardless of punctuation, case and spacing
+function normalizeForMatching(text) {
+    return text
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, " ")
+        .trim();
+}
+
+// Whether `quote` appears verbatim in `text`, ignoring punctuation, case and spacing
+export function containsQuote(text, quote) {
+    const needle = normalizeForMatching(quote || "");
+    if (needle.split(" ").length < 3) return false;
+    return ` ${normalizeForMatching(text)} `.includes(` ${needle} `);
+}
+
+export function formatTimestamp(seconds) {
+    const total = Math.max(0, Math.floor(seconds));
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = total % 60;
+    const mm = String(m).padStart(h ? 2 : 1, "0");
+    const ss = String(s).padStart(2, "0");
+    return h ? `${h}:${mm}:${ss}` : `${mm}:${ss}`;
+}
+
+// Group consecutive segments into passages of roughly `targetSeconds` each,
+// so generated questions can point back to a time range in the video.
+export function buildPassages(segments, targetSeconds = 30) {
+    const passages = [];
+    let current = null;
+
+    for (const segment of segments) {
+        if (!current) {
+            current = { index: passages.length, start: segment.start, end: segment.start, texts: [] };
+        }
+        current.texts.push(segment.text);
+        current.end = Math.max(current.end, segment.start + (segment.duration || 0));
+
+        if (current.end - current.start >= targetSeconds) {
+            passages.push(current);
+            current = null;
+        }
+    }
+    if (current) passages.push(current);
+
+    return passages.map(({ texts, ...passage }) => ({
+        ...passage,
+        text: cleanTranscriptText(texts.join(" ")),
+    }));
+}
+
+// Transcript text with a "[P<index> mm:ss-mm:ss]" marker in front of every passage
+export function formatPassagesForPrompt(passages) {
+    return passages
+        .map(p => `[P${p.index} ${formatTimestamp(p.start)}-${formatTimestamp(p.end)}] ${p.text}`)
+        .join("\n");
+}
+
+export const SECTION_MAX_CHARS = 12000;
+
+// Split passages into time-ordered sections small enough for a single prompt
+export function buildSections(passages, maxChars = SECTION_MAX_CHARS) {
+    const sections = [];
+    let current = null;
+
+    for (const passage of passages) {
+        if (current && current.length + passage.text.length > maxChars) {
+            sections.push(current);
+            current = null;
+        }
+        if (!current) {
+            current = { index: sections.length, start: passage.start, end: passage.end, passages: [], length: 0 };
+        }
+        current.passages.push(passage);
+        current.end = passage.end;
+        current.length += passage.text.length + 1;
+    }
+    if (current) sections.push(current);
+
+    return sections.map(({ length, ...section }) => section);
+}
+
+// Same idea for untimed text: break on sentence boundaries into sections of at most `maxChars`
+export function splitTextIntoSections(text, maxChars = SECTION_MAX_CHARS) {
+    const sentences = text.split(/(?<=[.!?])\s+/);
+    const sections = [];
+    let current = "";
+
+    for (const sentence of sentences) {
+        if (current && current.length + sentence.length + 1 > maxChars) {
+            sections.push(current);
+            current = "";
+        }
+        current = current ? `${current} ${sentence}` : sentence;
+    }
+    if (current) sections.push(current);
+
+    return sections.map((sectionText, index) => ({ index, text: sectionText }));
+}
+
+function formatCueTime(seconds, separator) {
+    const ms = Math.max(0, Math.round(seconds * 1000));
+    const h = String(Math.floor(ms / 3600000)).padStart(2, "0");
+    const m = String(Math.floor((ms % 3600000) / 60000)).padStart(2, "0");
+    const s = String(Math.floor((ms % 60000) / 1000)).padStart(2, "0");
+    const frac = String(ms % 1000).padStart(3, "0");
+    return `${h}:${m}:${s}${separator}${frac}`;
+}
+
+// "-->" may not appear inside a cue payload, in SRT or WebVTT
+function cuePayload(text) {
+    return text.replace(/-->/g, "->");
+}
+
+export function toSrt(segments) {
+    return segments
+        .map((segment, i) => [
+            i + 1,
+            `${formatCueTime(segment.start, ",")} --> ${formatCueTime(segment.start + segment.duration, ",")}`,
+            cuePayload(segment.text),
+        ].join("\n"))
+        .join("\n\n") + "\n";
+}
+
+export function toWebVtt(segments) {
+    const cues = segments.map(segment => [
+        `${formatCueTime(segment.start, ".")} --> ${formatCueTime(segment.start + segment.duration, ".")}`,
+        cuePayload(segment.text),
+    ].join("\n"));
+    return ["WEBVTT", ...cues].join("\n\n") + "\n";
+}
+
+// "01:02:03,456" (SRT) or "01:02:03.456" / "02:03.456" (WebVTT) to seconds
+function parseCueTime(value) {
+    const match = value.trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{2})[,.](\d{1,3})$/);
+    if (!match) return null;
+    const [, h = "0", m, s, frac] = match;
+    return Number(h) * 3600 + Number(m) * 60 + Number(s) + Number(frac.padEnd(3, "0")) / 1000;
+}
+
+// Cue text without markup such as <i>, <c.color> or <00:01.000> and SRT position tags like {\an8}
+function cleanCueText(lines) {
+    return decodeHTML(lines.join(" ").replace(/<[^>]*>/g, "").replace(/\{\\[^}]*\}/g, ""))
+        .replace(/\s+/g, " ")
+        .trim();
+}
+
+// Segments from an SRT or WebVTT file. Blocks without a timing line (the WEBVTT header,
+// NOTE, STYLE and REGION blocks) are skipped, as are repeats of the previous cue, which
+// roll-up captions produce. Returns an empty list when nothing looks like a cue.
+export function parseSubtitles(text) {
+    const segments = [];
+    const blocks = text.replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n").split(/\n{2,}/);
+
+    for (const block of blocks) {
+        const lines = block.split("\n");
+        const timing = lines.findIndex(line => line.includes("-->"));
+        if (timing === -1) continue;
+
+        const [from, to] = lines[timing].split("-->");
+        const start = parseCueTime(from);
+        // WebVTT cue settings ("line:0 position:50%") follow the end time
+        const end = parseCueTime(to.trim().split(/\s+/)[0]);
+        const cueText = cleanCueText(lines.slice(timing + 1));
+        if (start === null || end === null || !cueText) continue;
+        if (segments.at(-1)?.text === cueText) {
+            segments.at(-1).duration = Math.max(segments.at(-1).duration, end - segments.at(-1).start);
+            continue;
+        }
+
+        segments.push({ text: cueText, start, duration: Math.max(0, end - start) });
+    }
+
+    return segments;
+}
+
+export const TRANSCRIPT_FORMATS = {
+    json: "application/json",
+    srt: "application/x-subrip",
+    vtt: "text/vtt",
+    text: "text/plain",
+};
@@ -3,6 +3,18 @@ let quizData = [];
 let currentQuestion = 0;
 let score = 0;
 let incorrectAnswers = [];
+let quizVideoId = null;
+let quizId = null;
+let quizHostable = false;  // whether this user may host the current quiz live (their own, or as an instructor)
+let answers = [];
+let authToken = localStorage.getItem("authToken");
+let currentUser = null;
+let reviewCards = null;  // set while reviewing due items instead of taking a quiz
+let reviewResults = [];
+let practice = null;  // { practiceId, round, maxRounds, next } while practising missed concepts
+let attemptId = null;  // the saved attempt on the result screen, which practice starts from
+let quizSource = null;  // the text the current quiz was made from, needed to practise it
+let exam = null;  // timed exam state (see createExam) while taking a quiz as an exam and on its result
 
 document.addEventListener("DOMContentLoaded", () => {
     document.querySelector('.quiz-container').classList.add('animate-in');
@@ -15,73 +27,347 @@ document.addEventListener("DOMContentLoaded", () => {
     const retryButton = document.getElementById("retry");
     const showAnswerButton = document.getElementById("showAnswer");
     const youtubeUrlInput = document.getElementById("youtube-url");
+    const questionCountInput = document.getElementById("question-count");
+    const difficultySelect = document.getElementById("difficulty");
+    const questionTypesFieldset = document.getElementById("question-types");
+    const captionLanguageSelect = document.getElementById("caption-language");
+    const quizLanguageSelect = document.getElementById("quiz-language");
+    const verifyAnswersCheckbox = document.getElementById("verify-answers");
+    const inputTitle = document.getElementById("input-title");
+    const inputModeButtons = document.querySelectorAll("#input-modes .input-mode");
+    const sourceTextInput = document.getElementById("source-text");
+    const sourceFileInput = document.getElementById("source-file");
+    const sourceFileRow = document.getElementById("source-file-row");
+    const captionLanguageSetting = document.getElementById("caption-language-setting");
+    const progressContainer = document.getElementById("progress");
+    const progressFill = progressContainer.querySelector(".progress-fill");
+    const progressLabel = progressContainer.querySelector(".progress-label");
+    const cancelButton = document.getElementById("cancel");
+    const usernameInput = document.getElementById("username");
+    const passwordInput = document.getElementById("password");
+    const signedOutRow = document.getElementById("signed-out");
+    const signedInRow = document.getElementById("signed-in");
+    const historyContainer = document.getElementById("history");
+    const historyFilter = document.getElementById("history-filter");
+    const exportControls = document.getElementById("export");
+    const exportFormatSelect = document.getElementById("export-format");
+    const hostLiveButton = document.getElementById("host-live");
+    const practiceButton = document.getElementById("practice");
+    const examModeSelect = document.getElementById("exam-mode");
+    const examTimeSetting = document.getElementById("exam-time-setting");
+    const examTimeLabel = document.getElementById("exam-time-label");
+    const examTimeInput = document.getElementById("exam-time");
+    const examBar = document.getElementById("exam-bar");
+    const examClock = document.getElementById("exam-clock");
+    const examNavigator = document.getElementById("exam-navigator");
+    const examResume = document.getElementById("exam-resume");
+    const examButtons = {
+        prev: document.getElementById("exam-prev"),
+        flag: document.getElementById("exam-flag"),
+        next: document.getElementById("exam-next"),
+        finish: document.getElementById("exam-finish"),
+    };
+    const studyPackButton = document.getElementById("study-pack-btn");
+    const playlistSetting = document.getElementById("playlist-setting");
+    const playlistModeSelect = document.getElementById("playlist-mode");
+    const playlistContainer = document.getElementById("playlist");
+    const saveDraftCheckbox = document.getElementById("save-draft");
+    const draftEditor = document.getElementById("draft-editor");
+    const draftQuestionsContainer = document.getElementById("draft-questions");
+    const draftList = document.getElementById("draft-list");
+    const studyPackContainer = document.getElementById("study-pack");
+    const liveContainer = document.getElementById("live");
+    const liveCode = document.getElementById("live-code");
+    const liveTimer = document.getElementById("live-timer");
+    const liveStatus = document.getElementById("live-status");
+    const liveQuestion = document.getElementById("live-question");
+    const liveLeaderboard = document.getElementById("live-leaderboard");
+    const liveSubmitButton = document.getElementById("live-submit");
+    const liveStartButton = document.getElementById("live-start");
+    const liveNextButton = document.getElementById("live-next");
+    const liveEndButton = document.getElementById("live-end");
+    let currentJobId = null;
+    let currentRequest = null;  // AbortController of a synchronous generation request, for cancelling it
+    let examTimer = null;
+    let examTickAt = 0;  // when time was last charged to the exam
+    let currentDraft = null;  // the draft open in the editor
+    let inputMode = "youtube";  // where the transcript comes from: "youtube", "text" or "file"
 
-    // Button event handler with loading state
-    btn.addEventListener("click", async () => {
-        const youtubeUrl = youtubeUrlInput.value.trim();
-        if (!youtubeUrl) {
-            showToast("Please enter a YouTube URL", "error");
+    // The server takes up to 2 MB of JSON; leave room for escaping
+    const MAX_UPLOAD_BYTES = 1.5 * 1024 * 1024;
+
+    // Only needed when the backend sets API_KEYS. Anything shipped to the browser is public,
+    // so give the site its own key with a modest daily quota.
+    const API_KEY = "";
+
+    function apiUrl(path) {
+        // const baseUrl = process.env.BASE_URL;
+        const baseUrl = "https://get-yt-video-backend.vercel.app";
+        // The key goes in the query string because EventSource can't send headers
+        if (API_KEY) {
+            path += `${path.includes("?") ? "&" : "?"}api_key=${encodeURIComponent(API_KEY)}`;
+        }
+        // Use relative path for API endpoint for production compatibility
+        return window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1'
+            ? `http://localhost:3000${path}`
+            : `${baseUrl}${path}`;
+    }
+
+    function authHeaders() {
+        return authToken ? { Authorization: `Bearer ${authToken}` } : {};
+    }
+
+    function showAccount(user) {
+        currentUser = user;
+        signedOutRow.classList.toggle("hide", Boolean(user));
+        signedInRow.classList.toggle("hide", !user);
+        // Instructors can keep generated quizzes as drafts and edit them before sharing
+        const isInstructor = user?.role === "instructor";
+        document.getElementById("draft-setting").classList.toggle("hide", !isInstructor);
+        document.getElementById("show-drafts").classList.toggle("hide", !isInstructor);
+        if (!isInstructor) {
+            saveDraftCheckbox.checked = false;
+            draftEditor.classList.add("hide");
+        }
+        if (user) {
+            document.getElementById("account-name").textContent = user.username;
+            refreshDueCount();
+        } else {
+            historyContainer.classList.add("hide");
+        }
+    }
+
+    async function restoreSession() {
+        if (!authToken) return;
+        try {
+            const response = await fetch(apiUrl("/api/auth/me"), { headers: authHeaders() });
+            if (!response.ok) throw new Error("Session expired");
+            showAccount((await response.json()).user);
+        } catch (error) {
+            authToken = null;
+            localStorage.removeItem("authToken");
+            showAccount(null);
+        }
+    }
+
+    async function authenticate(path) {
+        const username = usernameInput.value.trim();
+        const password = passwordInput.value;
+        if (!username || !password) {
+            showToast("Enter a username and password", "error");
             return;
         }
 
-        if (!isValidYouTubeUrl(youtubeUrl)) {
-            showToast("Invalid YouTube URL format", "error");
+        try {
+            const response = await fetch(apiUrl(path), {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({ username, password }),
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                showToast(data.error || "Sign in failed", "error");
+                return;
+            }
+
+            authToken = data.token;
+            localStorage.setItem("authToken", authToken);
+            passwordInput.value = "";
+            showAccount(data.user);
+            showToast(`Signed in as ${data.user.username}`, "success");
+        } catch (error) {
+            console.error("Sign in error:", error);
+            showToast("Failed to sign in. Please try again.", "error");
+        }
+    }
+
+    async function signOut() {
+        try {
+            await fetch(apiUrl("/api/auth/logout"), { method: "POST", headers: authHeaders() });
+        } catch (error) {
+            console.error("Sign out error:", error);
+        }
+        authToken = null;
+        localStorage.removeItem("authToken");
+        showAccount(null);
+    }
+
+    // Past attempts for the signed-in user, or for the current video (instructors see every learner)
+    async function loadHistory() {
+        const summary = document.getElementById("history-summary");
+        const rows = document.getElementById("history-rows");
+        rows.innerHTML = "";
+
+        const videoId = quizVideoId || extractVideoId(youtubeUrlInput.value.trim());
+        const byVideo = historyFilter.value === "video";
+        if (byVideo && !videoId) {
+            summary.textContent = "Enter a YouTube URL to see attempts for that video.";
+            return;
+        }
+
+        try {
+            const path = byVideo ? `/api/videos/${encodeURIComponent(videoId)}/attempts` : "/api/attempts";
+            const response = await fetch(apiUrl(path), { headers: authHeaders() });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || "Failed to load history");
+
+            summary.textContent = data.summary
+                ? `${data.summary.attempts} attempt(s) by ${data.summary.learners} learner(s)` +
+                    (data.summary.attempts ? `, best ${data.summary.bestPercentage}%, average ${data.summary.averagePercentage}%` : "")
+                : `${data.attempts.length} attempt(s)`;
+
+            data.attempts.forEach(attempt => {
+                const row = document.createElement("tr");
+                const date = document.createElement("td");
+                date.textContent = new Date(attempt.createdAt).toLocaleString();
+
+                const video = document.createElement("td");
+                if (attempt.videoId) {
+                    const link = document.createElement("a");
+                    link.href = `https://www.youtube.com/watch?v=${encodeURIComponent(attempt.videoId)}`;
+                    link.target = "_blank";
+                    link.rel = "noopener";
+                    link.textContent = attempt.videoId;
+                    video.appendChild(link);
+                } else {
+                    // Quizzes made from pasted or uploaded text
+                    video.textContent = "Text";
+                }
+
+                const learner = document.createElement("td");
+                learner.textContent = attempt.username || currentUser.username;
+
+                const result = document.createElement("td");
+                result.textContent = `${attempt.score}/${attempt.total} (${attempt.percentage}%)`;
+
+                row.append(date, video, learner, result);
+                rows.appendChild(row);
+            });
+        } catch (error) {
+            console.error("History error:", error);
+            summary.textContent = "Failed to load your history. Please try again.";
+        }
+    }
+
+    async function fetchDueCards(limit) {
+        const response = await fetch(apiUrl(`/api/review/due?limit=${limit}`), { headers: authHeaders() });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || "Failed to load review deck");
+        return data;
+    }
+
+    async function refreshDueCount() {
+        try {
+            const deck = await fetchDueCards(1);
+            document.getElementById("due-count").textContent = deck.due ? deck.due : "";
+        } catch (error) {
+            console.error("Review deck error:", error);
+        }
+    }
+
+    // Serve the missed questions that are due, one card per question
+    async function startReview() {
+        let deck;
+        try {
+            deck = await fetchDueCards(20);
+        } catch (error) {
+            showToast("Failed to load your review deck. Please try again.", "error");
+            return;
+        }
+
+        if (deck.cards.length === 0) {
+            showToast(deck.nextDueAt
+                ? `Nothing to review yet. Next item is due ${new Date(deck.nextDueAt).toLocaleString()}`
+                : "Nothing to review. Missed questions will show up here.", "info");
             return;
         }
 
+        reviewCards = deck.cards;
+        reviewResults = [];
+        practice = null;
+        quizData = reviewCards.map(card => card.question);
+        quizId = null;
+        startQuiz();
+        showToast(`Reviewing ${quizData.length} due item(s)`, "info");
+    }
+
+    async function submitReviewAnswer(card, answer) {
+        const response = await fetch(apiUrl(`/api/review/cards/${encodeURIComponent(card.id)}/answer`), {
+            method: "POST",
+            headers: { "Content-Type": "application/json", ...authHeaders() },
+            body: JSON.stringify({ answer }),
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || "Failed to save answer");
+        }
+        return data;
+    }
+
+    document.getElementById("review-due").addEventListener("click", startReview);
+    document.getElementById("sign-in").addEventListener("click", () => authenticate("/api/auth/login"));
+    document.getElementById("register").addEventListener("click", () => authenticate("/api/auth/register"));
+    document.getElementById("sign-out").addEventListener("click", signOut);
+    document.getElementById("show-history").addEventListener("click", () => {
+        historyContainer.classList.toggle("hide");
+        if (!historyContainer.classList.contains("hide")) loadHistory();
+    });
+    historyFilter.addEventListener("change", loadHistory);
+    passwordInput.addEventListener("keyup", (event) => {
+        if (event.key === "Enter") authenticate("/api/auth/login");
+    });
+
+    restoreSession();
+
+    // Button event handler with loading state
+    btn.addEventListener("click", async () => {
+        const input = await readQuizInput();
+        if (!input) return;
+
+        const settings = getQuizSettings();
+        if (!settings) return;
+        if (!readExamSettings()) return;
+
+        playlistContainer.classList.add("hide");
+
         // Set loading state
         btn.textContent = 'Loading...';
         btn.disabled = true;
-        
-        const videoId = extractVideoId(youtubeUrl);
-        if (!videoId) {
-            showToast("Could not extract video ID", "error");
-            resetButtonState();
-            return;
-        }
 
         try {
             showToast("Generating questions...", "info");
             
-            console.log(`Sending request for video ID: ${videoId}`);
-            // const baseUrl = process.env.BASE_URL;
-            const baseUrl = "https://get-yt-video-backend.vercel.app";
-            // Use relative path for API endpoint for production compatibility
-            const apiUrl = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1' 
-                ? "http://localhost:3000/api/get-transcript" 
-                : `${baseUrl}/api/get-transcript`;
-                
-            const response = await fetch(apiUrl, {
-                method: "POST",
-                headers: { "Content-Type": "application/json" },
-                body: JSON.stringify({ videoId }),
-            });
+            console.log(input.videoId ? `Sending request for video ID: ${input.videoId}` : "Sending request for uploaded text");
+            const job = await runGenerationJob({ ...input, ...settings });
 
-            // Check for non-OK responses
-            if (!response.ok) {
-                const errorData = await response.json();
-                console.error("Server error:", errorData);
-                showPopup("Server Error", 
-                    errorData.error || "Failed to generate questions. Please try another video.", 
-                    "error");
+            if (job.status === "cancelled") {
+                showToast("Quiz generation cancelled", "info");
                 resetButtonState();
                 return;
             }
 
-            const data = await response.json();
-            
-            if (data.error && data.error === "Transcripts not available") {
-                showPopup("Transcript Not Available", 
-                    "This video doesn't have captions or transcripts available. You can try videos that have closed captions enabled.", 
-                    "error");
+            // Check for failed jobs
+            if (job.status === "failed") {
+                console.error("Server error:", job.error);
+                showGenerationError(job.error || {});
                 resetButtonState();
                 return;
             }
-            
-            if (data.error && data.error.includes("Not enough reliable information")) {
-                showPopup("Content Issue", 
-                    "We couldn't generate enough questions from this video. Please try an educational video with more detailed content or clearly explained concepts.", 
-                    "error");
+
+            const data = job.result;
+
+            // A quiz for each video in a playlist: let the learner pick one
+            if (data && Array.isArray(data.quizzes)) {
+                showPlaylistQuizzes(data);
+                resetButtonState();
+                return;
+            }
+
+            // Drafts open in the editor instead of starting the quiz
+            if (data && data.draftId) {
+                if (data.skipped && data.skipped.length > 0) showPlaylistQuizzes(data);
+                openDraft(data.draftId);
+                showToast("Draft saved. Check the questions, then publish.", "success");
                 resetButtonState();
                 return;
             }
@@ -96,32 +382,22 @@ document.addEventListener("DOMContentLoaded", () => {
             }
 
             quizData = data.result;
+            reviewCards = null;
+            practice = null;
+            quizSource = input.source || null;
+            quizVideoId = input.videoId || null;
+            quizId = data.quizId;
+            quizHostable = Boolean(currentUser);
             
-            // Less restrictive validation - only filter out obviously problematic questions
-            const problematicQuestions = quizData.filter(q => 
-                q.question.length < 15 || 
-                !q.options || 
-                q.options.length !== 4 ||
-                !q.options.includes(q.correctAnswer)
-            );
-            
-            if (problematicQuestions.length > 0) {
-                // Remove problematic questions rather than failing
-                quizData = quizData.filter(q => !problematicQuestions.includes(q));
-                
-                if (quizData.length < 3) {
-                    showPopup("Quality Issue", 
-                        "We couldn't generate enough good quality questions from this video. Please try another educational video.", 
-                        "error");
-                    resetButtonState();
-                    return;
-                }
-                
-                // Just show a warning but proceed with the quiz
-                showToast("Some questions were filtered out due to quality issues", "warning");
+            // Questions are checked on the server; say how many it had to throw away
+            if (data.quality && data.quality.rejected.length > 0) {
+                showToast(describeQualityReport(data.quality), "info");
             }
-            
-            startQuiz();
+            if (data.skipped && data.skipped.length > 0) {
+                showPlaylistQuizzes(data);
+            }
+
+            beginQuiz();
             showToast(`Quiz generated with ${quizData.length} questions!`, "success");
             resetButtonState();
         } catch (error) {
@@ -131,9 +407,376 @@ document.addEventListener("DOMContentLoaded", () => {
         }
     });
 
+    // { videoId }, { playlistId, playlistMode } or { source } for the selected input mode,
+    // or null after saying what's missing
+    async function readQuizInput() {
+        if (inputMode === "text") {
+            const content = sourceTextInput.value.trim();
+            if (!content) {
+                showToast("Please paste some text to make a quiz from", "error");
+                return null;
+            }
+            return { source: { content } };
+        }
+
+        if (inputMode === "file") {
+            const file = sourceFileInput.files[0];
+            if (!file) {
+                showToast("Please choose a subtitle or transcript file", "error");
+                return null;
+            }
+            if (file.size > MAX_UPLOAD_BYTES) {
+                showToast("That file is too large (at most 1.5 MB)", "error");
+                return null;
+            }
+            const extension = file.name.split(".").pop().toLowerCase();
+            const format = extension === "srt" || extension === "vtt" ? extension : "auto";
+            return { source: { content: await file.text(), format, name: file.name } };
+        }
+
+        const youtubeUrl = youtubeUrlInput.value.trim();
+        if (!youtubeUrl) {
+            showToast("Please enter a YouTube URL", "error");
+            return null;
+        }
+        if (!isValidYouTubeUrl(youtubeUrl)) {
+            showToast("Invalid YouTube URL format", "error");
+            return null;
+        }
+        const videoId = extractVideoId(youtubeUrl);
+        const playlistId = extractPlaylistId(youtubeUrl);
+        // Watch links inside a playlist cover the whole playlist unless "Just this video" is picked
+        if (playlistId && !(videoId && playlistModeSelect.value === "video")) {
+            return { playlistId, playlistMode: playlistModeSelect.value === "video" ? "combined" : playlistModeSelect.value };
+        }
+        if (!videoId) {
+            showToast("Could not extract video ID", "error");
+            return null;
+        }
+        return { videoId };
+    }
+
+    // The playlist picker only shows for playlist links; "Just this video" needs a video in the link
+    function updatePlaylistSetting() {
+        const youtubeUrl = youtubeUrlInput.value.trim();
+        const isPlaylist = inputMode === "youtube" && Boolean(extractPlaylistId(youtubeUrl));
+        const hasVideo = Boolean(extractVideoId(youtubeUrl));
+        playlistSetting.classList.toggle("hide", !isPlaylist);
+        playlistModeSelect.querySelector('option[value="video"]').hidden = !hasVideo;
+        if (!hasVideo && playlistModeSelect.value === "video") playlistModeSelect.value = "combined";
+    }
+
+    // List the quizzes made for each video of a playlist, and the videos that were skipped
+    function showPlaylistQuizzes(data) {
+        document.getElementById("playlist-title").textContent = data.playlist.title || "Playlist";
+        const list = document.getElementById("playlist-quizzes");
+        const skippedList = document.getElementById("playlist-skipped");
+        list.innerHTML = "";
+        skippedList.innerHTML = "";
+
+        (data.quizzes || []).forEach(item => {
+            const row = document.createElement("li");
+            const title = document.createElement("span");
+            title.textContent = item.title || item.videoId;
+            const count = document.createElement("span");
+            count.className = "playlist-count";
+            count.textContent = `${item.questionCount} questions`;
+            const start = document.createElement("button");
+            start.className = "btn-small";
+            start.textContent = item.draftId ? "Review" : "Start";
+            start.addEventListener("click", () => (item.draftId ? openDraft(item.draftId) : openQuiz(item.quizId)));
+            row.append(title, count, start);
+            list.appendChild(row);
+        });
+
+        data.skipped.forEach(item => {
+            const row = document.createElement("li");
+            row.textContent = `Skipped "${item.title || item.videoId}": ${item.error}`;
+            skippedList.appendChild(row);
+        });
+
+        playlistContainer.classList.remove("hide");
+        if (data.quizzes) {
+            playlistContainer.scrollIntoView({ behavior: "smooth" });
+            showToast(`Made ${data.quizzes.length} quizzes from "${data.playlist.title || "the playlist"}"`, "success");
+        }
+    }
+
+    // Load a stored quiz (without answers) and start it
+    async function openQuiz(id) {
+        try {
+            const response = await fetch(apiUrl(`/api/quizzes/${encodeURIComponent(id)}`));
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || "Failed to load quiz");
+
+            quizData = data.result;
+            reviewCards = null;
+            practice = null;
+            quizSource = null;
+            quizVideoId = data.videoId || null;
+            quizId = data.quizId;
+            quizHostable = data.canHost;
+            beginQuiz();
+        } catch (error) {
+            console.error("Error opening quiz:", error);
+            showToast("Failed to load that quiz. Please try again.", "error");
+        }
+    }
+
+    const INPUT_TITLES = {
+        youtube: "Enter YouTube URL",
+        text: "Paste your notes or transcript",
+        file: "Upload subtitles or a transcript",
+    };
+
+    function setInputMode(mode) {
+        inputMode = mode;
+        inputTitle.textContent = INPUT_TITLES[mode];
+        inputModeButtons.forEach(button => button.classList.toggle("active", button.dataset.mode === mode));
+        youtubeUrlInput.classList.toggle("hide", mode !== "youtube");
+        sourceTextInput.classList.toggle("hide", mode !== "text");
+        sourceFileRow.classList.toggle("hide", mode !== "file");
+        // Caption tracks only exist for YouTube videos
+        captionLanguageSetting.classList.toggle("hide", mode !== "youtube");
+        updatePlaylistSetting();
+    }
+
+    function getQuizSettings() {
+        const questionCount = Number(questionCountInput.value);
+        if (!Number.isInteger(questionCount) || questionCount < 1 || questionCount > 30) {
+            showToast("Number of questions must be between 1 and 30", "error");
+            return null;
+        }
+
+        const questionTypes = [...questionTypesFieldset.querySelectorAll('input[type="checkbox"]:checked')]
+            .map(checkbox => checkbox.value);
+        if (questionTypes.length === 0) {
+            showToast("Select at least one question type", "error");
+            return null;
+        }
+
+        const settings = { questionCount, difficulty: difficultySelect.value, questionTypes };
+        if (inputMode === "youtube" && captionLanguageSelect.value) settings.captionLanguage = captionLanguageSelect.value;
+        if (quizLanguageSelect.value) settings.quizLanguage = quizLanguageSelect.value;
+        if (verifyAnswersCheckbox.checked) settings.verifyAnswers = true;
+        if (saveDraftCheckbox.checked) settings.draft = true;
+        return settings;
+    }
+
+    // Fill the caption language picker with the tracks the video actually has
+    let loadedCaptionsFor = null;
+    async function loadCaptionTracks() {
+        const youtubeUrl = youtubeUrlInput.value.trim();
+        const videoId = isValidYouTubeUrl(youtubeUrl) ? extractVideoId(youtubeUrl) : null;
+        if (!videoId || videoId === loadedCaptionsFor) return;
+        loadedCaptionsFor = videoId;
+
+        captionLanguageSelect.innerHTML = '<option value="">Auto</option>';
+        try {
+            const response = await fetch(apiUrl(`/api/captions/${encodeURIComponent(videoId)}`));
+            if (!response.ok) return;
+            const data = await response.json();
+
+            data.tracks
+                .filter(track => track.languageCode)
+                .forEach(track => {
+                    const option = document.createElement("option");
+                    option.value = track.languageCode;
+                    option.textContent = track.kind === "asr" ? `${track.name} (auto)` : track.name;
+                    captionLanguageSelect.appendChild(option);
+                });
+        } catch (error) {
+            console.error("Failed to load caption tracks:", error);
+        }
+    }
+
+    // Older responses have no type; they are single-choice questions
+    function questionType(q) {
+        return q.type || "single-choice";
+    }
+
+    // One-line summary of the server's quality report, e.g. "Filtered out 3 weak questions (2 duplicate, 1 answer length)"
+    function describeQualityReport(quality) {
+        const counts = Object.entries(quality.rejectedByCheck)
+            .map(([check, count]) => `${count} ${check.replace(/-/g, " ")}`)
+            .join(", ");
+        const total = quality.rejected.length;
+        return `Filtered out ${total} weak question${total === 1 ? "" : "s"} (${counts})`;
+    }
+
+    // Popup for a failed generation, chosen by the server's error code
+    function showGenerationError({ code, error, retryAfter }) {
+        const waitHint = retryAfter ? ` Please wait about ${Math.ceil(retryAfter / 60)} minute(s) and try again.` : "";
+        switch (code) {
+            case "CAPTIONS_MISSING":
+                showPopup("Transcript Not Available",
+                    "This video doesn't have captions or transcripts available. You can try videos that have closed captions enabled.",
+                    "error");
+                break;
+            case "CAPTIONS_LANGUAGE_MISSING":
+                showPopup("Captions Not Available", `${error}. Pick another caption language or choose Auto.`, "error");
+                break;
+            case "VIDEO_UNAVAILABLE":
+                showPopup("Video Unavailable",
+                    "This video is private, removed or blocked, so we can't read its captions. Please try another video.",
+                    "error");
+                break;
+            case "TRANSCRIPT_TOO_SHORT":
+                if (inputMode !== "youtube") {
+                    showPopup("Content Issue", `${error}. Please add more material and try again.`, "error");
+                    break;
+                }
+                // falls through
+            case "TOO_FEW_QUESTIONS":
+                showPopup("Content Issue",
+                    "We couldn't generate enough questions from this video. Please try an educational video with more detailed content or clearly explained concepts.",
+                    "error");
+                break;
+            case "LLM_RATE_LIMITED":
+                showPopup("AI Service Busy", `The AI service is handling too many requests right now.${waitHint || " Please try again in a minute."}`, "error");
+                break;
+            case "LLM_INVALID_JSON":
+            case "LLM_UNAVAILABLE":
+                showPopup("AI Service Error", "The AI service didn't return a usable quiz. Please try again or pick another video.", "error");
+                break;
+            case "YOUTUBE_UNREACHABLE":
+                showPopup("YouTube Unreachable", "We couldn't reach YouTube just now. Please try again in a moment.", "error");
+                break;
+            case "RATE_LIMITED":
+            case "QUOTA_EXCEEDED":
+                showPopup("Limit Reached", `${error}${waitHint && code === "RATE_LIMITED" ? waitHint : ""}`, "error");
+                break;
+            case "API_KEY_INVALID":
+                showPopup("Access Denied", "This site isn't allowed to use the quiz service. Please contact the site owner.", "error");
+                break;
+            default:
+                showPopup("Server Error", error || "Failed to generate questions. Please try another video.", "error");
+        }
+    }
+
     function resetButtonState() {
         btn.textContent = 'Get Questions';
         btn.disabled = false;
+        currentJobId = null;
+        currentRequest = null;
+        progressContainer.classList.add("hide");
+    }
+
+    // Start a background generation job and follow it until it finishes.
+    // Resolves to the final job snapshot (status "done", "failed" or "cancelled").
+    async function runGenerationJob(body) {
+        const response = await fetch(apiUrl("/api/jobs"), {
+            method: "POST",
+            headers: { "Content-Type": "application/json", ...authHeaders() },
+            body: JSON.stringify(body),
+        });
+
+        // Serverless deployments can't run background jobs; generate in one request there instead
+        if (response.status === 404 || response.status === 503) {
+            const error = await response.json().catch(() => ({}));
+            if (response.status === 404 || error.code === "JOBS_UNAVAILABLE") {
+                return generateInOneRequest(body);
+            }
+            return { status: "failed", error };
+        }
+
+        // Requests rejected before a job was created look like a failed job
+        if (!response.ok) {
+            return { status: "failed", error: await response.json() };
+        }
+
+        const job = await response.json();
+        currentJobId = job.id;
+        showProgress(job);
+
+        return new Promise((resolve) => {
+            let finished = false;
+            const finish = (snapshot) => {
+                if (finished) return;
+                finished = true;
+                showProgress(snapshot);
+                resolve(snapshot);
+            };
+
+            const events = new EventSource(apiUrl(job.eventsUrl));
+            events.addEventListener("progress", (event) => showProgress(JSON.parse(event.data)));
+            ["done", "failed", "cancelled"].forEach((name) => {
+                events.addEventListener(name, (event) => {
+                    events.close();
+                    finish(JSON.parse(event.data));
+                });
+            });
+
+            // Fall back to polling if the stream is unavailable (e.g. behind a buffering proxy)
+            events.onerror = () => {
+                events.close();
+                pollJob(job.statusUrl, finish);
+            };
+        });
+    }
+
+    // Same result shape as runGenerationJob, without progress updates
+    async function generateInOneRequest(body) {
+        currentRequest = new AbortController();
+        showProgress({ progress: 0, message: "Generating questions..." });
+        try {
+            const response = await fetch(apiUrl("/api/get-transcript"), {
+                method: "POST",
+                headers: { "Content-Type": "application/json", ...authHeaders() },
+                body: JSON.stringify(body),
+                signal: currentRequest.signal,
+            });
+            const data = await response.json();
+            return response.ok ? { status: "done", result: data } : { status: "failed", error: data };
+        } catch (error) {
+            if (error.name === "AbortError") return { status: "cancelled" };
+            throw error;
+        }
+    }
+
+    async function pollJob(statusUrl, finish) {
+        try {
+            const response = await fetch(apiUrl(statusUrl), { headers: authHeaders() });
+            const snapshot = await response.json();
+            if (!response.ok) {
+                finish({ status: "failed", error: snapshot });
+                return;
+            }
+
+            showProgress(snapshot);
+            if (["done", "failed", "cancelled"].includes(snapshot.status)) {
+                finish(snapshot);
+                return;
+            }
+        } catch (error) {
+            console.error("Polling error:", error);
+        }
+        setTimeout(() => pollJob(statusUrl, finish), 1500);
+    }
+
+    function showProgress(job) {
+        progressContainer.classList.remove("hide");
+        progressFill.style.width = `${job.progress || 0}%`;
+        progressLabel.textContent = job.message || "Working...";
+    }
+
+    cancelButton.addEventListener("click", async () => {
+        if (currentRequest) {
+            currentRequest.abort();
+            return;
+        }
+        if (!currentJobId) return;
+        try {
+            await fetch(apiUrl(`/api/jobs/${currentJobId}`), { method: "DELETE", headers: authHeaders() });
+        } catch (error) {
+            console.error("Failed to cancel job:", error);
+        }
+    });
+
+    // The list= parameter of playlist links and of watch links opened from a playlist
+    function extractPlaylistId(url) {
+        const match = url.match(/[?&]list=([\w-]+)/);
+        return match ? match[1] : null;
     }
 
     function extractVideoId(url) {
@@ -160,16 +803,38 @@ document.addEventListener("DOMContentLoaded", () => {
         return (match && match[2].length === 11) ? match[2] : null;
     }
 
-    function startQuiz() {
+    // New quizzes run as a timed exam when one is picked in the settings
+    function beginQuiz() {
+        const settings = readExamSettings();
+        startQuiz(settings && settings.mode ? settings : null);
+    }
+
+    // `examSettings` ({ mode, limit }) makes it a timed exam
+    function startQuiz(examSettings = null) {
         currentQuestion = 0;
         score = 0;
         incorrectAnswers = [];
+        answers = quizData.map(() => null);
+        exam = examSettings && createExam(examSettings);
+        showQuizScreen();
+    }
 
+    function showQuizScreen() {
+        stopExamTimer();
         quizContainer.innerHTML = '';
         resultContainer.style.display = "none";
-        submitButton.style.display = "block";
+        submitButton.style.display = exam ? "none" : "block";
         retryButton.classList.add("hide");
         showAnswerButton.classList.add("hide");
+        practiceButton.classList.add("hide");
+        exportControls.classList.add("hide");
+        hostLiveButton.classList.toggle("hide", !quizId || !quizHostable || Boolean(reviewCards) || Boolean(practice) || Boolean(exam));
+        showExamControls(Boolean(exam));
+        if (exam) {
+            examResume.classList.add("hide");
+            saveExamProgress();
+            startExamTimer();
+        }
 
         displayQuestion();
     }
@@ -182,66 +847,256 @@ document.addEventListener("DOMContentLoaded", () => {
     }
 
     function displayQuestion() {
-        if (currentQuestion >= quizData.length) {
+        if (!exam && currentQuestion >= quizData.length) {
             displayResult();
             return;
         }
 
         const questionData = quizData[currentQuestion];
-        const shuffledOptions = [...questionData.options];
-        shuffleArray(shuffledOptions);
-
-        quizContainer.innerHTML = `
-            <div class="question-counter">Question ${currentQuestion + 1}/${quizData.length}</div>
-            <div class="question">${questionData.question}</div>
-            <div class="options"></div>
-        `;
 
-        const optionsContainer = quizContainer.querySelector(".options");
+        const counterLabel = reviewCards ? "Review item" : practice ? `Practice round ${practice.round}, question` : "Question";
+        quizContainer.innerHTML = "";
+        appendElement(quizContainer, "div", `${counterLabel} ${currentQuestion + 1}/${quizData.length}`, "question-counter");
+        if (questionData.concept) {
+            appendElement(quizContainer, "div", `Concept: ${questionData.concept}`, "practice-concept");
+        }
+        renderRichText(appendElement(quizContainer, "div", "", "question"), questionData.question);
+        const options = appendElement(quizContainer, "div", "", "options");
 
-        shuffledOptions.forEach((option) => {
-            const optionElement = document.createElement("label");
-            
-            const radio = document.createElement("input");
-            radio.type = "radio";
-            radio.name = "quiz";
-            radio.value = option;
-
-            optionElement.appendChild(radio);
-            optionElement.appendChild(document.createTextNode(option));
-            optionsContainer.appendChild(optionElement);
-        });
+        if (exam) {
+            displayExamInputs(options, questionData);
+        } else {
+            renderAnswerInputs(options, questionData, checkAnswer);
+        }
 
         // Add animation
         quizContainer.classList.add('fade-in');
         setTimeout(() => quizContainer.classList.remove('fade-in'), 500);
     }
 
-    function checkAnswer() {
-        const selectedOption = document.querySelector('input[name="quiz"]:checked');
-        if (!selectedOption) {
-            showToast("Please select an answer", "error");
-            return;
-        }
-
-        const answer = selectedOption.value;
-        if (answer === quizData[currentQuestion].correctAnswer) {
-            score++;
-            showToast("Correct!", "success");
+    // Inputs for answering `questionData` in `optionsContainer`; Enter in a text box calls `onEnter`.
+    // Options are shuffled unless `shuffle` is false (exams shuffle them once, up front).
+    function renderAnswerInputs(optionsContainer, questionData, onEnter, { shuffle = true } = {}) {
+        const type = questionType(questionData);
+        if (type === "fill-in-the-blank" || type === "short-answer") {
+            const input = document.createElement("input");
+            input.type = "text";
+            input.name = "quiz";
+            input.className = "text-answer";
+            input.placeholder = type === "fill-in-the-blank" ? "Fill in the blank" : "Type your answer";
+            input.autocomplete = "off";
+            input.addEventListener("keyup", (event) => {
+                if (event.key === "Enter") onEnter();
+            });
+            optionsContainer.appendChild(input);
         } else {
-            incorrectAnswers.push({
-                question: quizData[currentQuestion].question,
-                incorrectAnswer: answer,
-                correctAnswer: quizData[currentQuestion].correctAnswer,
+            // Keep True/False in its natural order
+            const shuffledOptions = [...questionData.options];
+            if (type !== "true-false" && shuffle) shuffleArray(shuffledOptions);
+
+            if (type === "multi-select") {
+                const hint = document.createElement("div");
+                hint.className = "question-hint";
+                hint.textContent = "Select all that apply";
+                optionsContainer.appendChild(hint);
+            }
+
+            shuffledOptions.forEach((option) => {
+                const optionElement = document.createElement("label");
+
+                const input = document.createElement("input");
+                input.type = type === "multi-select" ? "checkbox" : "radio";
+                input.name = "quiz";
+                input.value = option;
+
+                optionElement.appendChild(input);
+                optionElement.appendChild(renderRichText(document.createElement("span"), option, { inline: true }));
+                optionsContainer.appendChild(optionElement);
             });
-            showToast("Incorrect", "error");
+        }
+    }
+
+    function getSelectedAnswer(type, container = quizContainer) {
+        if (type === "fill-in-the-blank" || type === "short-answer") {
+            const value = container.querySelector('input[name="quiz"]').value.trim();
+            return value || null;
         }
 
-        currentQuestion++;
-        displayQuestion();
+        const checked = [...container.querySelectorAll('input[name="quiz"]:checked')].map(input => input.value);
+        if (checked.length === 0) return null;
+        return type === "multi-select" ? checked : checked[0];
     }
 
-    function displayResult() {
+    // Questions, options and explanations are Markdown from the model, with code and LaTeX math.
+    // marked renders it, DOMPurify cleans the result before it reaches the page, and raw HTML in
+    // the text is shown as text. Without the libraries (blocked CDN) it all stays plain text.
+    const MATH_PATTERN = /\$\$([\s\S]+?)\$\$|\\\[([\s\S]+?)\\\]|\\\(([\s\S]+?)\\\)|\$(?=\S)([^$\n]*?\S)\$(?!\d)/g;
+    // Code spans and blocks are left out of the math search, so `echo $HOME` stays code
+    const CODE_PATTERN = /(```[\s\S]*?(?:```|$)|`[^`\n]*`)/;
+    const MATH_TOKEN = /\uE000(\d+)\uE001/g;
+
+    if (window.marked) {
+        marked.use({ renderer: { html: ({ text }) => escapeHtml(text) } });
+    }
+
+    function escapeHtml(text) {
+        const entities = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+        return String(text).replace(/[&<>"']/g, char => entities[char]);
+    }
+
+    // Swap formulas for tokens before Markdown runs, so `_` and `*` inside them survive
+    function extractMath(text) {
+        const math = [];
+        const markdown = text.split(CODE_PATTERN).map((part, i) => (i % 2 === 1 ? part : part.replace(MATH_PATTERN,
+            (source, display, bracketed, inline, dollars) => {
+                math.push({ source, tex: display ?? bracketed ?? inline ?? dollars, display: display !== undefined || bracketed !== undefined });
+                return `\uE000${math.length - 1}\uE001`;
+            }))).join("");
+        return { markdown, math };
+    }
+
+    // Fill `element` with `text` rendered safely; `inline` keeps it to a single line (options, answers)
+    function renderRichText(element, text, { inline = false } = {}) {
+        const value = String(text ?? "");
+        if (!window.marked || !window.DOMPurify) {
+            element.textContent = value;
+            return element;
+        }
+
+        const { markdown, math } = extractMath(value);
+        const html = inline ? marked.parseInline(markdown) : marked.parse(markdown);
+        element.innerHTML = DOMPurify.sanitize(html.replace(MATH_TOKEN, '<span class="math" data-math="$1"></span>'));
+        element.classList.add("rich-text");
+
+        element.querySelectorAll("span[data-math]").forEach(span => {
+            const formula = math[Number(span.dataset.math)];
+            if (!formula) return;
+            if (window.katex) {
+                katex.render(formula.tex, span, { displayMode: formula.display, throwOnError: false });
+            } else {
+                span.textContent = formula.source;
+            }
+        });
+        if (window.hljs) {
+            element.querySelectorAll("pre code").forEach(block => hljs.highlightElement(block));
+        }
+        return element;
+    }
+
+    // "Label: text" with the text rendered; explanations may hold code blocks, so they get a block
+    function appendRichLine(parent, className, label, text, { inline = true } = {}) {
+        const line = appendElement(parent, "div", "", className);
+        appendElement(line, "strong", `${label} `);
+        renderRichText(appendElement(line, inline ? "span" : "div", ""), text, { inline });
+        return line;
+    }
+
+    function formatAnswer(answer) {
+        if (answer === null || answer === undefined) return "(no answer)";
+        return Array.isArray(answer) ? answer.join(", ") : answer;
+    }
+
+    async function checkAnswer() {
+        const questionData = quizData[currentQuestion];
+        const type = questionType(questionData);
+        const answer = getSelectedAnswer(type);
+        if (!answer) {
+            showToast(type === "fill-in-the-blank" || type === "short-answer"
+                ? "Please type an answer"
+                : "Please select an answer", "error");
+            return;
+        }
+
+        answers[currentQuestion] = answer;
+
+        // Review cards are graded and rescheduled one at a time
+        if (reviewCards) {
+            const card = reviewCards[currentQuestion];
+            submitButton.disabled = true;
+            try {
+                const feedback = await submitReviewAnswer(card, answer);
+                reviewResults[currentQuestion] = { card, answer, ...feedback };
+                showToast(feedback.correct
+                    ? `Correct! Next review on ${new Date(feedback.card.dueAt).toLocaleDateString()}`
+                    : `Not quite. The answer was ${formatAnswer(feedback.correctAnswers || feedback.correctAnswer)}`,
+                    feedback.correct ? "success" : "error");
+            } catch (error) {
+                console.error("Review error:", error);
+                showToast("Failed to save your answer. Please try again.", "error");
+                return;
+            } finally {
+                submitButton.disabled = false;
+            }
+        }
+
+        currentQuestion++;
+        displayQuestion();
+    }
+
+    // Answers are graded on the server, which also returns the per-question breakdown
+    async function submitAnswers() {
+        const response = await fetch(apiUrl(`/api/quizzes/${encodeURIComponent(quizId)}/submissions`), {
+            method: "POST",
+            headers: { "Content-Type": "application/json", ...authHeaders() },
+            body: JSON.stringify({ answers, ...(exam && { timeSpent: exam.timeSpent }) }),
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || "We couldn't grade your answers. Please try again.");
+        }
+        return data;
+    }
+
+    async function displayResult() {
+        quizContainer.innerHTML = "";
+        submitButton.style.display = "none";
+
+        if (reviewCards) {
+            displayReviewResult();
+            return;
+        }
+        if (practice) {
+            displayPracticeResult();
+            return;
+        }
+
+        let grading;
+        try {
+            grading = await submitAnswers();
+        } catch (error) {
+            console.error("Grading error:", error);
+            if (exam) {
+                // The exam stays saved, so finishing again sends the same answers
+                showPopup("Grading Failed", `${error.message} Your answers are kept; finish the exam again when you're ready.`, "error");
+                examButtons.finish.classList.remove("hide");
+            } else {
+                showPopup("Grading Failed", error.message, "error");
+                retryButton.classList.remove("hide");
+            }
+            return;
+        }
+
+        if (grading.attemptId) {
+            showToast("Attempt saved to your history", "success");
+            if (!historyContainer.classList.contains("hide")) loadHistory();
+            refreshDueCount();
+        }
+
+        attemptId = grading.attemptId || null;
+        score = grading.score;
+        incorrectAnswers = grading.results
+            .filter(result => !result.correct)
+            .map(result => ({
+                question: result.question,
+                incorrectAnswer: formatAnswer(result.answer),
+                // Anonymous learners only find out what they got wrong
+                correctAnswer: grading.answersHidden ? null : formatAnswer(result.correctAnswers || result.correctAnswer),
+                explanation: result.explanation,
+                citation: result.citation,
+                timestamp: result.timestamp,
+                videoId: result.videoId,
+            }));
+
         resultContainer.innerHTML = `<h2>You scored ${score} out of ${quizData.length}!</h2>`;
         
         // Display percentage and message
@@ -254,6 +1109,13 @@ document.addEventListener("DOMContentLoaded", () => {
         else message = "Keep practicing! You'll improve!";
         
         resultContainer.innerHTML += `<p>${message}</p>`;
+        if (grading.answersHidden && incorrectAnswers.length) {
+            appendElement(resultContainer, "p", "Sign in before taking the quiz to see the correct answers and practise the ones you missed.");
+        }
+        if (exam) {
+            showExamBreakdown(grading);
+            clearExamProgress();
+        }
         
         resultContainer.style.display = "block";
         resultContainer.classList.add('fade-in');
@@ -261,46 +1123,1209 @@ document.addEventListener("DOMContentLoaded", () => {
         submitButton.style.display = "none";
         retryButton.classList.remove("hide");
         showAnswerButton.classList.remove("hide");
+        // Practice follows up on a saved attempt; text quizzes also need the text still at hand
+        practiceButton.textContent = "Practice my weak spots";
+        practiceButton.classList.toggle("hide", !attemptId || incorrectAnswers.length === 0 ||
+            (!quizVideoId && !quizSource && !quizData.some(q => q.videoId)));
+        // Downloads include the answers, so they unlock once a signed-in learner has finished
+        exportControls.classList.toggle("hide", !grading.attemptId && currentUser?.role !== "instructor");
+    }
+
+    async function practiceRequest(path, body) {
+        const response = await fetch(apiUrl(path), {
+            method: "POST",
+            headers: { "Content-Type": "application/json", ...authHeaders() },
+            body: JSON.stringify(body),
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || "Practice failed");
+        }
+        return data;
+    }
+
+    // The server writes fresh questions on the concepts behind the missed answers
+    async function startPractice() {
+        practiceButton.disabled = true;
+        showToast("Writing practice questions...", "info");
+        try {
+            const data = await practiceRequest(`/api/quizzes/${encodeURIComponent(quizId)}/practice`, {
+                attemptId,
+                ...(quizSource && { source: quizSource }),
+            });
+            practice = { practiceId: data.practiceId, round: data.round, maxRounds: data.maxRounds, next: null };
+            startPracticeRound(data.questions);
+        } catch (error) {
+            console.error("Practice error:", error);
+            showToast(error.message || "Failed to start practice. Please try again.", "error");
+        } finally {
+            practiceButton.disabled = false;
+        }
+    }
+
+    function startPracticeRound(questions) {
+        quizData = questions;
+        practice.next = null;
+        startQuiz();
+        showToast(`Practice round ${practice.round} of up to ${practice.maxRounds}`, "info");
+    }
+
+    // One button moves practice along: start it, open the next round, or send a round again after a failure
+    function continuePractice() {
+        if (!practice) {
+            startPractice();
+        } else if (practice.next) {
+            practice.round = practice.next.round;
+            startPracticeRound(practice.next.questions);
+        } else {
+            displayPracticeResult();
+        }
+    }
+
+    async function displayPracticeResult() {
+        practiceButton.classList.add("hide");
+        let grading;
+        try {
+            grading = await practiceRequest(`/api/practice/${encodeURIComponent(practice.practiceId)}/answers`, { answers });
+        } catch (error) {
+            console.error("Practice grading error:", error);
+            showPopup("Practice Failed", `${error.message} Your answers are kept; send them again when you're ready.`, "error");
+            practiceButton.textContent = "Send answers again";
+            practiceButton.classList.remove("hide");
+            return;
+        }
+
+        attemptId = grading.attemptId || null;
+        score = grading.score;
+        incorrectAnswers = grading.results
+            .filter(result => !result.correct)
+            .map(result => ({
+                question: result.question,
+                incorrectAnswer: formatAnswer(result.answer),
+                correctAnswer: formatAnswer(result.correctAnswers || result.correctAnswer),
+                explanation: result.explanation,
+                citation: result.citation,
+                timestamp: result.timestamp,
+                videoId: result.videoId,
+            }));
+
+        const mastered = grading.mastery.filter(item => item.mastered).length;
+        resultContainer.innerHTML = "";
+        appendElement(resultContainer, "h2", `Practice round ${grading.round}: ${score} out of ${grading.total}`);
+        appendElement(resultContainer, "p", grading.finished
+            ? `Practice finished. You mastered ${mastered} of ${grading.mastery.length} concepts.`
+            : `${mastered} of ${grading.mastery.length} concepts mastered so far. The next round adjusts to how you did.`);
+        resultContainer.appendChild(masteryTable(grading.mastery));
+        resultContainer.style.display = "block";
+        resultContainer.classList.add('fade-in');
+
+        retryButton.classList.add("hide");
+        showAnswerButton.classList.toggle("hide", incorrectAnswers.length === 0);
+        if (grading.finished) {
+            practice = null;
+        } else {
+            practice.next = grading.next;
+            practiceButton.textContent = "Next round";
+            practiceButton.classList.remove("hide");
+        }
+    }
+
+    function masteryTable(mastery) {
+        const table = document.createElement("table");
+        table.className = "mastery";
+        const head = table.createTHead().insertRow();
+        ["Concept", "Correct", "Status"].forEach(text => appendElement(head, "th", text));
+        const body = table.createTBody();
+        mastery.forEach(item => {
+            const row = body.insertRow();
+            appendElement(row, "td", item.concept);
+            appendElement(row, "td", `${item.correct}/${item.attempts}`);
+            const status = item.mastered ? "Mastered" : item.attempts ? `Practising (${item.difficulty})` : "Not asked yet";
+            appendElement(row, "td", status, item.mastered ? "mastered" : "");
+        });
+        return table;
+    }
+
+    // Timed exams: every question stays open until the learner finishes (or the time runs out),
+    // with a navigator to move between them and flags to come back to. Progress is saved to
+    // localStorage as it goes, so an attempt interrupted by a reload or a closed tab can be resumed.
+    // Time only runs while the exam is on screen.
+    const EXAM_STORAGE_KEY = "examProgress";
+    const EXAM_LIMITS = {
+        "overall": { unit: "Minutes", min: 1, max: 180, scale: 60, initial: 10 },
+        "per-question": { unit: "Seconds per question", min: 10, max: 600, scale: 1, initial: 60 },
+    };
+
+    function updateExamSetting() {
+        const limits = EXAM_LIMITS[examModeSelect.value];
+        examTimeSetting.classList.toggle("hide", !limits);
+        if (!limits) return;
+        examTimeLabel.textContent = limits.unit;
+        examTimeInput.min = limits.min;
+        examTimeInput.max = limits.max;
+        examTimeInput.value = limits.initial;
+    }
+
+    // { mode: "" } without a timer, { mode, limit } with the limit in seconds, or null after saying what's wrong
+    function readExamSettings() {
+        const mode = examModeSelect.value;
+        if (!mode) return { mode: "" };
+
+        const { unit, min, max, scale } = EXAM_LIMITS[mode];
+        const value = Number(examTimeInput.value);
+        if (!Number.isInteger(value) || value < min || value > max) {
+            showToast(`${unit} must be between ${min} and ${max}`, "error");
+            return null;
+        }
+        return { mode, limit: value * scale };
+    }
+
+    // Options are shuffled once per attempt so they stay put while moving between questions
+    function createExam({ mode, limit }) {
+        return {
+            mode,
+            limit,
+            remaining: limit,
+            questionRemaining: quizData.map(() => limit),
+            timeSpent: quizData.map(() => 0),
+            flagged: quizData.map(() => false),
+            order: quizData.map(q => {
+                const type = questionType(q);
+                if (type === "fill-in-the-blank" || type === "short-answer") return null;
+                const options = [...q.options];
+                if (type !== "true-false") shuffleArray(options);
+                return options;
+            }),
+            timedOut: false,
+            warned: false,
+        };
+    }
+
+    function showExamControls(visible) {
+        examBar.classList.toggle("hide", !visible);
+        Object.values(examButtons).forEach(button => button.classList.toggle("hide", !visible));
+    }
+
+    // Per-question exams lock a question once its time is used up
+    function isExamQuestionLocked(index) {
+        return exam.mode === "per-question" && exam.questionRemaining[index] <= 0;
+    }
+
+    function displayExamInputs(optionsContainer, questionData) {
+        const index = currentQuestion;
+        const ordered = exam.order[index] ? { ...questionData, options: exam.order[index] } : questionData;
+        renderAnswerInputs(optionsContainer, ordered, () => {
+            if (index + 1 < quizData.length) goToQuestion(index + 1);
+        }, { shuffle: false });
+        restoreAnswer(optionsContainer, answers[index]);
+
+        if (isExamQuestionLocked(index)) {
+            optionsContainer.querySelectorAll("input").forEach(input => (input.disabled = true));
+            appendElement(optionsContainer, "p", "Time's up for this question.", "exam-locked");
+        }
+        updateExamControls();
+        showExamTime();
+    }
+
+    function restoreAnswer(container, answer) {
+        if (answer === null || answer === undefined) return;
+        const textInput = container.querySelector("input.text-answer");
+        if (textInput) {
+            textInput.value = answer;
+            return;
+        }
+        const chosen = Array.isArray(answer) ? answer : [answer];
+        container.querySelectorAll('input[name="quiz"]').forEach(input => (input.checked = chosen.includes(input.value)));
+    }
+
+    function updateExamControls() {
+        examNavigator.innerHTML = "";
+        quizData.forEach((_, i) => {
+            const button = appendElement(examNavigator, "button", String(i + 1), "exam-nav");
+            button.type = "button";
+            button.classList.toggle("current", i === currentQuestion);
+            button.classList.toggle("answered", answers[i] !== null);
+            button.classList.toggle("flagged", exam.flagged[i]);
+            button.classList.toggle("locked", isExamQuestionLocked(i));
+            button.addEventListener("click", () => goToQuestion(i));
+        });
+        examButtons.prev.disabled = currentQuestion === 0;
+        examButtons.next.disabled = currentQuestion === quizData.length - 1;
+        examButtons.flag.textContent = exam.flagged[currentQuestion] ? "Unflag" : "Flag for review";
+    }
+
+    function recordExamAnswer() {
+        if (!exam || !examTimer || isExamQuestionLocked(currentQuestion)) return;
+        answers[currentQuestion] = getSelectedAnswer(questionType(quizData[currentQuestion]));
+        saveExamProgress();
+        updateExamControls();
+    }
+
+    function goToQuestion(index) {
+        chargeExamTime();
+        currentQuestion = index;
+        displayQuestion();
+        saveExamProgress();
+    }
+
+    function toggleExamFlag() {
+        exam.flagged[currentQuestion] = !exam.flagged[currentQuestion];
+        saveExamProgress();
+        updateExamControls();
+    }
+
+    // Put the time since the last charge on the question on screen.
+    // True when that used up the question's own time.
+    function chargeExamTime() {
+        const now = Date.now();
+        const elapsed = (now - examTickAt) / 1000;
+        examTickAt = now;
+        if (!exam || !examTimer || isExamQuestionLocked(currentQuestion)) return false;
+
+        if (exam.mode === "per-question") {
+            const spent = Math.min(elapsed, exam.questionRemaining[currentQuestion]);
+            exam.questionRemaining[currentQuestion] -= spent;
+            exam.timeSpent[currentQuestion] += spent;
+            return isExamQuestionLocked(currentQuestion);
+        } else {
+            const spent = Math.min(elapsed, exam.remaining);
+            exam.remaining -= spent;
+            exam.timeSpent[currentQuestion] += spent;
+            return false;
+        }
+    }
+
+    function nextOpenQuestion() {
+        for (let step = 1; step <= quizData.length; step++) {
+            const index = (currentQuestion + step) % quizData.length;
+            if (!isExamQuestionLocked(index)) return index;
+        }
+        return -1;
+    }
+
+    function tickExam() {
+        const expired = chargeExamTime();
+        if (exam.mode === "overall") {
+            if (exam.remaining <= 0) {
+                finishExam(true);
+                return;
+            }
+            if (exam.remaining <= 60 && !exam.warned) {
+                exam.warned = true;
+                showToast("One minute left", "info");
+            }
+        } else if (isExamQuestionLocked(currentQuestion)) {
+            // Locked questions can be looked at again, but time up on this one moves to the next
+            const next = nextOpenQuestion();
+            if (next === -1) {
+                finishExam(true);
+                return;
+            }
+            if (expired) {
+                showToast(`Time's up for question ${currentQuestion + 1}`, "info");
+                goToQuestion(next);
+                return;
+            }
+        }
+        saveExamProgress();
+        showExamTime();
+    }
+
+    function showExamTime() {
+        const overall = exam.mode === "overall";
+        const left = overall ? exam.remaining : exam.questionRemaining[currentQuestion];
+        examClock.textContent = `${overall ? "Time left" : "This question"}: ${formatTime(Math.ceil(left))}`;
+        examClock.classList.toggle("low-time", left <= (overall ? 60 : 10));
+    }
+
+    function startExamTimer() {
+        examTickAt = Date.now();
+        examTimer = setInterval(tickExam, 1000);
+    }
+
+    function stopExamTimer() {
+        clearInterval(examTimer);
+        examTimer = null;
+    }
+
+    // Ask before leaving questions unanswered or flagged
+    function confirmFinishExam() {
+        const unanswered = answers.filter(answer => answer === null).length;
+        const flagged = exam.flagged.filter(Boolean).length;
+        const pending = [
+            unanswered && `${unanswered} unanswered`,
+            flagged && `${flagged} flagged for review`,
+        ].filter(Boolean);
+        if (pending.length && !confirm(`You have ${pending.join(" and ")} questions. Finish the exam anyway?`)) return;
+        finishExam(false);
+    }
+
+    function finishExam(timedOut) {
+        chargeExamTime();
+        stopExamTimer();
+        exam.timedOut = timedOut;
+        saveExamProgress();
+        showExamControls(false);
+        displayResult();
+    }
+
+    function saveExamProgress() {
+        if (!exam) return;
+        try {
+            localStorage.setItem(EXAM_STORAGE_KEY, JSON.stringify({
+                quizId,
+                quizVideoId,
+                quizData,
+                current: currentQuestion,
+                answers,
+                exam,
+                savedAt: new Date().toISOString(),
+            }));
+        } catch (error) {
+            console.error("Failed to save exam progress:", error);
+        }
+    }
+
+    function clearExamProgress() {
+        localStorage.removeItem(EXAM_STORAGE_KEY);
+    }
+
+    function loadExamProgress() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(EXAM_STORAGE_KEY));
+            return saved && saved.quizId && Array.isArray(saved.quizData) && saved.exam ? saved : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function offerExamResume() {
+        const saved = loadExamProgress();
+        if (!saved) return;
+        const answered = saved.answers.filter(answer => answer !== null).length;
+        const left = saved.exam.mode === "overall"
+            ? `${formatTime(Math.ceil(saved.exam.remaining))} left`
+            : `${saved.exam.questionRemaining.filter(seconds => seconds > 0).length} questions still open`;
+        document.getElementById("exam-resume-text").textContent =
+            `You have an unfinished exam: ${answered} of ${saved.quizData.length} answered, ${left}.`;
+        examResume.classList.remove("hide");
+    }
+
+    function resumeExam() {
+        const saved = loadExamProgress();
+        examResume.classList.add("hide");
+        if (!saved) return;
+
+        quizData = saved.quizData;
+        quizId = saved.quizId;
+        quizVideoId = saved.quizVideoId;
+        reviewCards = null;
+        practice = null;
+        quizSource = null;
+        score = 0;
+        incorrectAnswers = [];
+        answers = saved.answers;
+        currentQuestion = saved.current;
+        exam = saved.exam;
+        showQuizScreen();
+    }
+
+    function showExamBreakdown(grading) {
+        if (exam.timedOut) {
+            appendElement(resultContainer, "p", "Time ran out, so your answers were submitted automatically.", "exam-timed-out");
+        }
+        appendElement(resultContainer, "p", `Total time: ${formatTime(grading.totalSeconds)}`);
+        resultContainer.appendChild(timeBreakdown(grading.results));
+    }
+
+    function timeBreakdown(results) {
+        const table = document.createElement("table");
+        table.className = "time-breakdown";
+        const head = table.createTHead().insertRow();
+        ["Question", "Time", "Result"].forEach(text => appendElement(head, "th", text));
+        const body = table.createTBody();
+        results.forEach(result => {
+            const row = body.insertRow();
+            appendElement(row, "td", `${result.index + 1}${exam.flagged[result.index] ? " (flagged)" : ""}`);
+            appendElement(row, "td", formatTime(result.seconds));
+            const outcome = result.answer === null ? "Unanswered" : result.correct ? "Correct" : "Incorrect";
+            appendElement(row, "td", outcome, result.correct ? "correct" : "");
+        });
+        return table;
+    }
+
+    async function downloadQuiz() {
+        const format = exportFormatSelect.value;
+        try {
+            const response = await fetch(apiUrl(`/api/quizzes/${encodeURIComponent(quizId)}/export?format=${format}`), {
+                headers: authHeaders(),
+            });
+            if (!response.ok) {
+                const data = await response.json();
+                throw new Error(data.error || "Failed to export quiz");
+            }
+
+            const filename = /filename="([^"]+)"/.exec(response.headers.get("Content-Disposition") || "")?.[1] ||
+                `quiz.${format}`;
+            const url = URL.createObjectURL(await response.blob());
+            const link = document.createElement("a");
+            link.href = url;
+            link.download = filename;
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error("Export error:", error);
+            showToast(error.message || "Failed to export quiz", "error");
+        }
+    }
+
+    // Instructor drafts: fix up generated questions, then publish them behind a share link
+    async function draftRequest(method, path, body) {
+        const response = await fetch(apiUrl(`/api/drafts${path}`), {
+            method,
+            headers: { "Content-Type": "application/json", ...authHeaders() },
+            ...(body && { body: JSON.stringify(body) }),
+        });
+        const data = response.status === 204 ? {} : await response.json();
+        if (!response.ok) throw new Error(data.error || "Something went wrong with the draft");
+        return data;
+    }
+
+    async function loadDrafts() {
+        try {
+            const { drafts } = await draftRequest("GET", "");
+            showDraftList(drafts);
+        } catch (error) {
+            console.error("Drafts error:", error);
+            showToast(error.message, "error");
+        }
+    }
+
+    function draftName(draft) {
+        return draft.videoId || draft.track?.name || "Text quiz";
+    }
+
+    function showDraftList(drafts) {
+        currentDraft = null;
+        document.getElementById("draft-title").textContent = "Drafts";
+        draftQuestionsContainer.innerHTML = "";
+        document.getElementById("draft-actions").classList.add("hide");
+        document.getElementById("draft-share").classList.add("hide");
+        draftList.innerHTML = "";
+
+        if (drafts.length === 0) {
+            const empty = document.createElement("li");
+            empty.textContent = "No drafts yet. Tick \"Save as a draft\" when generating a quiz.";
+            draftList.appendChild(empty);
+        }
+        drafts.forEach(draft => {
+            const row = document.createElement("li");
+            const name = document.createElement("span");
+            name.textContent = draftName(draft);
+            const details = document.createElement("span");
+            details.className = "playlist-count";
+            details.textContent = `${draft.questionCount} questions, ` +
+                (draft.publishedVersions ? `published ${draft.publishedVersions}x` : "not published");
+            const open = document.createElement("button");
+            open.className = "btn-small";
+            open.textContent = "Edit";
+            open.addEventListener("click", () => openDraft(draft.id));
+            row.append(name, details, open);
+            draftList.appendChild(row);
+        });
+        draftEditor.classList.remove("hide");
+    }
+
+    async function openDraft(id) {
+        try {
+            const { draft } = await draftRequest("GET", `/${encodeURIComponent(id)}`);
+            showDraft(draft);
+            draftEditor.scrollIntoView({ behavior: "smooth" });
+        } catch (error) {
+            console.error("Draft error:", error);
+            showToast(error.message, "error");
+        }
+    }
+
+    function showDraft(draft) {
+        currentDraft = draft;
+        draftList.innerHTML = "";
+        document.getElementById("draft-title").textContent = `Review draft: ${draftName(draft)}`;
+        draftQuestionsContainer.innerHTML = "";
+        draft.questions.forEach((question, index) => {
+            draftQuestionsContainer.appendChild(renderDraftQuestion(question, index, draft.questions.length));
+        });
+        document.getElementById("draft-actions").classList.remove("hide");
+
+        const latest = draft.versions[draft.versions.length - 1];
+        if (latest) showShareLink(latest);
+        else document.getElementById("draft-share").classList.add("hide");
+        draftEditor.classList.remove("hide");
+    }
+
+    function draftInput(className, value, tag = "input") {
+        const input = document.createElement(tag);
+        if (tag === "input") input.type = "text";
+        input.className = className;
+        input.value = value || "";
+        return input;
+    }
+
+    function draftLabel(text) {
+        const label = document.createElement("span");
+        label.className = "draft-field-label";
+        label.textContent = text;
+        return label;
+    }
+
+    // One editable question: text, options with the correct ones ticked (or the typed answers), explanation
+    function renderDraftQuestion(question, index, count) {
+        const block = document.createElement("div");
+        block.className = `draft-question${question.edited ? " edited" : ""}`;
+
+        const header = document.createElement("div");
+        header.className = "draft-question-header";
+        const title = document.createElement("strong");
+        title.textContent = `${index + 1}. ${question.type}${question.edited ? " (edited)" : ""}`;
+        header.appendChild(title);
+
+        const actions = [
+            ["\u2191", () => moveDraftQuestion(index, -1), index === 0],
+            ["\u2193", () => moveDraftQuestion(index, 1), index === count - 1],
+            ["Regenerate", (button) => regenerateDraftQuestion(index, button)],
+            ["Delete", () => deleteDraftQuestion(index), count === 1],
+        ];
+        actions.forEach(([label, action, disabled]) => {
+            const button = document.createElement("button");
+            button.className = "btn-small btn-outline";
+            button.textContent = label;
+            button.disabled = Boolean(disabled);
+            button.addEventListener("click", () => action(button));
+            header.appendChild(button);
+        });
+        block.appendChild(header);
+
+        block.append(draftLabel("Question"), draftInput("draft-text", question.question, "textarea"));
+
+        if (question.options) {
+            block.appendChild(draftLabel(question.type === "multi-select" ? "Options (tick every correct one)" : "Options (pick the correct one)"));
+            const correct = question.correctAnswers || [question.correctAnswer];
+            question.options.forEach(option => {
+                const row = document.createElement("label");
+                row.className = "draft-option";
+                const mark = document.createElement("input");
+                mark.type = question.type === "multi-select" ? "checkbox" : "radio";
+                mark.name = `draft-correct-${index}`;
+                mark.className = "draft-option-correct";
+                mark.checked = correct.includes(option);
+                const text = draftInput("draft-option-text", option);
+                text.readOnly = question.type === "true-false";
+                row.append(mark, text);
+                block.appendChild(row);
+            });
+        } else {
+            block.append(
+                draftLabel("Correct answer"), draftInput("draft-answer", question.correctAnswer),
+                draftLabel("Also accept (comma-separated)"), draftInput("draft-acceptable", (question.acceptableAnswers || []).join(", ")),
+            );
+        }
+
+        block.append(draftLabel("Explanation"), draftInput("draft-explanation", question.explanation, "textarea"));
+
+        const save = document.createElement("button");
+        save.className = "btn-small";
+        save.textContent = "Save question";
+        save.addEventListener("click", () => saveDraftQuestion(index, block, question));
+        block.appendChild(save);
+        return block;
+    }
+
+    function readDraftQuestion(block, question) {
+        const changes = {
+            question: block.querySelector(".draft-text").value.trim(),
+            explanation: block.querySelector(".draft-explanation").value.trim(),
+        };
+        const rows = [...block.querySelectorAll(".draft-option")];
+        if (rows.length) {
+            const optionText = row => row.querySelector(".draft-option-text").value.trim();
+            const correct = rows.filter(row => row.querySelector(".draft-option-correct").checked).map(optionText);
+            if (question.type !== "true-false") changes.options = rows.map(optionText);
+            if (question.type === "multi-select") changes.correctAnswers = correct;
+            else changes.correctAnswer = correct[0] || "";
+        } else {
+            changes.correctAnswer = block.querySelector(".draft-answer").value.trim();
+            changes.acceptableAnswers = block.querySelector(".draft-acceptable").value
+                .split(",")
+                .map(answer => answer.trim())
+                .filter(Boolean);
+        }
+        return changes;
+    }
+
+    // Run one change against the open draft and show the result
+    async function updateDraft(method, path, body, successMessage) {
+        try {
+            const data = await draftRequest(method, `/${encodeURIComponent(currentDraft.id)}${path}`, body);
+            showDraft(data.draft);
+            if (successMessage) showToast(successMessage, "success");
+            return data;
+        } catch (error) {
+            console.error("Draft update error:", error);
+            showToast(error.message, "error");
+            return null;
+        }
+    }
+
+    function saveDraftQuestion(index, block, question) {
+        return updateDraft("PATCH", `/questions/${index}`, readDraftQuestion(block, question), `Question ${index + 1} saved`);
+    }
+
+    function deleteDraftQuestion(index) {
+        if (!confirm(`Delete question ${index + 1}?`)) return;
+        return updateDraft("DELETE", `/questions/${index}`, null, "Question deleted");
+    }
+
+    function moveDraftQuestion(index, step) {
+        const order = currentDraft.questions.map((question, i) => i);
+        [order[index], order[index + step]] = [order[index + step], order[index]];
+        return updateDraft("PUT", "/order", { order });
+    }
+
+    async function regenerateDraftQuestion(index, button) {
+        button.textContent = "Regenerating...";
+        button.disabled = true;
+        const data = await updateDraft("POST", `/questions/${index}/regenerate`, {}, `Question ${index + 1} replaced`);
+        if (!data) {
+            button.textContent = "Regenerate";
+            button.disabled = false;
+        }
+    }
+
+    async function publishDraft() {
+        try {
+            const data = await draftRequest("POST", `/${encodeURIComponent(currentDraft.id)}/publish`);
+            currentDraft.versions.push({ version: data.version, quizId: data.quizId });
+            showShareLink(data);
+            showToast(`Published version ${data.version}`, "success");
+        } catch (error) {
+            console.error("Publish error:", error);
+            showToast(error.message, "error");
+        }
+    }
+
+    // Learners open the link to take exactly the published version
+    function showShareLink({ quizId, version }) {
+        const link = `${window.location.origin}${window.location.pathname}?quiz=${encodeURIComponent(quizId)}`;
+        document.getElementById("draft-version").textContent = `Version ${version}:`;
+        document.getElementById("draft-share-link").value = link;
+        document.getElementById("draft-share").classList.remove("hide");
+    }
+
+    // Study pack for the same input as the quiz: summary, key concepts, glossary and flashcards
+    async function loadStudyPack() {
+        const input = await readQuizInput();
+        if (!input) return;
+        if (input.playlistId) {
+            showToast("Study packs are made one video at a time. Pick \"Just this video\" or paste a video link.", "info");
+            return;
+        }
+
+        const settings = {};
+        if (inputMode === "youtube" && captionLanguageSelect.value) settings.captionLanguage = captionLanguageSelect.value;
+        if (quizLanguageSelect.value) settings.quizLanguage = quizLanguageSelect.value;
+
+        studyPackButton.textContent = "Loading...";
+        studyPackButton.disabled = true;
+        try {
+            const response = await fetch(apiUrl("/api/study-pack"), {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({ ...input, ...settings }),
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                showGenerationError(data);
+                return;
+            }
+            showStudyPack(data.studyPack, input.videoId);
+        } catch (error) {
+            console.error("Study pack error:", error);
+            showToast("Failed to load the study pack. Please try again.", "error");
+        } finally {
+            studyPackButton.textContent = "Get Study Pack";
+            studyPackButton.disabled = false;
+        }
+    }
+
+    function appendElement(parent, tag, text, className) {
+        const element = document.createElement(tag);
+        element.textContent = text;
+        if (className) element.className = className;
+        parent.appendChild(element);
+        return element;
+    }
+
+    function showStudyPack(pack, videoId) {
+        document.getElementById("study-overview").textContent = pack.overview;
+
+        const summary = document.getElementById("study-summary");
+        summary.innerHTML = "";
+        pack.sections.forEach(section => {
+            const heading = appendElement(summary, "h3", section.title || `Part ${section.index + 1}`);
+            if (section.start !== undefined) {
+                const time = appendElement(heading, videoId ? "a" : "span", formatTime(section.start), "study-time");
+                if (videoId) {
+                    time.href = `https://www.youtube.com/watch?v=${encodeURIComponent(videoId)}&t=${Math.floor(section.start)}s`;
+                    time.target = "_blank";
+                    time.rel = "noopener";
+                }
+            }
+            appendElement(summary, "p", section.summary);
+        });
+
+        const concepts = document.getElementById("study-concepts");
+        concepts.innerHTML = "";
+        const conceptList = appendElement(concepts, "dl", "");
+        pack.keyConcepts.forEach(concept => {
+            appendElement(conceptList, "dt", concept.name);
+            appendElement(conceptList, "dd", concept.explanation);
+        });
+
+        const glossary = document.getElementById("study-glossary");
+        glossary.innerHTML = "";
+        if (pack.glossary.length === 0) appendElement(glossary, "p", "No specialised terms in this one.");
+        const glossaryList = appendElement(glossary, "dl", "");
+        pack.glossary.forEach(entry => {
+            appendElement(glossaryList, "dt", entry.term);
+            appendElement(glossaryList, "dd", entry.definition);
+        });
+
+        // Click a card to flip between question and answer
+        const flashcards = document.getElementById("study-flashcards");
+        flashcards.innerHTML = "";
+        pack.flashcards.forEach(card => {
+            const button = appendElement(flashcards, "button", card.front, "flashcard");
+            button.type = "button";
+            button.addEventListener("click", () => {
+                const flipped = button.classList.toggle("flipped");
+                button.textContent = flipped ? card.back : card.front;
+            });
+        });
+
+        showStudyTab("summary");
+        studyPackContainer.classList.remove("hide");
+        studyPackContainer.scrollIntoView({ behavior: "smooth" });
+    }
+
+    function showStudyTab(tab) {
+        studyPackContainer.querySelectorAll("#study-tabs .input-mode")
+            .forEach(button => button.classList.toggle("active", button.dataset.tab === tab));
+        studyPackContainer.querySelectorAll(".study-panel")
+            .forEach(panel => panel.classList.toggle("hide", panel.dataset.panel !== tab));
+    }
+
+    // Live rooms: the host runs a room for the current quiz from this page and
+    // players join it with the code, all over one WebSocket each
+    const live = { socket: null, code: null, role: null, name: null, question: null, deadline: null, timer: null };
+
+    function liveSocketUrl() {
+        return apiUrl("/api/rooms/socket").replace(/^http/, "ws");
+    }
+
+    function sendLive(message) {
+        if (live.socket?.readyState === WebSocket.OPEN) live.socket.send(JSON.stringify(message));
+    }
+
+    function connectLive(hello) {
+        leaveLive();
+        const socket = new WebSocket(liveSocketUrl());
+        live.socket = socket;
+        live.code = hello.code;
+        socket.addEventListener("open", () => sendLive(hello));
+        socket.addEventListener("message", (event) => handleLiveMessage(JSON.parse(event.data)));
+        socket.addEventListener("close", () => {
+            if (live.socket !== socket) return;
+            live.socket = null;
+            stopLiveTimer();
+            if (live.role) showToast("Disconnected from the live quiz", "error");
+        });
+    }
+
+    function leaveLive() {
+        const socket = live.socket;
+        Object.assign(live, { socket: null, code: null, role: null, name: null, question: null });
+        socket?.close();
+        stopLiveTimer();
+        liveContainer.classList.add("hide");
+    }
+
+    async function hostLiveRoom() {
+        hostLiveButton.disabled = true;
+        try {
+            const response = await fetch(apiUrl("/api/rooms"), {
+                method: "POST",
+                headers: { "Content-Type": "application/json", ...authHeaders() },
+                body: JSON.stringify({ quizId }),
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                showToast(data.error || "Failed to open a live room", "error");
+                return;
+            }
+            connectLive({ type: "host", code: data.code, hostToken: data.hostToken });
+        } catch (error) {
+            console.error("Live room error:", error);
+            showToast("Failed to open a live room. Please try again.", "error");
+        } finally {
+            hostLiveButton.disabled = false;
+        }
+    }
+
+    function joinLiveRoom() {
+        const code = document.getElementById("join-code").value.trim().toUpperCase();
+        const name = document.getElementById("join-name").value.trim();
+        if (!code || !name) {
+            showToast("Enter the room code and your name", "error");
+            return;
+        }
+        // The token from an earlier visit lets a dropped player back in with their score
+        const playerToken = sessionStorage.getItem(`live-player-${code}`) || undefined;
+        connectLive({ type: "join", code, name, playerToken });
+    }
+
+    function handleLiveMessage(message) {
+        switch (message.type) {
+            case "welcome":
+                live.role = message.role;
+                live.name = message.name || null;
+                if (message.playerToken) sessionStorage.setItem(`live-player-${live.code}`, message.playerToken);
+                liveContainer.classList.remove("hide");
+                liveContainer.scrollIntoView({ behavior: "smooth" });
+                break;
+            case "room":
+                showLiveRoom(message.room);
+                break;
+            case "question":
+                showLiveQuestion(message);
+                break;
+            case "answered":
+                liveStatus.textContent = live.role === "host"
+                    ? `${message.answeredCount} of ${message.playerCount} players have answered`
+                    : "Answer locked in. Waiting for the others...";
+                break;
+            case "reveal":
+                showLiveReveal(message);
+                break;
+            case "finished":
+                showLiveResults(message);
+                break;
+            case "error":
+                showToast(message.error, "error");
+                // A failed host or join attempt leaves nothing to show
+                if (!live.role) leaveLive();
+                break;
+        }
+    }
+
+    function setLiveButtons({ submit = false, start = false, next = null, end = false }) {
+        liveSubmitButton.classList.toggle("hide", !submit);
+        liveStartButton.classList.toggle("hide", !start);
+        liveNextButton.classList.toggle("hide", !next);
+        if (next) liveNextButton.textContent = next;
+        liveEndButton.classList.toggle("hide", !end);
+    }
+
+    function showLeaderboard(entries) {
+        liveLeaderboard.innerHTML = "";
+        entries.forEach(entry => {
+            const item = document.createElement("li");
+            item.classList.toggle("offline", !entry.connected);
+            item.classList.toggle("you", entry.name === live.name);
+            const name = document.createElement("span");
+            name.textContent = `${entry.rank}. ${entry.name}`;
+            const points = document.createElement("span");
+            points.textContent = `${entry.score} pts`;
+            item.append(name, points);
+            liveLeaderboard.appendChild(item);
+        });
+    }
+
+    function showLiveRoom(room) {
+        liveCode.textContent = room.code;
+        showLeaderboard(room.players);
+        if (room.status !== "lobby") return;
+
+        const players = room.players.length === 1 ? "1 player has" : `${room.players.length} players have`;
+        liveStatus.textContent = live.role === "host"
+            ? `Share the code ${room.code}. ${players} joined.`
+            : "You're in! Waiting for the host to start...";
+        liveQuestion.innerHTML = "";
+        setLiveButtons({ start: live.role === "host", end: live.role === "host" });
+    }
+
+    function showLiveQuestion(message) {
+        live.question = message;
+        liveQuestion.innerHTML = "";
+
+        const counter = document.createElement("div");
+        counter.className = "question-counter";
+        counter.textContent = `Question ${message.index + 1}/${message.total}`;
+        const text = renderRichText(document.createElement("div"), message.question.question);
+        text.classList.add("question");
+        const options = document.createElement("div");
+        options.className = "options";
+        liveQuestion.append(counter, text, options);
+
+        if (live.role === "host") {
+            // The host's screen shows the question for the room, without inputs
+            (message.question.options || []).forEach(option => {
+                const item = renderRichText(document.createElement("div"), option, { inline: true });
+                item.classList.add("live-option");
+                options.appendChild(item);
+            });
+            liveStatus.textContent = "Waiting for answers...";
+            setLiveButtons({ next: "Reveal answer", end: true });
+        } else {
+            renderAnswerInputs(options, message.question, submitLiveAnswer);
+            liveStatus.textContent = "";
+            setLiveButtons({ submit: true });
+        }
+
+        startLiveTimer(message.remainingMs);
+    }
+
+    function submitLiveAnswer() {
+        const answer = getSelectedAnswer(questionType(live.question.question), liveQuestion);
+        if (!answer) {
+            showToast("Please choose or type an answer", "error");
+            return;
+        }
+        sendLive({ type: "answer", answer });
+        liveQuestion.querySelectorAll('input[name="quiz"]').forEach(input => { input.disabled = true; });
+        setLiveButtons({});
+    }
+
+    function startLiveTimer(remainingMs) {
+        stopLiveTimer();
+        live.deadline = Date.now() + remainingMs;
+        const tick = () => {
+            const seconds = Math.max(0, Math.ceil((live.deadline - Date.now()) / 1000));
+            liveTimer.textContent = `${seconds}s`;
+            if (seconds === 0) stopLiveTimer();
+        };
+        tick();
+        live.timer = setInterval(tick, 250);
+    }
+
+    function stopLiveTimer() {
+        clearInterval(live.timer);
+        live.timer = null;
+        liveTimer.textContent = "";
+    }
+
+    function showLiveReveal(message) {
+        stopLiveTimer();
+        const answer = formatAnswer(message.correctAnswers || message.correctAnswer);
+        const solution = appendRichLine(liveQuestion, "live-solution", "Answer:", answer);
+        if (message.explanation) renderRichText(appendElement(solution, "div", "", "explanation"), message.explanation);
+
+        const summary = `${message.correctCount} of ${message.answeredCount} answers were right.`;
+        if (message.you) {
+            liveStatus.textContent = message.you.correct
+                ? `Correct! +${message.you.points} points. You're number ${message.you.rank}. ${summary}`
+                : `Not this time. You're number ${message.you.rank}. ${summary}`;
+        } else {
+            liveStatus.textContent = summary;
+        }
+        showLeaderboard(message.leaderboard);
+        setLiveButtons(live.role === "host"
+            ? { next: message.last ? "Show results" : "Next question", end: !message.last }
+            : {});
+    }
+
+    function showLiveResults(message) {
+        stopLiveTimer();
+        liveQuestion.innerHTML = "<h3>Final results</h3>";
+        if (message.you) {
+            liveStatus.textContent = `You got ${message.you.score} of ${message.you.total} right (${message.you.points} points) and finished number ${message.you.rank}.`;
+        } else {
+            liveStatus.textContent = "";
+            message.questions.forEach(question => {
+                const row = document.createElement("p");
+                row.textContent = `Q${question.index + 1}: ${question.correctCount} of ${question.answeredCount} right. ${question.question}`;
+                liveQuestion.appendChild(row);
+            });
+        }
+        showLeaderboard(message.leaderboard);
+        setLiveButtons({});
+    }
+
+    function displayReviewResult() {
+        score = reviewResults.filter(result => result.correct).length;
+        incorrectAnswers = reviewResults
+            .filter(result => !result.correct)
+            .map(result => ({
+                question: result.card.question.question,
+                incorrectAnswer: formatAnswer(result.answer),
+                correctAnswer: formatAnswer(result.correctAnswers || result.correctAnswer),
+                explanation: result.explanation,
+                citation: result.citation,
+                timestamp: result.timestamp,
+                videoId: result.card.videoId,
+            }));
+
+        resultContainer.innerHTML = `
+            <h2>You recalled ${score} out of ${quizData.length} items</h2>
+            <p>${incorrectAnswers.length ? "Missed items will come back tomorrow." : "Great memory! These items are scheduled further out."}</p>
+        `;
+        resultContainer.style.display = "block";
+        resultContainer.classList.add('fade-in');
+
+        retryButton.classList.add("hide");
+        showAnswerButton.classList.toggle("hide", incorrectAnswers.length === 0);
+        refreshDueCount();
     }
 
     function showAnswer() {
-        let incorrectAnswersHtml = incorrectAnswers
-            .map(
-                (item) => `
-                <div class="answer-container">
-                    <p class="question-highlight">${item.question}</p>
-                    <p class="incorrect-answer"><strong>Your Answer:</strong> ${item.incorrectAnswer}</p>
-                    <p class="correct-answer"><strong>Correct Answer:</strong> ${item.correctAnswer}</p>
-                </div>`
-            )
-            .join("");
-    
+        resultContainer.innerHTML = "";
         if (incorrectAnswers.length === 0) {
-            resultContainer.innerHTML = `
-                <h2>Perfect Score!</h2>
-                <p>You got all questions correct. Amazing job!</p>
-            `;
+            appendElement(resultContainer, "h2", "Perfect Score!");
+            appendElement(resultContainer, "p", "You got all questions correct. Amazing job!");
         } else {
-            resultContainer.innerHTML = `
-                <h2>You scored ${score} out of ${quizData.length}</h2>
-                <p>Here are the questions you missed:</p>
-                ${incorrectAnswersHtml}
-            `;
+            appendElement(resultContainer, "h2", `You scored ${score} out of ${quizData.length}`);
+            appendElement(resultContainer, "p", "Here are the questions you missed:");
+            incorrectAnswers.forEach(item => resultContainer.appendChild(missedAnswer(item)));
         }
     
         quizContainer.innerHTML = "";
         submitButton.style.display = "none";
         showAnswerButton.classList.add("hide");
+
+        resultContainer.querySelectorAll(".rewatch-btn").forEach(button => {
+            button.addEventListener("click", () => toggleRewatchPlayer(button));
+        });
     }
 
+    function missedAnswer(item) {
+        const container = document.createElement("div");
+        container.className = "answer-container";
+        renderRichText(appendElement(container, "div", "", "question-highlight"), item.question);
+        appendRichLine(container, "incorrect-answer", "Your Answer:", item.incorrectAnswer);
+        if (item.correctAnswer !== null) {
+            appendRichLine(container, "correct-answer", "Correct Answer:", item.correctAnswer);
+        }
+        if (item.explanation) {
+            appendRichLine(container, "explanation", "Why:", item.explanation, { inline: false });
+        }
+        if (item.citation && item.citation.quote) {
+            const quote = appendElement(container, "blockquote", `\u201C${item.citation.quote}\u201D `, "citation");
+            if (!item.citation.verified) appendElement(quote, "span", "(not found in transcript)", "citation-unverified");
+        }
+        // Built from numbers and an encoded video ID only
+        container.insertAdjacentHTML("beforeend", rewatchHtml(item.timestamp, item.videoId));
+        return container;
+    }
+
+    function formatTime(seconds) {
+        const total = Math.max(0, Math.floor(seconds));
+        const h = Math.floor(total / 3600);
+        const m = Math.floor((total % 3600) / 60);
+        const s = String(total % 60).padStart(2, "0");
+        return h ? `${h}:${String(m).padStart(2, "0")}:${s}` : `${m}:${s}`;
+    }
+
+    function rewatchHtml(timestamp, videoId = quizVideoId) {
+        if (!videoId || !timestamp) return "";
+
+        const start = Math.floor(timestamp.start);
+        const end = Math.ceil(timestamp.end);
+        return `
+            <div class="rewatch">
+                <button class="rewatch-btn" data-video="${encodeURIComponent(videoId)}" data-start="${start}" data-end="${end}">
+                    &#9654; Rewatch ${formatTime(start)}&ndash;${formatTime(end)}
+                </button>
+                <a href="https://www.youtube.com/watch?v=${encodeURIComponent(videoId)}&t=${start}s" target="_blank" rel="noopener">Open on YouTube</a>
+            </div>`;
+    }
+
+    // Embed a player that plays just the passage the question was drawn from
+    function toggleRewatchPlayer(button) {
+        const container = button.closest(".answer-container");
+        const existing = container.querySelector(".rewatch-player");
+        if (existing) {
+            existing.remove();
+            return;
+        }
+
+        const player = document.createElement("iframe");
+        player.className = "rewatch-player";
+        player.src = `https://www.youtube-nocookie.com/embed/${button.dataset.video}` +
+            `?start=${button.dataset.start}&end=${button.dataset.end}&autoplay=1&rel=0`;
+        player.allow = "autoplay; encrypted-media";
+        player.allowFullscreen = true;
+        container.appendChild(player);
+    }
+
+    // Exams are retried with the same timer
     function retryQuiz() {
-        startQuiz();
+        startQuiz(exam && { mode: exam.mode, limit: exam.limit });
     }
 
     // Event listeners
     submitButton.addEventListener("click", checkAnswer);
     retryButton.addEventListener("click", retryQuiz);
     showAnswerButton.addEventListener("click", showAnswer);
+    practiceButton.addEventListener("click", continuePractice);
+    examModeSelect.addEventListener("change", updateExamSetting);
+    examButtons.prev.addEventListener("click", () => goToQuestion(currentQuestion - 1));
+    examButtons.next.addEventListener("click", () => goToQuestion(currentQuestion + 1));
+    examButtons.flag.addEventListener("click", toggleExamFlag);
+    examButtons.finish.addEventListener("click", () => (examTimer ? confirmFinishExam() : displayResult()));
+    quizContainer.addEventListener("input", recordExamAnswer);
+    quizContainer.addEventListener("change", recordExamAnswer);
+    document.getElementById("exam-resume-btn").addEventListener("click", resumeExam);
+    document.getElementById("exam-discard").addEventListener("click", () => {
+        clearExamProgress();
+        examResume.classList.add("hide");
+    });
+    // Save the latest time before the page goes away
+    window.addEventListener("pagehide", () => {
+        if (!examTimer) return;
+        chargeExamTime();
+        saveExamProgress();
+    });
+    document.getElementById("download").addEventListener("click", downloadQuiz);
+    hostLiveButton.addEventListener("click", hostLiveRoom);
+    studyPackButton.addEventListener("click", loadStudyPack);
+    document.getElementById("show-drafts").addEventListener("click", loadDrafts);
+    document.getElementById("draft-close").addEventListener("click", () => draftEditor.classList.add("hide"));
+    document.getElementById("draft-publish").addEventListener("click", publishDraft);
+    document.getElementById("draft-copy").addEventListener("click", async () => {
+        try {
+            await navigator.clipboard.writeText(document.getElementById("draft-share-link").value);
+            showToast("Link copied", "success");
+        } catch (error) {
+            document.getElementById("draft-share-link").select();
+        }
+    });
+
+    // Share links from published drafts open that quiz straight away
+    const sharedQuizId = new URLSearchParams(window.location.search).get("quiz");
+    if (sharedQuizId) openQuiz(sharedQuizId);
+    updateExamSetting();
+    offerExamResume();
+    document.querySelectorAll("#study-tabs .input-mode")
+        .forEach(button => button.addEventListener("click", () => showStudyTab(button.dataset.tab)));
+    document.getElementById("join-room").addEventListener("click", joinLiveRoom);
+    liveSubmitButton.addEventListener("click", submitLiveAnswer);
+    liveStartButton.addEventListener("click", () => sendLive({ type: "start" }));
+    liveNextButton.addEventListener("click", () => sendLive({ type: "next" }));
+    liveEndButton.addEventListener("click", () => sendLive({ type: "end" }));
+    document.getElementById("live-leave").addEventListener("click", leaveLive);
+
+    youtubeUrlInput.addEventListener("change", loadCaptionTracks);
+    youtubeUrlInput.addEventListener("input", updatePlaylistSetting);
+    inputModeButtons.forEach(button => button.addEventListener("click", () => setInputMode(button.dataset.mode)));
 
     // Allow pressing Enter in the URL input to trigger the button
     youtubeUrlInput.addEventListener("keyup", (event) => {
@@ -342,16 +2367,19 @@ document.addEventListener("DOMContentLoaded", () => {
         // Create popup content
         popup.innerHTML = `
             <div class="popup-header">
-                <h3>${title}</h3>
+                <h3></h3>
                 <button class="popup-close">&times;</button>
             </div>
             <div class="popup-body">
-                <p>${message}</p>
+                <p></p>
             </div>
             <div class="popup-footer">
                 <button class="btn-3d popup-ok">OK</button>
             </div>
         `;
+        // Messages can carry server errors, so they go in as text
+        popup.querySelector(".popup-header h3").textContent = title;
+        popup.querySelector(".popup-body p").textContent = message;
         
         // Add to DOM
         overlay.appendChild(popup);
@@ -0,0 +1,80 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.API_KEYS = "web:secret-key:1,typo:typo-key:2OO,zero:zero-key:0";
+process.env.RATE_LIMIT_PER_MINUTE = "2";
+process.env.DAILY_ATTEMPTS_PER_QUIZ = "2";
+const { requireApiKey, checkLlmQuota, chargeLlmCall, countAttempt } = await import("../api/access.js");
+
+function fakeRequest(headers = {}, query = {}) {
+    return { ip: "203.0.113.7", query, get: (name) => headers[name] };
+}
+
+function fakeResponse() {
+    return {
+        statusCode: 200,
+        headers: {},
+        body: null,
+        set(name, value) { this.headers[name] = value; return this; },
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; },
+    };
+}
+
+function run(middleware, req) {
+    const res = fakeResponse();
+    let passed = false;
+    return Promise.resolve(middleware(req, res, () => { passed = true; })).then(() => ({ res, passed }));
+}
+
+test("requireApiKey rejects missing or unknown keys and rate limits each key", async () => {
+    assert.equal((await run(requireApiKey, fakeRequest())).res.statusCode, 401);
+    assert.equal((await run(requireApiKey, fakeRequest({ "X-API-Key": "wrong" }))).res.statusCode, 401);
+    // Keys with a quota that isn't a positive whole number are left out
+    assert.equal((await run(requireApiKey, fakeRequest({ "X-API-Key": "typo-key" }))).res.statusCode, 401);
+    assert.equal((await run(requireApiKey, fakeRequest({ "X-API-Key": "zero-key" }))).res.statusCode, 401);
+
+    const req = fakeRequest({}, { api_key: "secret-key" });
+    const first = await run(requireApiKey, req);
+    assert.equal(first.passed, true);
+    assert.deepEqual(req.client, { name: "web", type: "key", dailyQuota: 1 });
+
+    await run(requireApiKey, fakeRequest({ "X-API-Key": "secret-key" }));
+    const limited = await run(requireApiKey, fakeRequest({ "X-API-Key": "secret-key" }));
+    assert.equal(limited.res.statusCode, 429);
+    assert.ok(Number(limited.res.headers["Retry-After"]) > 0);
+});
+
+test("checkLlmQuota rejects once the daily quota is used", async () => {
+    const client = { name: "quota-test", type: "key", dailyQuota: 1 };
+    assert.equal((await run(checkLlmQuota, { client })).passed, true);
+
+    await chargeLlmCall(client);
+    const { res, passed } = await run(checkLlmQuota, { client });
+    assert.equal(passed, false);
+    assert.equal(res.statusCode, 429);
+    assert.match(res.body.error, /Daily quota/);
+    assert.ok(Number(res.headers["Retry-After"]) <= 24 * 60 * 60);
+});
+
+test("chargeLlmCall counts calls up to the quota and then rejects them", async () => {
+    const client = { name: "charge-test", type: "key", dailyQuota: 3 };
+    const results = await Promise.allSettled([1, 2, 3, 4, 5].map(() => chargeLlmCall(client)));
+
+    assert.equal(results.filter(r => r.status === "fulfilled").length, 3);
+    const rejected = results.filter(r => r.status === "rejected").map(r => r.reason);
+    assert.equal(rejected.length, 2);
+    assert.ok(rejected.every(error => error.code === "QUOTA_EXCEEDED" && error.status === 429 && error.retryAfter > 0));
+});
+
+test("countAttempt caps daily submissions per learner and quiz, except for instructors", async () => {
+    const anonymous = { ip: "203.0.113.9" };
+    await countAttempt(anonymous, "quiz-1");
+    await countAttempt(anonymous, "quiz-1");
+    await assert.rejects(countAttempt(anonymous, "quiz-1"), { code: "ATTEMPTS_EXCEEDED", status: 429 });
+
+    await countAttempt(anonymous, "quiz-2");
+    await countAttempt({ ...anonymous, user: { id: "u1", role: "learner" } }, "quiz-1");
+    const instructor = { ...anonymous, user: { id: "u2", role: "instructor" } };
+    for (let i = 0; i < 3; i++) await countAttempt(instructor, "quiz-1");
+});
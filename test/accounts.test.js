@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { register, signIn } from "../api/accounts.js";
+
+test("register validates input and rejects taken usernames", async () => {
+    assert.equal((await register("ab", "password1")).status, 400);
+    assert.equal((await register("learner-one", "short")).status, 400);
+
+    const { token, user } = await register("Learner-One", "password1");
+    assert.match(token, /^[a-f0-9]{64}$/);
+    assert.equal(user.username, "learner-one");
+    assert.equal(user.role, "learner");
+    assert.equal(user.passwordHash, undefined);
+
+    assert.equal((await register("learner-one", "password2")).status, 409);
+});
+
+test("signIn checks the password", async () => {
+    await register("learner-two", "password1");
+    assert.equal((await signIn("learner-two", "password2")).status, 401);
+    assert.equal((await signIn("nobody", "password1")).status, 401);
+
+    const { token, user } = await signIn("LEARNER-TWO", "password1");
+    assert.ok(token);
+    assert.equal(user.username, "learner-two");
+});
+
+test("only one of two concurrent sign-ups gets a username", async () => {
+    const results = await Promise.all([register("racer", "password1"), register("racer", "password2")]);
+    assert.deepEqual(results.map(result => result.status ?? 201).sort(), [201, 409]);
+    assert.ok((await signIn("racer", results[0].token ? "password1" : "password2")).token);
+});
+
+test("INSTRUCTORS grants the role by account ID, not by username", async () => {
+    const { user } = await register("teacher", "password1");
+    process.env.INSTRUCTORS = "teacher";
+    assert.equal((await signIn("teacher", "password1")).user.role, "learner");
+
+    process.env.INSTRUCTORS = ` ${user.id} `;
+    assert.equal((await signIn("teacher", "password1")).user.role, "instructor");
+    delete process.env.INSTRUCTORS;
+});
@@ -0,0 +1,35 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { getOrCompute, cacheKey } from "../api/cache.js";
+
+test("cacheKey ignores property order and undefined fields", () => {
+    assert.equal(
+        cacheKey("quiz", { videoId: "abc", quizOptions: { questionCount: 5, difficulty: "easy" }, model: undefined }),
+        cacheKey("quiz", { quizOptions: { difficulty: "easy", questionCount: 5 }, videoId: "abc" }),
+    );
+    assert.notEqual(
+        cacheKey("quiz", { videoId: "abc", quizOptions: { questionCount: 5 } }),
+        cacheKey("quiz", { videoId: "abc", quizOptions: { questionCount: 6 } }),
+    );
+});
+
+test("getOrCompute caches values until refreshed or expired", async () => {
+    let calls = 0;
+    const compute = async () => ({ calls: ++calls });
+
+    assert.deepEqual(await getOrCompute("test:a", 60, compute), { value: { calls: 1 }, cached: false });
+    assert.deepEqual(await getOrCompute("test:a", 60, compute), { value: { calls: 1 }, cached: true });
+    assert.deepEqual(await getOrCompute("test:a", 60, compute, { refresh: true }), { value: { calls: 2 }, cached: false });
+
+    await getOrCompute("test:b", 0.01, compute);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.equal((await getOrCompute("test:b", 0.01, compute)).cached, false);
+});
+
+test("getOrCompute skips values rejected by shouldCache", async () => {
+    const shouldCache = value => !value.error;
+    await getOrCompute("test:error", 60, async () => ({ error: "Transcripts not available" }), { shouldCache });
+    const { value, cached } = await getOrCompute("test:error", 60, async () => ({ transcript: "ok" }), { shouldCache });
+    assert.equal(cached, false);
+    assert.equal(value.transcript, "ok");
+});
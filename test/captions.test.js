@@ -0,0 +1,179 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import {
+    extractPlayerResponse,
+    parseCaptionTracks,
+    describeTrack,
+    selectCaptionTrack,
+    parseSrv1,
+    parseSrv3,
+    parseJson3,
+    parseCaptions,
+    joinSegments,
+    getYouTubeTranscript,
+} from "../api/captions.js";
+
+const fixture = (name) => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), "utf8");
+
+test("extractPlayerResponse parses the player response despite braces inside strings", () => {
+    const playerResponse = extractPlayerResponse(fixture("watch-page.html"));
+    assert.equal(playerResponse.videoDetails.videoId, "dQw4w9WgXcQ");
+    assert.equal(playerResponse.videoDetails.title, 'Closures in {JavaScript}: "scope" } explained');
+    assert.equal(playerResponse.playerConfig.audioConfig.loudnessDb, -2.5);
+});
+
+test("extractPlayerResponse handles window[\"ytInitialPlayerResponse\"] assignments", () => {
+    const playerResponse = extractPlayerResponse(fixture("watch-page-window.html"));
+    assert.equal(playerResponse.videoDetails.title, "Clase de física");
+});
+
+test("parseCaptionTracks lists tracks and translation languages", () => {
+    const { captionTracks, translationLanguages, videoDetails } = parseCaptionTracks(fixture("watch-page.html"));
+    assert.deepEqual(captionTracks.map(describeTrack), [
+        { languageCode: "en", name: "English (auto-generated)", kind: "asr", isTranslatable: true },
+        { languageCode: "en-GB", name: "English (United Kingdom)", kind: "manual", isTranslatable: true },
+        { languageCode: "hi", name: "Hindi", kind: "manual", isTranslatable: true },
+    ]);
+    assert.deepEqual(translationLanguages.map(l => l.languageCode), ["es", "hi"]);
+    assert.equal(videoDetails.lengthSeconds, "612");
+});
+
+test("parseCaptionTracks returns null for videos without captions", () => {
+    assert.equal(parseCaptionTracks(fixture("watch-page-no-captions.html")), null);
+});
+
+test("parseCaptionTracks falls back to timedtext URLs when the JSON is unusable", () => {
+    const html = '<script>broken = {"baseUrl":"https://www.youtube.com/api/timedtext?v=x\\u0026lang=de"</script>';
+    const { captionTracks } = parseCaptionTracks(html);
+    assert.equal(captionTracks[0].baseUrl, "https://www.youtube.com/api/timedtext?v=x&lang=de");
+    assert.equal(describeTrack(captionTracks[0]).languageCode, "de");
+});
+
+test("parseCaptionTracks skips timedtext URLs with broken escapes", () => {
+    const bad = '"baseUrl":"https://www.youtube.com/api/timedtext?v=x\\q" "baseUrl":"https://www.youtube.com/api/timedtext?v=y\\"';
+    assert.equal(parseCaptionTracks(`<script>${bad}</script>`), null);
+
+    const good = '"baseUrl":"https://www.youtube.com/api/timedtext?v=z\\u0026lang=fr"';
+    const { captionTracks } = parseCaptionTracks(`<script>${bad} ${good}</script>`);
+    assert.deepEqual(captionTracks.map(track => track.baseUrl), ["https://www.youtube.com/api/timedtext?v=z&lang=fr"]);
+});
+
+test("selectCaptionTrack prefers exact codes, then manual captions of the same base language", () => {
+    const { captionTracks, translationLanguages } = parseCaptionTracks(fixture("watch-page.html"));
+
+    assert.equal(selectCaptionTrack(captionTracks, translationLanguages).track.languageCode, "en-GB");
+    assert.equal(selectCaptionTrack(captionTracks, translationLanguages, "en").track.languageCode, "en");
+    assert.equal(selectCaptionTrack(captionTracks, translationLanguages, "en-US").track.languageCode, "en-GB");
+    assert.equal(selectCaptionTrack(captionTracks, translationLanguages, "hi").track.languageCode, "hi");
+
+    const translated = selectCaptionTrack(captionTracks, translationLanguages, "es");
+    assert.equal(translated.translated, true);
+    assert.equal(translated.tlang, "es");
+
+    assert.equal(selectCaptionTrack(captionTracks, translationLanguages, "fr"), null);
+});
+
+test("parseSrv1 keeps timings and decodes double-escaped entities", () => {
+    const segments = parseSrv1(fixture("captions-srv1.xml"));
+    assert.deepEqual(segments.map(s => s.text), [
+        "today we're looking at the iPhone Pro",
+        "and how its camera works",
+        'Apple calls it "computational photography"',
+        "it's used by café owners & bakers…",
+        "prices start at £999 — or €1,099",
+    ]);
+    assert.deepEqual(segments[0], { text: "today we're looking at the iPhone Pro", start: 0.5, duration: 3.2 });
+});
+
+test("parseSrv3 joins word spans and converts milliseconds", () => {
+    const segments = parseSrv3(fixture("captions-srv3.xml"));
+    assert.deepEqual(segments, [
+        { text: "closures capture variables", start: 0, duration: 2.4 },
+        { text: "from the enclosing scope", start: 2.41, duration: 3.1 },
+        { text: 'x < y && y > z is "true"', start: 5.51, duration: 2 },
+    ]);
+});
+
+test("parseJson3 skips events without text", () => {
+    const segments = parseJson3(fixture("captions-json3.json"));
+    assert.deepEqual(segments, [
+        { text: "closures capture", start: 0.12, duration: 2.88 },
+        { text: "variables like <this> & that", start: 3, duration: 2.5 },
+    ]);
+});
+
+test("parseCaptions detects the format", () => {
+    assert.equal(parseCaptions(fixture("captions-srv1.xml")).length, 5);
+    assert.equal(parseCaptions(fixture("captions-srv3.xml")).length, 3);
+    assert.equal(parseCaptions(fixture("captions-json3.json")).length, 2);
+    assert.equal(parseCaptions(JSON.parse(fixture("captions-json3.json"))).length, 2);
+});
+
+test("joinSegments only adds periods between unpunctuated segments", () => {
+    const text = joinSegments([
+        { text: "we compared the iPhone Pro with older models", start: 0, duration: 2 },
+        { text: "Then we looked at Android", start: 2, duration: 2 },
+    ]);
+    assert.equal(text, "we compared the iPhone Pro with older models. Then we looked at Android");
+
+    const punctuated = joinSegments([
+        { text: "This is a sentence.", start: 0, duration: 2 },
+        { text: "so is this", start: 2, duration: 2 },
+        { text: "Another one!", start: 4, duration: 2 },
+    ]);
+    assert.equal(punctuated, "This is a sentence. so is this Another one!");
+});
+
+test("getYouTubeTranscript runs end to end against saved pages", async () => {
+    const requested = [];
+    const httpGet = async (url) => {
+        requested.push(url);
+        return url.includes("/watch?v=") ? fixture("watch-page.html") : fixture("captions-srv1.xml");
+    };
+
+    const result = await getYouTubeTranscript("dQw4w9WgXcQ", { language: "es", minWords: 0, httpGet });
+    assert.equal(result.segments.length, 5);
+    assert.match(result.transcript, /^today we're looking at the iPhone Pro and how/);
+    assert.deepEqual(result.track, {
+        languageCode: "en-GB",
+        name: "English (United Kingdom)",
+        kind: "manual",
+        isTranslatable: true,
+        translated: true,
+        translatedTo: "es",
+    });
+    assert.equal(requested[1], "https://www.youtube.com/api/timedtext?v=dQw4w9WgXcQ&lang=en-GB&tlang=es");
+});
+
+test("getYouTubeTranscript reports missing captions and short transcripts", async () => {
+    await assert.rejects(
+        getYouTubeTranscript("zzzzzzzzzzz", { httpGet: async () => fixture("watch-page-no-captions.html") }),
+        { code: "CAPTIONS_MISSING", status: 404, message: "Transcripts not available" },
+    );
+
+    const httpGet = async (url) => url.includes("/watch?v=") ? fixture("watch-page.html") : fixture("captions-srv1.xml");
+    await assert.rejects(getYouTubeTranscript("dQw4w9WgXcQ", { httpGet }), { code: "TRANSCRIPT_TOO_SHORT", status: 422 });
+    await assert.rejects(getYouTubeTranscript("dQw4w9WgXcQ", { language: "ja", httpGet }), { code: "CAPTIONS_LANGUAGE_MISSING" });
+});
+
+test("getYouTubeTranscript reports private videos and retries YouTube outages", async () => {
+    const privatePage = '<script>var ytInitialPlayerResponse = {"playabilityStatus":{"status":"LOGIN_REQUIRED","reason":"This video is private"}};</script>';
+    await assert.rejects(
+        getYouTubeTranscript("zzzzzzzzzzz", { httpGet: async () => privatePage }),
+        { code: "VIDEO_UNAVAILABLE", message: "This video is unavailable: This video is private" },
+    );
+
+    let calls = 0;
+    const flaky = async (url) => {
+        calls++;
+        if (calls === 1) throw Object.assign(new Error("socket hang up"), { code: "ECONNRESET" });
+        return url.includes("/watch?v=") ? fixture("watch-page.html") : fixture("captions-srv1.xml");
+    };
+    const result = await getYouTubeTranscript("dQw4w9WgXcQ", { minWords: 0, httpGet: flaky });
+    assert.equal(result.segments.length, 5);
+    assert.equal(calls, 3);
+
+    const down = async () => { throw Object.assign(new Error("Service Unavailable"), { response: { status: 503 } }); };
+    await assert.rejects(getYouTubeTranscript("dQw4w9WgXcQ", { httpGet: down }), { code: "YOUTUBE_UNREACHABLE", status: 502 });
+});
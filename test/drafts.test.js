@@ -0,0 +1,92 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+    createDraft,
+    getDraft,
+    listDrafts,
+    describeDraft,
+    questionIndex,
+    editQuestion,
+    removeQuestion,
+    reorderQuestions,
+} from "../api/drafts.js";
+
+const questions = [
+    {
+        type: "single-choice",
+        question: "Which keyword declares a block-scoped variable?",
+        options: ["var", "let", "function", "this"],
+        correctAnswer: "let",
+        explanation: "let is block scoped.",
+        citation: { quote: "let is block scoped", verified: true },
+        timestamp: { start: 12, end: 30 },
+        sections: [0],
+    },
+    { type: "true-false", question: "Closures can access variables of their enclosing scope.", options: ["True", "False"], correctAnswer: "True", sections: [1] },
+    { type: "short-answer", question: "What does JSON stand for in web APIs?", correctAnswer: "JavaScript Object Notation", acceptableAnswers: [], sections: [1] },
+];
+const draft = { id: "draft-1", questions, versions: [] };
+
+test("drafts belong to the instructor who made them", async () => {
+    const created = await createDraft("teacher-1", {
+        input: { videoId: "dQw4w9WgXcQ", source: undefined },
+        videoId: "dQw4w9WgXcQ",
+        questions,
+        sections: [{ index: 0, start: 0, end: 60 }, { index: 1, start: 60, end: 120 }],
+        track: { languageCode: "en", name: "English" },
+        quizOptions: { questionCount: 3 },
+    });
+
+    assert.equal((await getDraft("teacher-1", created.id)).questions.length, 3);
+    assert.equal(await getDraft("teacher-2", created.id), null);
+    assert.deepEqual((await listDrafts("teacher-1")).map(d => [d.id, d.questionCount, d.publishedVersions]), [[created.id, 3, 0]]);
+    assert.equal(describeDraft(created).input, undefined);
+    assert.equal(describeDraft(created).ownerId, undefined);
+});
+
+test("questionIndex only accepts positions in the draft", () => {
+    assert.equal(questionIndex(draft, "2"), 2);
+    assert.equal(questionIndex(draft, "3"), null);
+    assert.equal(questionIndex(draft, "-1"), null);
+    assert.equal(questionIndex(draft, "1.5"), null);
+});
+
+test("editQuestion validates the result, keeps where the question came from and drops a stale quote", () => {
+    const { draft: edited } = editQuestion(draft, 0, { options: ["var", "let", "const", "this"], correctAnswer: "const", explanation: "" });
+    assert.deepEqual(edited.questions[0], {
+        type: "single-choice",
+        question: "Which keyword declares a block-scoped variable?",
+        options: ["var", "let", "const", "this"],
+        correctAnswer: "const",
+        timestamp: { start: 12, end: 30 },
+        sections: [0],
+        edited: true,
+    });
+    assert.equal(draft.questions[0].correctAnswer, "let");
+
+    // The quote only survives edits that leave the question and its answer alone
+    const { draft: explained } = editQuestion(draft, 0, { explanation: "Only let and const are block scoped.", options: ["var", "let", "function", "this"] });
+    assert.deepEqual(explained.questions[0].citation, { quote: "let is block scoped", verified: true });
+    assert.equal(editQuestion(draft, 0, { question: "Which keyword declares a variable scoped to its block?" }).draft.questions[0].citation, undefined);
+
+    assert.match(editQuestion(draft, 0, { correctAnswer: "const" }).error, /single-choice/);
+    assert.match(editQuestion(draft, 0, { question: "Too short?" }).error, /at least 20 characters/);
+    assert.match(editQuestion(draft, 0, { citation: null }).error, /Only these fields/);
+    assert.match(editQuestion(draft, 0, ["let"]).error, /object/);
+
+    // Switching type drops the old answer fields unless new ones are sent
+    const { draft: retyped } = editQuestion(draft, 0, { type: "true-false", question: "let declares a block-scoped variable.", correctAnswer: "true" });
+    assert.deepEqual(retyped.questions[0].options, ["True", "False"]);
+    assert.equal(retyped.questions[0].correctAnswer, "True");
+    assert.match(editQuestion(draft, 1, { type: "fill-in-the-blank" }).error, /fill-in-the-blank/);
+});
+
+test("questions can be removed and reordered", () => {
+    assert.deepEqual(removeQuestion(draft, 1).draft.questions.map(q => q.type), ["single-choice", "short-answer"]);
+    assert.match(removeQuestion({ questions: [questions[0]] }, 0).error, /at least one question/);
+
+    assert.deepEqual(reorderQuestions(draft, [2, 0, 1]).draft.questions.map(q => q.type), ["short-answer", "single-choice", "true-false"]);
+    assert.match(reorderQuestions(draft, [0, 0, 1]).error, /exactly once/);
+    assert.match(reorderQuestions(draft, [0, 1]).error, /exactly once/);
+    assert.match(reorderQuestions(draft, "0,1,2").error, /exactly once/);
+});
@@ -0,0 +1,51 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { AppError, errorResponse, toLlmError, withRetry, isTransient } from "../api/errors.js";
+
+test("errorResponse maps codes to statuses and hides unexpected errors", () => {
+    assert.deepEqual(errorResponse(new AppError("TRANSCRIPT_TOO_SHORT", "Too short")), {
+        status: 422,
+        body: { error: "Too short", code: "TRANSCRIPT_TOO_SHORT" },
+    });
+    assert.deepEqual(errorResponse(new Error("database password is hunter2"), "Try again"), {
+        status: 500,
+        body: { error: "Try again", code: "INTERNAL_ERROR" },
+    });
+});
+
+test("toLlmError recognises rate limits and transient failures", () => {
+    const limited = toLlmError(Object.assign(new Error("Too Many Requests"), { status: 429 }));
+    assert.equal(limited.code, "LLM_RATE_LIMITED");
+    assert.equal(limited.status, 503);
+    assert.equal(limited.retryable, true);
+
+    assert.equal(toLlmError(Object.assign(new Error("Bad Gateway"), { response: { status: 502 } })).retryable, true);
+    const badKey = toLlmError(Object.assign(new Error("API key not valid"), { status: 400 }));
+    assert.equal(badKey.code, "LLM_UNAVAILABLE");
+    assert.equal(badKey.retryable, false);
+    assert.equal(isTransient(Object.assign(new Error("timeout"), { code: "ETIMEDOUT" })), true);
+});
+
+test("withRetry retries retryable errors and gives up on the rest", async () => {
+    let calls = 0;
+    const result = await withRetry(async () => {
+        if (++calls < 3) throw new AppError("LLM_UNAVAILABLE", "down", { retryable: true });
+        return "ok";
+    }, { baseDelayMs: 1 });
+    assert.equal(result, "ok");
+    assert.equal(calls, 3);
+
+    calls = 0;
+    await assert.rejects(withRetry(async () => {
+        calls++;
+        throw new AppError("LLM_INVALID_JSON", "bad json");
+    }, { baseDelayMs: 1 }), { code: "LLM_INVALID_JSON" });
+    assert.equal(calls, 1);
+
+    const controller = new AbortController();
+    const pending = withRetry(async () => {
+        throw new AppError("LLM_UNAVAILABLE", "down", { retryable: true });
+    }, { baseDelayMs: 10_000, signal: controller.signal });
+    setTimeout(() => controller.abort(), 10);
+    await assert.rejects(pending, { name: "AbortError" });
+});
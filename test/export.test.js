@@ -0,0 +1,54 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import JSZip from "jszip";
+import { toGift, toMoodleXml, toKahootCsv, toAnkiTsv, toQtiPackage } from "../api/export.js";
+
+const quiz = {
+    id: "quiz-1",
+    videoId: "abc",
+    questions: [
+        { type: "single-choice", question: "Which keyword declares a block-scoped variable?", options: ["var", "let", "function", "this"], correctAnswer: "let", explanation: "let is block scoped." },
+        { type: "multi-select", question: "Which of these are primitive types?", options: ["string", "object", "number", "array"], correctAnswers: ["string", "number"] },
+        { type: "true-false", question: "Closures can see their enclosing scope.", options: ["True", "False"], correctAnswer: "True" },
+        { type: "short-answer", question: "What does DOM stand for: in short?", correctAnswer: "Document Object Model", acceptableAnswers: ["DOM tree"] },
+    ],
+};
+
+test("toGift writes each question type with escaped text", () => {
+    const gift = toGift(quiz);
+    assert.match(gift, /::Q1:: Which keyword .*\{~var =let ~function ~this ####let is block scoped\.\}/);
+    assert.match(gift, /\{~%50%string ~%-50%object ~%50%number ~%-50%array\}/);
+    assert.match(gift, /::Q3:: .*\{T\}/);
+    assert.match(gift, /DOM stand for\\: in short\? \{=Document Object Model =DOM tree\}/);
+});
+
+test("toMoodleXml uses Moodle question types and fractions", () => {
+    const xml = toMoodleXml(quiz);
+    assert.equal((xml.match(/<question type="multichoice">/g) || []).length, 2);
+    assert.match(xml, /<question type="truefalse">/);
+    assert.match(xml, /<question type="shortanswer">/);
+    assert.match(xml, /<answer fraction="-50" format="plain_text">\s*<text>object<\/text>/);
+});
+
+test("toKahootCsv keeps choice questions and numbers the correct answers", () => {
+    const rows = toKahootCsv(quiz).trim().split("\n");
+    assert.equal(rows.length, 4);
+    assert.match(rows[1], /,var,let,function,this,20,2$/);
+    assert.match(rows[2], /,"1,3"$/);
+});
+
+test("toAnkiTsv writes one tab-separated card per question", () => {
+    const lines = toAnkiTsv(quiz).trim().split("\n").filter(line => !line.startsWith("#"));
+    assert.equal(lines.length, 4);
+    assert.equal(lines[0].split("\t").length, 3);
+    assert.match(lines[0], /<b>let<\/b>/);
+});
+
+test("toQtiPackage bundles a manifest, a test and one item per question", async () => {
+    const zip = await JSZip.loadAsync(await toQtiPackage(quiz));
+    assert.deepEqual(Object.keys(zip.files).sort(),
+        ["assessment.xml", "imsmanifest.xml", "item1.xml", "item2.xml", "item3.xml", "item4.xml"]);
+    const item2 = await zip.file("item2.xml").async("string");
+    assert.match(item2, /cardinality="multiple"/);
+    assert.match(item2, /<correctResponse><value>choice1<\/value><value>choice3<\/value><\/correctResponse>/);
+});
@@ -0,0 +1,62 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { generateQuestions } from "../api/generate.js";
+import { splitTextIntoSections } from "../api/transcript.js";
+
+// Sentences of made-up words, so no two fake questions look alike to the duplicate check
+const syllables = ["ka", "lo", "mi", "ren", "tas", "vo", "pel", "dur", "sin", "gar", "bex", "nu"];
+let seed = 7;
+const random = () => (seed = (seed * 1103515245 + 12345) % 2147483648) / 2147483648;
+const word = () => [0, 1, 2].map(() => syllables[Math.floor(random() * syllables.length)]).join("");
+const sentence = () => `${Array.from({ length: 12 }, word).join(" ")}.`;
+// A full first section and a second one about half as long
+const transcript = Array.from({ length: 175 }, sentence).join(" ");
+
+const quizOptions = { questionCount: 8, difficulty: "medium", questionTypes: ["single-choice", "true-false"], citationPolicy: "drop" };
+const perSection = (questions) => [0, 1].map(index => questions.filter(q => q.sections[0] === index).length);
+
+test("questions are shared between uneven sections by length and come back in video order", async () => {
+    assert.deepEqual(splitTextIntoSections(transcript).map(s => Math.round(s.text.length / 1000)), [12, 7]);
+
+    const { questions, sections, quality } = await generateQuestions(transcript, { provider: "fake", quizOptions });
+    assert.equal(sections.length, 2);
+    assert.equal(questions.length, 8);
+    // 1 each, then the other 6 by length; sections are asked for a few extra and trimmed back
+    assert.deepEqual(perSection(questions), [5, 3]);
+    assert.ok(quality.candidates > 8);
+    assert.deepEqual(questions.map(q => q.sections[0]), [...questions.map(q => q.sections[0])].sort());
+
+    // Only the requested types, and both of them
+    assert.deepEqual([...new Set(questions.map(q => q.type))].sort(), ["single-choice", "true-false"]);
+    assert.equal(quality.rounds, 1);
+});
+
+test("a section that comes up short is topped up in the next round", async () => {
+    let calls = 0;
+    const { questions, quality } = await generateQuestions(transcript, {
+        provider: "fake",
+        quizOptions,
+        // The second section's first call fails
+        onLlmCall: () => (++calls === 2 ? Promise.reject(new Error("model unavailable")) : undefined),
+    });
+
+    assert.equal(calls, 3);
+    assert.equal(quality.rounds, 2);
+    assert.deepEqual(perSection(questions), [5, 3]);
+});
+
+test("after the last top-up round, other sections' spare questions fill the quiz", async () => {
+    let calls = 0;
+    const { questions, quality } = await generateQuestions(transcript, {
+        provider: "fake",
+        quizOptions,
+        onLlmCall: () => (++calls >= 2 ? Promise.reject(new Error("model unavailable")) : undefined),
+    });
+
+    // One round plus two top-up rounds, each asking only the failing section again
+    assert.equal(calls, 4);
+    assert.equal(quality.rounds, 3);
+    const [first, second] = perSection(questions);
+    assert.equal(second, 0);
+    assert.ok(first > 5 && first <= 8);
+});
@@ -0,0 +1,79 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createJob, getJob, cancelJob, subscribeToJob } from "../api/jobs.js";
+
+// Resolves with the first snapshot that has one of `statuses`
+function waitFor(id, ...statuses) {
+    return new Promise(resolve => {
+        const unsubscribe = subscribeToJob(id, snapshot => {
+            if (!statuses.includes(snapshot.status)) return;
+            unsubscribe();
+            resolve(snapshot);
+        });
+    });
+}
+
+test("a job reports progress and ends with its result", async () => {
+    const job = createJob(async ({ report }) => {
+        report("generating", { progress: 40, message: "Generating questions" });
+        return { status: 200, body: { quizId: "quiz-1" } };
+    });
+    assert.equal(job.status, "queued");
+
+    const updates = [];
+    subscribeToJob(job.id, snapshot => updates.push([snapshot.status, snapshot.progress]));
+    const done = await waitFor(job.id, "done");
+    assert.deepEqual(updates, [["running", 40], ["done", 100]]);
+    assert.deepEqual(done.result, { quizId: "quiz-1" });
+    assert.deepEqual(getJob(job.id), done);
+    assert.equal(getJob("missing"), null);
+});
+
+test("error responses and thrown errors fail the job", async () => {
+    const rejected = createJob(async () => ({ status: 422, body: { error: "Too short", code: "TRANSCRIPT_TOO_SHORT" } }));
+    const failed = await waitFor(rejected.id, "failed");
+    assert.equal(failed.message, "Too short");
+    assert.equal(failed.error.code, "TRANSCRIPT_TOO_SHORT");
+
+    const broken = createJob(async () => {
+        throw new Error("database password is hunter2");
+    });
+    const crashed = await waitFor(broken.id, "failed");
+    assert.equal(crashed.error.code, "INTERNAL_ERROR");
+    assert.doesNotMatch(crashed.message, /hunter2/);
+});
+
+test("cancelling aborts the task and later results are ignored", async () => {
+    let signal;
+    let finish;
+    const job = createJob(task => {
+        signal = task.signal;
+        return new Promise(resolve => { finish = resolve; });
+    });
+    await new Promise(resolve => setImmediate(resolve));
+
+    const cancelled = cancelJob(job.id);
+    assert.equal(cancelled.status, "cancelled");
+    assert.equal(signal.aborted, true);
+
+    finish({ status: 200, body: { quizId: "too-late" } });
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(getJob(job.id).status, "cancelled");
+    assert.equal(getJob(job.id).result, undefined);
+    assert.equal(cancelJob(job.id).status, "cancelled");
+    assert.equal(cancelJob("missing"), null);
+});
+
+test("jobs are only visible to their owner", async () => {
+    const job = createJob(() => new Promise(() => {}), { client: "site", userId: "u1" });
+
+    assert.equal(getJob(job.id, { client: "site", userId: "u1" }).id, job.id);
+    assert.equal(getJob(job.id, { client: "site" }).id, job.id);
+    assert.equal(getJob(job.id, { client: "site", userId: null }), null);
+    assert.equal(getJob(job.id, { client: "other", userId: "u1" }), null);
+    assert.equal(subscribeToJob(job.id, () => {}, { client: "other" }), null);
+
+    assert.equal(cancelJob(job.id, { client: "site", userId: "u2" }), null);
+    assert.equal(getJob(job.id).status, "queued");
+    assert.equal(cancelJob(job.id, { client: "site", userId: "u1" }).status, "cancelled");
+});
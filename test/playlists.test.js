@@ -0,0 +1,63 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { isPlaylistId, parsePlaylistPage, fetchPlaylist, shareQuestions, combineQuizzes, localSectionIndex } from "../api/playlists.js";
+
+const fixture = (name) => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), "utf8");
+
+test("isPlaylistId accepts playlist IDs only", () => {
+    assert.equal(isPlaylistId("PLillGF-RfqbZTASqIqdvm1R5mLrQq79CU"), true);
+    assert.equal(isPlaylistId("OLAK5uy_k9Ij3cnwO5ZxU9dDsEVtBhzpBTQYmV3Kk"), true);
+    assert.equal(isPlaylistId("PL1"), false);
+    assert.equal(isPlaylistId("PL../../etc/passwd"), false);
+    assert.equal(isPlaylistId(42), false);
+});
+
+test("parsePlaylistPage lists each video once, in order, despite braces inside titles", () => {
+    const playlist = parsePlaylistPage(fixture("playlist-page.html"));
+    assert.equal(playlist.title, "JavaScript Bootcamp");
+    assert.deepEqual(playlist.videos, [
+        { videoId: "dQw4w9WgXcQ", title: 'Closures in {JavaScript}: "scope" } explained', lengthSeconds: 754, playable: true },
+        { videoId: "3fumBcKC6RE", title: "Promises and async/await", lengthSeconds: 1203, playable: true },
+        { videoId: "xxxxxxxxxxx", title: "[Private video]", playable: false },
+    ]);
+    assert.equal(parsePlaylistPage("<html></html>"), null);
+});
+
+test("fetchPlaylist reports playlists without videos as unavailable", async () => {
+    const playlist = await fetchPlaylist("PLillGF-RfqbZTASqIqdvm1R5mLrQq79CU", { httpGet: async () => fixture("playlist-page.html") });
+    assert.equal(playlist.videoCount, 3);
+
+    const empty = '<script>var ytInitialData = {"alerts":[{"alertRenderer":{"text":{"simpleText":"The playlist does not exist."}}}]};</script>';
+    await assert.rejects(fetchPlaylist("PLdoesnotexist000", { httpGet: async () => empty }), { code: "PLAYLIST_UNAVAILABLE" });
+});
+
+test("shareQuestions splits the total evenly with at least one question per video", () => {
+    assert.deepEqual(shareQuestions(10, 3), [4, 3, 3]);
+    assert.deepEqual(shareQuestions(9, 3), [3, 3, 3]);
+    assert.deepEqual(shareQuestions(2, 4), [1, 1, 1, 1]);
+});
+
+test("combineQuizzes tags questions with their video and renumbers sections", () => {
+    const quiz = (questions, sections, rejected) => ({
+        questions,
+        sections,
+        quality: { candidates: questions.length + rejected.length, rounds: 1, verified: false, rejectedByCheck: rejected.length ? { duplicate: rejected.length } : {}, rejected, accepted: questions.length },
+    });
+    const combined = combineQuizzes([
+        { videoId: "dQw4w9WgXcQ", generated: quiz([{ question: "A?", sections: [1] }], [{ index: 0, start: 0, end: 60 }, { index: 1, start: 60, end: 120 }], []) },
+        { videoId: "3fumBcKC6RE", generated: quiz([{ question: "B?", sections: [0] }], [{ index: 0, start: 0, end: 90 }], [{ check: "duplicate", reason: "Same as A", question: "A again?" }]) },
+    ]);
+
+    assert.deepEqual(combined.questions, [
+        { question: "A?", sections: [1], videoId: "dQw4w9WgXcQ" },
+        { question: "B?", sections: [2], videoId: "3fumBcKC6RE" },
+    ]);
+    assert.deepEqual(combined.sections.map(s => [s.index, s.videoId, s.start]), [
+        [0, "dQw4w9WgXcQ", 0], [1, "dQw4w9WgXcQ", 60], [2, "3fumBcKC6RE", 0],
+    ]);
+    assert.equal(combined.quality.candidates, 3);
+    assert.deepEqual(combined.quality.rejectedByCheck, { duplicate: 1 });
+    assert.equal(combined.quality.rejected[0].videoId, "3fumBcKC6RE");
+    assert.deepEqual(combined.questions.map(q => localSectionIndex(combined.sections, q)), [1, 0]);
+});
@@ -0,0 +1,139 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+    adjustDifficulty,
+    conceptsFromResults,
+    practiceTargets,
+    startRound,
+    recordRound,
+    masterySummary,
+    createPracticeSession,
+    getPracticeSession,
+    MASTERY_STREAK,
+} from "../api/practice.js";
+import { generatePracticeQuestions } from "../api/generate.js";
+import { gradeSubmission } from "../api/quiz.js";
+
+const quiz = {
+    id: "quiz-1",
+    videoId: "dQw4w9WgXcQ",
+    quizOptions: { difficulty: "medium", questionTypes: ["single-choice", "true-false"] },
+    questions: [
+        { type: "single-choice", question: "Which keyword declares a block-scoped variable?", options: ["var", "let", "function", "this"], correctAnswer: "let", sections: [0] },
+        { type: "true-false", question: "Closures can access variables of their enclosing scope.", options: ["True", "False"], correctAnswer: "True", sections: [1] },
+        { type: "true-false", question: "Arrow functions have their own this binding.", options: ["True", "False"], correctAnswer: "False", sections: [1] },
+    ],
+};
+
+test("difficulty steps up after a correct answer and down after a miss, within bounds", () => {
+    assert.equal(adjustDifficulty("medium", true), "hard");
+    assert.equal(adjustDifficulty("medium", false), "easy");
+    assert.equal(adjustDifficulty("hard", true), "hard");
+    assert.equal(adjustDifficulty("easy", false), "easy");
+});
+
+test("every missed question becomes a concept, a step easier than the quiz", () => {
+    const { results } = gradeSubmission(quiz.questions, ["var", "True", "True"]);
+    const concepts = conceptsFromResults(quiz, results, question => question.sections[0]);
+
+    assert.deepEqual(concepts.map(concept => concept.original.question), [quiz.questions[0].question, quiz.questions[2].question]);
+    assert.deepEqual(concepts.map(concept => concept.id), [0, 1]);
+    assert.deepEqual(concepts.map(concept => concept.section), [0, 1]);
+    assert.ok(concepts.every(concept => concept.difficulty === "easy" && concept.videoId === quiz.videoId && !concept.mastered));
+});
+
+test("concepts are mastered after a streak of correct answers and then left out", () => {
+    const { results } = gradeSubmission(quiz.questions, ["var", "True", "True"]);
+    let concepts = conceptsFromResults(quiz, results, () => 0);
+
+    const round = startRound(concepts, [
+        { type: "true-false", question: "Variables declared with let are visible outside their block.", correctAnswer: "False", concept: "Block scope" },
+        null,
+    ]);
+    assert.equal(round.questions.length, 1);
+    assert.equal(round.questions[0].conceptId, 0);
+    assert.equal(round.concepts[0].name, "Block scope");
+    assert.equal(round.concepts[1].name, null);
+
+    concepts = round.concepts;
+    for (let i = 0; i < MASTERY_STREAK; i++) {
+        concepts = recordRound(concepts, round.questions, [{ correct: true }]);
+    }
+    assert.equal(concepts[0].mastered, true);
+    assert.equal(concepts[0].difficulty, "hard");
+    assert.equal(concepts[1].attempts, 0);
+    assert.deepEqual(practiceTargets(concepts).map(target => target.question), [quiz.questions[2]]);
+
+    const mastery = masterySummary(concepts);
+    assert.deepEqual(mastery[0], { id: 0, concept: "Block scope", attempts: MASTERY_STREAK, correct: MASTERY_STREAK, mastered: true, difficulty: "hard" });
+    assert.equal(mastery[1].concept, quiz.questions[2].question);
+});
+
+test("a miss resets the streak and eases the difficulty", () => {
+    const concepts = [{ id: 0, streak: 1, attempts: 1, correct: 1, mastered: false, difficulty: "medium" }];
+    const [concept] = recordRound(concepts, [{ conceptId: 0 }], [{ correct: false }]);
+    assert.deepEqual(concept, { id: 0, streak: 0, attempts: 2, correct: 1, mastered: false, difficulty: "easy" });
+});
+
+test("follow-up questions keep the type of the question they replace and skip what was asked", async () => {
+    const transcript = [
+        "Closures let an inner function keep using variables from the function that created it.",
+        "Block scope means a variable declared with let only exists inside the nearest pair of braces.",
+        "Hoisting moves var declarations to the top of their function before any code runs.",
+        "Promises represent a value that will be available later, once an operation finishes.",
+        "The event loop picks the next task from the queue whenever the call stack is empty.",
+        "Arrow functions take this from the surrounding code instead of binding their own.",
+    ].join(" ").repeat(3);
+    const targets = [{ question: quiz.questions[0], difficulty: "hard", section: 0, concept: "Block scope" }];
+
+    const { questions, quality } = await generatePracticeQuestions(transcript, {
+        provider: "fake",
+        quizOptions: { ...quiz.quizOptions, citationPolicy: "drop" },
+        targets,
+        avoid: quiz.questions.map(q => q.question),
+    });
+
+    assert.equal(questions.length, 1);
+    assert.equal(questions[0].type, "single-choice");
+    assert.equal(questions[0].concept, "Block scope");
+    assert.ok(!quiz.questions.some(q => q.question === questions[0].question));
+    assert.equal(quality.accepted, 1);
+});
+
+test("a failed section leaves its follow-ups null and only fails the round when nothing came back", async () => {
+    const sentences = [
+        "Closures let an inner function keep using variables from the function that created it.",
+        "Block scope means a variable declared with let only exists inside the nearest pair of braces.",
+        "Hoisting moves var declarations to the top of their function before any code runs.",
+    ].join(" ");
+    // Long enough for two sections
+    const transcript = `${sentences} `.repeat(100);
+    const targets = [
+        { question: quiz.questions[0], difficulty: "hard", section: 0, concept: "Block scope" },
+        { question: quiz.questions[1], difficulty: "easy", section: 1, concept: "Closures" },
+    ];
+    const options = { provider: "fake", quizOptions: { ...quiz.quizOptions, citationPolicy: "drop" }, targets };
+    const quotaError = Object.assign(new Error("Daily quota used up"), { code: "QUOTA_EXCEEDED" });
+
+    let calls = 0;
+    const { questions } = await generatePracticeQuestions(transcript, {
+        ...options,
+        onLlmCall: () => (++calls === 2 ? Promise.reject(quotaError) : undefined),
+    });
+    assert.equal(questions.length, 2);
+    assert.equal(questions[0].concept, "Block scope");
+    assert.equal(questions[1], null);
+
+    await assert.rejects(
+        generatePracticeQuestions(transcript, { ...options, onLlmCall: () => Promise.reject(quotaError) }),
+        quotaError,
+    );
+});
+
+test("practice sessions are only found for the learner who started them", async () => {
+    const session = await createPracticeSession({ ownerId: "user-1", quizId: quiz.id, concepts: [] });
+    assert.equal((await getPracticeSession(session.id, "user-1")).id, session.id);
+    assert.equal(await getPracticeSession(session.id, "user-2"), null);
+    assert.equal(await getPracticeSession(session.id, undefined), null);
+    assert.equal(await getPracticeSession("missing", "user-1"), null);
+});
@@ -0,0 +1,99 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { getProvider, isAllowedModel, providerNames } from "../api/providers.js";
+import { generateQuestions } from "../api/generate.js";
+
+test("getProvider picks the named provider, then LLM_PROVIDER, with LLM_MODEL for the default only", () => {
+    assert.deepEqual(providerNames, ["gemini", "openai", "ollama", "fake"]);
+    assert.equal(getProvider("OpenAI").name, "openai");
+    assert.throws(() => getProvider("claude"), /Unknown LLM provider "claude"/);
+    assert.throws(() => getProvider("constructor"), /Unknown LLM provider/);
+
+    process.env.LLM_PROVIDER = "fake";
+    process.env.LLM_MODEL = "fake-default";
+    try {
+        assert.equal(getProvider().name, "fake");
+        assert.equal(getProvider().model, "fake-default");
+        assert.equal(getProvider("fake", "fake-other").model, "fake-other");
+        assert.equal(getProvider("ollama").model, process.env.OLLAMA_MODEL || "llama3.1");
+    } finally {
+        delete process.env.LLM_PROVIDER;
+        delete process.env.LLM_MODEL;
+    }
+});
+
+test("the fake provider answers the schema deterministically from the prompt", async () => {
+    const llm = getProvider("fake");
+    const schema = {
+        type: "array",
+        minItems: 2,
+        items: {
+            type: "object",
+            properties: {
+                type: { type: "string", enum: ["single-choice"] },
+                question: { type: "string" },
+                options: { type: "array", minItems: 4, items: { type: "string" } },
+                confidence: { type: "number", minimum: 0, maximum: 1 },
+            },
+        },
+    };
+    const prompt = "Transcript: Closures capture variables from the enclosing scope. Promises settle exactly once after they are created.";
+    const text = await llm.generateContent({ prompt, schema });
+    assert.equal(await llm.generateContent({ prompt, schema }), text);
+
+    const questions = JSON.parse(text);
+    assert.equal(questions.length, 2);
+    for (const question of questions) {
+        assert.equal(question.type, "single-choice");
+        assert.match(question.question, /What does the video say about/);
+        assert.equal(question.options.length, 4);
+        assert.equal(question.correctAnswer, question.options[0]);
+    }
+
+    const controller = new AbortController();
+    controller.abort();
+    await assert.rejects(llm.generateContent({ prompt, schema, signal: controller.signal }), { name: "AbortError" });
+});
+
+test("isAllowedModel accepts model names and honours LLM_MODELS", () => {
+    assert.equal(isAllowedModel("gpt-4o-mini"), true);
+    assert.equal(isAllowedModel("meta-llama/Llama-3.1-8B:q4"), true);
+    assert.equal(isAllowedModel("x".repeat(101)), false);
+    assert.equal(isAllowedModel("gpt 4"), false);
+    assert.equal(isAllowedModel(["gpt-4o"]), false);
+
+    process.env.LLM_MODELS = "gpt-4o-mini, llama3.1";
+    assert.equal(isAllowedModel("llama3.1"), true);
+    assert.equal(isAllowedModel("gpt-4o"), false);
+    delete process.env.LLM_MODELS;
+});
+
+test("getProvider reuses instances, rejects bad models and keeps a bounded cache", () => {
+    const first = getProvider("fake", "model-0");
+    assert.equal(getProvider("FAKE", "model-0"), first);
+    assert.throws(() => getProvider("fake", "not a model"), /not allowed/);
+
+    for (let i = 1; i <= 20; i++) getProvider("fake", `model-${i}`);
+    assert.notEqual(getProvider("fake", "model-0"), first);
+});
+
+test("fake quiz questions come from the transcript, not the prompt around it", async () => {
+    const sentences = [
+        "Closures let an inner function keep using variables from the function that created it.",
+        "Block scope means a variable declared with let only exists inside the nearest pair of braces.",
+        "Hoisting moves var declarations to the top of their function before any code runs.",
+        "Promises represent a value that will be available later, once an operation finishes.",
+        "The event loop picks the next task from the queue whenever the call stack is empty.",
+        "Arrow functions take this from the surrounding code instead of binding their own.",
+    ];
+    const { questions } = await generateQuestions(sentences.join(" "), {
+        provider: "fake",
+        quizOptions: { questionCount: 6, difficulty: "medium", questionTypes: ["single-choice"], citationPolicy: "drop" },
+    });
+
+    assert.ok(questions.length >= 3);
+    for (const question of questions) {
+        const quoted = /"(.+)"/.exec(question.question)[1];
+        assert.ok(sentences.includes(quoted), quoted);
+    }
+});
@@ -0,0 +1,80 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createQualityReport, checkQuestion, removeDuplicates, verifyQuestions } from "../api/quality.js";
+
+const sectionText = "Closures keep access to the variables of the function that created them, even after it returns.";
+const options = { questionTypes: ["single-choice", "true-false"], citationPolicy: "drop", sectionText };
+
+const raw = (fields) => ({
+    type: "single-choice",
+    question: "What do closures keep access to after the outer function returns?",
+    options: ["Only the global variables", "Variables of the creating function", "Variables of the calling function", "Nothing once it has returned"],
+    correctAnswer: "Variables of the creating function",
+    confidence: 0.9,
+    quote: "Closures keep access to the variables of the function that created them",
+    ...fields,
+});
+
+test("checkQuestion accepts good questions and adds a verified citation", () => {
+    const { question } = checkQuestion(raw(), options);
+    assert.equal(question.correctAnswer, "Variables of the creating function");
+    assert.deepEqual(question.citation, { quote: "Closures keep access to the variables of the function that created them", verified: true });
+});
+
+test("checkQuestion names the check that rejected a question", () => {
+    assert.equal(checkQuestion(raw({ confidence: 0.4 }), options).check, "low-confidence");
+    assert.equal(checkQuestion(raw({ options: ["a", "b"] }), options).check, "format");
+    assert.equal(checkQuestion(raw({ quote: "Closures are a kind of loop" }), options).check, "unverified-quote");
+    assert.ok(checkQuestion(raw({ quote: "Closures are a kind of loop" }), { ...options, citationPolicy: "flag" }).question);
+
+    const giveaway = checkQuestion(raw({
+        options: ["Global variables", "Local variables", "None of the above", "All of the above"],
+        correctAnswer: "All of the above",
+    }), options);
+    assert.equal(giveaway.check, "giveaway-option");
+    assert.match(giveaway.reason, /of the above/);
+});
+
+test("checkQuestion flags a correct option that is much longer than the distractors", () => {
+    const result = checkQuestion(raw({
+        options: ["Nothing", "The DOM", "Globals", "The variables of the function that created them, even after it returns"],
+        correctAnswer: "The variables of the function that created them, even after it returns",
+    }), options);
+    assert.equal(result.check, "answer-length");
+
+    // True/false options are never giveaways
+    const trueFalse = checkQuestion(raw({ type: "true-false", options: ["True", "False"], correctAnswer: "True" }), options);
+    assert.ok(trueFalse.question);
+});
+
+test("removeDuplicates keeps the first question and merges sections", () => {
+    const report = createQualityReport();
+    const kept = [{ question: "What do closures keep access to after a function returns?", sections: [0] }];
+    const added = removeDuplicates(kept, [
+        { question: "What do closures keep access to after the function returns?", sections: [2] },
+        { question: "Which keyword declares a block-scoped variable?", sections: [1] },
+    ], report);
+
+    assert.deepEqual(added.map(q => q.sections), [[1]]);
+    assert.deepEqual(kept[0].sections, [0, 2]);
+    assert.deepEqual(report.rejectedByCheck, { duplicate: 1 });
+    assert.equal(report.rejected[0].section, 2);
+});
+
+test("verifyQuestions drops questions the checker marks wrong or ambiguous", async () => {
+    const questions = [0, 1, 2].map(i => ({ type: "true-false", question: `Question number ${i}`, correctAnswer: "True", sections: [0] }));
+    const llm = {
+        async generateContent() {
+            return JSON.stringify([
+                { index: 0, correct: true, unambiguous: true },
+                { index: 1, correct: false, unambiguous: true, issue: "The transcript says the opposite" },
+            ]);
+        },
+    };
+    const report = createQualityReport();
+    const kept = await verifyQuestions(llm, questions, sectionText, { report });
+
+    // Question 2 had no verdict, so it stays
+    assert.deepEqual(kept.map(q => q.question), ["Question number 0", "Question number 2"]);
+    assert.match(report.rejected[0].reason, /looks wrong: The transcript says the opposite/);
+});
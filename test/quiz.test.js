@@ -0,0 +1,118 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseQuizOptions, normalizeQuestion, toPublicQuestion, gradeSubmission, hideAnswers } from "../api/quiz.js";
+
+const questions = [
+    { type: "single-choice", question: "Which keyword declares a block-scoped variable?", options: ["var", "let", "function", "this"], correctAnswer: "let", explanation: "let is block scoped.", citation: { quote: "let is block scoped", verified: true } },
+    { type: "multi-select", question: "Which of these are primitive types in JavaScript?", options: ["string", "object", "number", "array"], correctAnswers: ["string", "number"] },
+    { type: "true-false", question: "Closures can access variables of their enclosing scope.", options: ["True", "False"], correctAnswer: "True" },
+    { type: "short-answer", question: "What does the DOM stand for in web development?", correctAnswer: "Document Object Model", acceptableAnswers: ["The DOM tree"] },
+];
+
+test("parseQuizOptions applies defaults and rejects bad values", () => {
+    assert.deepEqual(parseQuizOptions({}).options, {
+        questionCount: 10,
+        difficulty: "medium",
+        questionTypes: ["single-choice"],
+        citationPolicy: "drop",
+        verifyAnswers: false,
+    });
+    assert.equal(parseQuizOptions({ questionCount: 5, quizLanguage: "hi" }).options.language, "hi");
+    assert.match(parseQuizOptions({ questionCount: 0 }).error, /questionCount/);
+    assert.match(parseQuizOptions({ questionTypes: ["essay"] }).error, /questionTypes/);
+    assert.match(parseQuizOptions({ difficulty: "extreme" }).error, /difficulty/);
+    assert.match(parseQuizOptions({ verifyAnswers: "yes" }).error, /verifyAnswers/);
+});
+
+test("parseQuizOptions coerces counts, accepts a single type and drops repeats", () => {
+    assert.equal(parseQuizOptions({ questionCount: "5" }).options.questionCount, 5);
+    assert.match(parseQuizOptions({ questionCount: 31 }).error, /between 1 and 30/);
+    assert.match(parseQuizOptions({ questionCount: 2.5 }).error, /questionCount/);
+    assert.deepEqual(parseQuizOptions({ questionTypes: "true-false" }).options.questionTypes, ["true-false"]);
+    assert.deepEqual(parseQuizOptions({ questionTypes: ["short-answer", "short-answer"] }).options.questionTypes, ["short-answer"]);
+    assert.match(parseQuizOptions({ questionTypes: [] }).error, /questionTypes/);
+    assert.match(parseQuizOptions({ difficulty: "constructor" }).error, /difficulty/);
+    assert.match(parseQuizOptions({ questionTypes: ["toString"] }).error, /questionTypes/);
+});
+
+test("normalizeQuestion keeps only well-formed questions of the requested types", () => {
+    const types = ["single-choice", "short-answer"];
+    assert.equal(normalizeQuestion(questions[2], types), null);
+    assert.equal(normalizeQuestion({ ...questions[0], question: "Too short?" }, types), null);
+    assert.equal(normalizeQuestion({ ...questions[0], correctAnswer: "const" }, types), null);
+    assert.equal(normalizeQuestion({ ...questions[0], options: ["var", "let", "this"] }, types), null);
+    assert.deepEqual(normalizeQuestion({ ...questions[0], options: [" var", "let ", "function", "this"], correctAnswer: " let" }, types), {
+        type: "single-choice",
+        question: questions[0].question,
+        explanation: questions[0].explanation,
+        options: ["var", "let", "function", "this"],
+        correctAnswer: "let",
+    });
+    assert.deepEqual(normalizeQuestion({ ...questions[3], acceptableAnswers: ["Document Object Model", " DOM ", ""] }, types).acceptableAnswers, ["DOM"]);
+});
+
+test("normalizeQuestion enforces the rules of each question type", () => {
+    const types = ["single-choice", "multi-select", "true-false", "fill-in-the-blank"];
+    assert.equal(normalizeQuestion({ ...questions[0], options: ["a", "a", "b", "c"] }, types), null);
+    assert.equal(normalizeQuestion({ ...questions[1], correctAnswers: ["string"] }, types), null);
+    assert.deepEqual(normalizeQuestion({ ...questions[2], correctAnswer: "false" }, types).correctAnswer, "False");
+    assert.equal(normalizeQuestion({ type: "fill-in-the-blank", question: "Functions in JavaScript are first-class values.", correctAnswer: "first-class" }, types), null);
+    assert.equal(normalizeQuestion(questions[3], types), null);
+});
+
+test("parseQuizOptions takes a citation policy and normalizeQuestion keeps explanations", () => {
+    assert.equal(parseQuizOptions({ citationPolicy: "flag" }).options.citationPolicy, "flag");
+    assert.match(parseQuizOptions({ citationPolicy: "ignore" }).error, /citationPolicy/);
+
+    const types = ["single-choice"];
+    assert.equal(normalizeQuestion({ ...questions[0], explanation: "  let is block scoped.  " }, types).explanation, "let is block scoped.");
+    assert.equal("explanation" in normalizeQuestion({ ...questions[0], explanation: "   " }, types), false);
+});
+
+test("toPublicQuestion strips answers and their justification", () => {
+    assert.deepEqual(toPublicQuestion(questions[0]), {
+        type: "single-choice",
+        question: questions[0].question,
+        options: questions[0].options,
+    });
+    assert.deepEqual(Object.keys(toPublicQuestion(questions[3])), ["type", "question"]);
+});
+
+test("gradeSubmission scores every question type and reports the breakdown", () => {
+    const grading = gradeSubmission(questions, ["let", ["number", "string"], "False", "  document object model! "]);
+    assert.equal(grading.score, 3);
+    assert.equal(grading.total, 4);
+    assert.equal(grading.percentage, 75);
+    assert.deepEqual(grading.results.map(r => r.correct), [true, true, false, true]);
+    assert.equal(grading.results[0].explanation, "let is block scoped.");
+    assert.deepEqual(grading.results[1].correctAnswers, ["string", "number"]);
+
+    const partial = gradeSubmission(questions, [["let"], ["string"], null]);
+    assert.equal(partial.score, 0);
+    assert.equal(partial.results[3].answer, null);
+});
+
+test("hideAnswers keeps the score but not the answers or their justification", () => {
+    const hidden = hideAnswers(gradeSubmission(questions, ["var", ["string", "number"]]));
+    assert.equal(hidden.score, 1);
+    assert.equal(hidden.answersHidden, true);
+    assert.deepEqual(hidden.results.map(r => r.correct), [false, true, false, false]);
+    assert.deepEqual(Object.keys(hidden.results[0]), ["index", "question", "answer", "correct"]);
+    assert.ok(hidden.results.every(r => !("correctAnswer" in r) && !("correctAnswers" in r)));
+});
+
+test("gradeSubmission adds the time spent on each question of a timed exam", () => {
+    const timed = gradeSubmission(questions, ["let", null], { timeSpent: [12.4, 30, 7.6] });
+    assert.deepEqual(timed.results.map(r => r.seconds), [12, 30, 8, 0]);
+    assert.equal(timed.totalSeconds, 50);
+
+    const untimed = gradeSubmission(questions, ["let"]);
+    assert.equal(untimed.totalSeconds, undefined);
+    assert.ok(untimed.results.every(r => !("seconds" in r)));
+});
+
+test("Markdown in typed answers doesn't have to be typed", () => {
+    const question = { type: "short-answer", question: "Which keyword declares a block-scoped variable?", correctAnswer: "`let`", acceptableAnswers: [] };
+    const { results } = gradeSubmission([question, question], ["let", "`let`"]);
+    assert.deepEqual(results.map(result => result.correct), [true, true]);
+});
@@ -0,0 +1,51 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { scheduleReview, addMissedQuestions, getDueCards, answerCard } from "../api/review.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test("scheduleReview follows the SM-2 intervals", () => {
+    const now = Date.UTC(2024, 0, 1);
+    const first = scheduleReview({}, 4, now);
+    assert.deepEqual(first, { easiness: 2.5, interval: 1, repetitions: 1, dueAt: new Date(now + DAY_MS).toISOString() });
+
+    const second = scheduleReview(first, 5, now);
+    assert.equal(second.interval, 6);
+    assert.equal(second.easiness, 2.6);
+
+    const third = scheduleReview(second, 3, now);
+    assert.equal(third.interval, Math.round(6 * 2.6));
+    assert.equal(third.repetitions, 3);
+
+    const lapse = scheduleReview(third, 1, now);
+    assert.equal(lapse.repetitions, 0);
+    assert.equal(lapse.interval, 1);
+    assert.ok(lapse.easiness < third.easiness);
+    assert.equal(scheduleReview({ easiness: 1.3 }, 0, now).easiness, 1.3);
+});
+
+test("missed questions become due cards that are rescheduled when answered", async () => {
+    const quiz = {
+        id: "quiz-1",
+        videoId: "abc",
+        questions: [
+            { type: "true-false", question: "The sky is green.", options: ["True", "False"], correctAnswer: "False" },
+            { type: "true-false", question: "Water is wet.", options: ["True", "False"], correctAnswer: "True" },
+        ],
+    };
+    await addMissedQuestions("user-1", quiz, [{ index: 0, correct: false }, { index: 1, correct: true }]);
+
+    const deck = await getDueCards("user-1");
+    assert.equal(deck.due, 1);
+    assert.equal(deck.cards[0].question.correctAnswer, undefined);
+
+    assert.equal(await answerCard("user-2", deck.cards[0].id, "False"), null);
+    const result = await answerCard("user-1", deck.cards[0].id, "False");
+    assert.equal(result.correct, true);
+    assert.equal(result.card.repetitions, 1);
+
+    const after = await getDueCards("user-1");
+    assert.equal(after.due, 0);
+    assert.equal(after.total, 1);
+    assert.equal(after.nextDueAt, result.card.dueAt);
+});
@@ -0,0 +1,122 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { once } from "node:events";
+import WebSocket from "ws";
+import { createRoom, getRoom, handleMessage, handleDisconnect, attachRoomSockets, SOCKET_PATH } from "../api/rooms.js";
+
+const quiz = {
+    id: "quiz-1",
+    questions: [
+        { type: "single-choice", question: "Which keyword declares a block-scoped variable?", options: ["var", "let", "function", "this"], correctAnswer: "let", explanation: "let is block scoped." },
+        { type: "true-false", question: "Closures can access variables of their enclosing scope.", options: ["True", "False"], correctAnswer: "True" },
+    ],
+};
+
+// A connection that records what the server sent it
+function peer() {
+    const messages = [];
+    return {
+        messages,
+        send: (message) => messages.push(message),
+        last: (type) => messages.filter(m => m.type === type).at(-1),
+    };
+}
+
+test("a room runs from lobby through every question to the final results", (t) => {
+    t.mock.timers.enable({ apis: ["setTimeout", "Date"] });
+    const room = createRoom(quiz, { questionSeconds: 10 });
+    assert.equal(getRoom(room.code.toLowerCase()), room);
+
+    const host = peer();
+    const ada = peer();
+    const bob = peer();
+    handleMessage(host, { type: "host", code: room.code, hostToken: room.hostToken });
+    assert.throws(() => handleMessage(host, { type: "start" }), /at least one player/);
+
+    handleMessage(ada, { type: "join", code: room.code, name: "Ada" });
+    handleMessage(bob, { type: "join", code: room.code, name: "Bob" });
+    assert.throws(() => handleMessage(peer(), { type: "join", code: room.code, name: "ada" }), { code: "NAME_TAKEN" });
+    assert.throws(() => handleMessage(ada, { type: "start" }), { code: "NOT_HOST" });
+    assert.deepEqual(host.last("room").room.players.map(p => p.name), ["Ada", "Bob"]);
+
+    handleMessage(host, { type: "start" });
+    const question = ada.last("question");
+    assert.equal(question.index, 0);
+    assert.equal(question.question.correctAnswer, undefined);
+
+    // Ada answers right away, Bob gets it wrong; the reveal comes once everyone has answered
+    handleMessage(ada, { type: "answer", answer: "let" });
+    t.mock.timers.tick(5000);
+    assert.equal(ada.last("reveal"), undefined);
+    assert.throws(() => handleMessage(ada, { type: "answer", answer: "var" }), /already answered/);
+    handleMessage(bob, { type: "answer", answer: "var" });
+
+    const reveal = ada.last("reveal");
+    assert.equal(reveal.correctAnswer, "let");
+    assert.deepEqual(reveal.you, { answer: "let", correct: true, points: 1000, score: 1000, rank: 1 });
+    assert.equal(bob.last("reveal").you.rank, 2);
+    assert.deepEqual(host.last("answered"), { type: "answered", index: 0, answeredCount: 2, playerCount: 2 });
+
+    // Second question: Bob answers halfway through and Ada never does, so the timer reveals it
+    handleMessage(host, { type: "next" });
+    t.mock.timers.tick(5000);
+    handleMessage(bob, { type: "answer", answer: "True" });
+    t.mock.timers.tick(5000);
+    assert.equal(bob.last("reveal").you.points, 750);
+    assert.equal(bob.last("reveal").last, true);
+    assert.throws(() => handleMessage(ada, { type: "answer", answer: "True" }), /Time is up/);
+
+    handleMessage(host, { type: "next" });
+    const results = ada.last("finished");
+    assert.deepEqual(results.leaderboard.map(e => [e.rank, e.name, e.score]), [[1, "Ada", 1000], [2, "Bob", 750]]);
+    assert.equal(results.you.percentage, 50);
+    assert.deepEqual(results.questions.map(q => q.correctCount), [1, 1]);
+});
+
+test("players can rejoin with their token and keep their score", () => {
+    const room = createRoom(quiz);
+    const host = peer();
+    const first = peer();
+    handleMessage(host, { type: "host", code: room.code, hostToken: room.hostToken });
+    handleMessage(first, { type: "join", code: room.code, name: "Ada" });
+    const { playerToken } = first.last("welcome");
+
+    handleMessage(host, { type: "start" });
+    handleMessage(first, { type: "answer", answer: "let" });
+    handleDisconnect(first);
+    assert.equal(host.last("room").room.players[0].connected, false);
+
+    const second = peer();
+    handleMessage(second, { type: "join", code: room.code, playerToken });
+    assert.equal(second.last("welcome").name, "Ada");
+    assert.ok(second.last("room").room.players[0].score > 0);
+
+    assert.throws(() => handleMessage(peer(), { type: "host", code: room.code, hostToken: "nope" }), { code: "NOT_HOST" });
+    assert.throws(() => handleMessage(peer(), { type: "join", code: "ZZZZZZ", name: "Eve" }), { code: "ROOM_NOT_FOUND" });
+    handleMessage(host, { type: "end" });
+});
+
+test("socket connections are identified by the address clientIp resolves", async (t) => {
+    const server = createServer();
+    const seen = [];
+    const wss = attachRoomSockets(server, {
+        clientIp: (req) => {
+            seen.push(req.headers["x-forwarded-for"]);
+            return req.headers["x-forwarded-for"];
+        },
+    });
+    server.listen(0);
+    await once(server, "listening");
+    t.after(() => {
+        wss.close();
+        server.close();
+    });
+
+    const socket = new WebSocket(`ws://localhost:${server.address().port}${SOCKET_PATH}`, {
+        headers: { "X-Forwarded-For": "198.51.100.4" },
+    });
+    await once(socket, "open");
+    socket.close();
+    assert.deepEqual(seen, ["198.51.100.4"]);
+});
@@ -0,0 +1,33 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseSource, transcriptFromSource } from "../api/sources.js";
+
+const notes = "Closures let a function keep using variables from the scope it was created in. ".repeat(5);
+const srt = "1\n00:00:01,000 --> 00:00:03,000\nClosures keep their scope.\n\n2\n00:00:03,000 --> 00:00:05,500\nEven after the outer function returns.\n";
+
+test("parseSource validates content, format and name", () => {
+    assert.deepEqual(parseSource({ content: notes }).source, { content: notes, format: "auto", name: null });
+    assert.equal(parseSource({ content: srt, format: "srt", name: " lecture.srt " }).source.name, "lecture.srt");
+    assert.match(parseSource("notes").error, /content/);
+    assert.match(parseSource({ content: "   " }).error, /empty/);
+    assert.match(parseSource({ content: notes, format: "docx" }).error, /format/);
+});
+
+test("transcriptFromSource reads plain text without timings", () => {
+    const { transcript, segments, track } = transcriptFromSource(parseSource({ content: notes }).source, { minWords: 10 });
+    assert.equal(transcript, notes.trim());
+    assert.deepEqual(segments, []);
+    assert.equal(track.kind, "text");
+});
+
+test("transcriptFromSource detects subtitles and keeps their timings", () => {
+    const { transcript, segments, track } = transcriptFromSource({ content: srt, format: "auto", name: "lecture.srt" }, { minWords: 5 });
+    assert.equal(transcript, "Closures keep their scope. Even after the outer function returns.");
+    assert.deepEqual(segments.map(s => s.start), [1, 3]);
+    assert.deepEqual(track, { languageCode: null, name: "lecture.srt", kind: "subtitles" });
+});
+
+test("transcriptFromSource rejects short text and subtitle files without cues", () => {
+    assert.throws(() => transcriptFromSource({ content: "Closures keep their scope.", format: "auto" }), { code: "TRANSCRIPT_TOO_SHORT" });
+    assert.throws(() => transcriptFromSource({ content: notes, format: "vtt" }, { minWords: 5 }), { code: "INVALID_REQUEST" });
+});
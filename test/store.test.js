@@ -0,0 +1,24 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, readdir, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { createStore } from "../api/store.js";
+
+test("the file store survives concurrent writes and creates of one record", async (t) => {
+    const directory = await mkdtemp(path.join(tmpdir(), "store-test-"));
+    t.after(() => rm(directory, { recursive: true, force: true }));
+    process.env.STORE_BACKEND = "file";
+    process.env.DATA_DIR = directory;
+    const store = createStore("records");
+
+    await Promise.all([1, 2, 3, 4, 5].map(n => store.set("one", { n })));
+    assert.ok([1, 2, 3, 4, 5].includes((await store.get("one")).n));
+
+    const created = await Promise.all([1, 2, 3].map(n => store.create("two", { n })));
+    assert.equal(created.filter(Boolean).length, 1);
+    assert.equal((await store.get("two")).n, created.indexOf(true) + 1);
+
+    // No temp files are left behind
+    assert.deepEqual((await readdir(path.join(directory, "records"))).sort(), ["one.json", "two.json"]);
+});
@@ -0,0 +1,79 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+    parseStudyPackOptions,
+    normalizeStudyPackSection,
+    mergeStudyPackSections,
+    generateStudyPack,
+} from "../api/studypack.js";
+
+test("parseStudyPackOptions applies defaults and rejects bad values", () => {
+    assert.deepEqual(parseStudyPackOptions({}).options, { flashcardCount: 12 });
+    assert.deepEqual(parseStudyPackOptions({ flashcardCount: 0, quizLanguage: "hi" }).options, { flashcardCount: 0, language: "hi" });
+    assert.match(parseStudyPackOptions({ flashcardCount: 41 }).error, /flashcardCount/);
+    assert.match(parseStudyPackOptions({ quizLanguage: "not a language" }).error, /quizLanguage/);
+});
+
+test("normalizeStudyPackSection needs a summary and drops incomplete entries", () => {
+    assert.equal(normalizeStudyPackSection({ title: "Closures", summary: "  " }), null);
+    assert.equal(normalizeStudyPackSection([]), null);
+
+    const section = normalizeStudyPackSection({
+        title: " Closures ",
+        summary: "Functions keep\nthe scope they were made in.",
+        keyConcepts: [{ name: "Closure", explanation: "A function with its scope." }, { name: "Scope" }],
+        glossary: "not a list",
+        flashcards: [{ front: "What is a closure?", back: "A function with its scope." }, null],
+    });
+    assert.deepEqual(section, {
+        title: "Closures",
+        summary: "Functions keep the scope they were made in.",
+        keyConcepts: [{ name: "Closure", explanation: "A function with its scope." }],
+        glossary: [],
+        flashcards: [{ front: "What is a closure?", back: "A function with its scope." }],
+    });
+});
+
+test("mergeStudyPackSections deduplicates across sections and caps flashcards", () => {
+    const pack = mergeStudyPackSections([
+        {
+            index: 0, start: 0, end: 60, title: "Scope", summary: "About scope.",
+            keyConcepts: [{ name: "Lexical scope", explanation: "First." }],
+            glossary: [{ term: "Scope", definition: "Where a name is visible." }],
+            flashcards: [{ front: "What is scope?", back: "Visibility of names." }, { front: "What is hoisting?", back: "Moving declarations up." }],
+        },
+        {
+            index: 1, start: 60, end: 120, title: "Closures", summary: "About closures.",
+            keyConcepts: [{ name: "lexical  scope!", explanation: "Second." }],
+            glossary: [{ term: "Closure", definition: "A function with its scope." }, { term: "scope", definition: "Again." }],
+            flashcards: [{ front: "what is scope", back: "Again." }, { front: "What is a closure?", back: "A function with its scope." }],
+        },
+    ], { flashcardCount: 2 });
+
+    assert.deepEqual(pack.sections.map(s => [s.index, s.start, s.title]), [[0, 0, "Scope"], [1, 60, "Closures"]]);
+    assert.deepEqual(pack.keyConcepts.map(c => c.explanation), ["First."]);
+    assert.deepEqual(pack.glossary.map(g => g.term), ["Closure", "Scope"]);
+    assert.deepEqual(pack.flashcards.map(f => f.front), ["What is scope?", "What is hoisting?"]);
+});
+
+test("generateStudyPack builds a pack from a transcript", async () => {
+    const transcript = "Closures let a function keep using the variables of the scope it was created in. " +
+        "This is how private state works in JavaScript modules. Each call creates a new scope with its own variables.";
+    let calls = 0;
+    const pack = await generateStudyPack(transcript, { provider: "fake", onLlmCall: () => calls++ });
+
+    assert.equal(calls, 1);
+    assert.equal(pack.sections.length, 1);
+    assert.equal(pack.overview, pack.sections[0].summary);
+    assert.ok(pack.flashcards.every(card => card.front && card.back));
+});
+
+test("generateStudyPack stops when onLlmCall refuses the call", async () => {
+    const transcript = "Closures let a function keep using the variables of the scope it was created in. " +
+        "This is how private state works in JavaScript modules.";
+    const quotaError = Object.assign(new Error("Daily quota used up"), { code: "QUOTA_EXCEEDED" });
+    await assert.rejects(
+        generateStudyPack(transcript, { provider: "fake", onLlmCall: () => Promise.reject(quotaError) }),
+        quotaError,
+    );
+});
@@ -0,0 +1,84 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+    cleanTranscriptText,
+    containsQuote,
+    buildPassages,
+    buildSections,
+    toSrt,
+    toWebVtt,
+    parseSubtitles,
+} from "../api/transcript.js";
+
+const segments = [
+    { text: "closures capture variables", start: 0, duration: 2.5 },
+    { text: "from the enclosing scope", start: 2.5, duration: 3 },
+    { text: "even after --> the function returns", start: 3661.25, duration: 1.5 },
+];
+
+test("cleanTranscriptText removes stuttered words without touching word parts", () => {
+    assert.equal(cleanTranscriptText("the the the plant is stored  here"), "the plant is stored here");
+});
+
+test("containsQuote ignores case, punctuation and spacing but needs the words in order", () => {
+    const text = "Closures capture variables, from the enclosing scope.";
+    assert.equal(containsQuote(text, "capture variables from the enclosing"), true);
+    assert.equal(containsQuote(text, "CAPTURE   variables; from THE enclosing!"), true);
+    assert.equal(containsQuote(text, "variables capture from the enclosing"), false);
+    assert.equal(containsQuote(text, "ture variables from"), false);
+    assert.equal(containsQuote(text, "closures"), false);
+});
+
+test("buildPassages and buildSections keep time order", () => {
+    const passages = buildPassages(segments, 5);
+    assert.deepEqual(passages.map(p => [p.index, p.start, p.end]), [[0, 0, 5.5], [1, 3661.25, 3662.75]]);
+
+    const sections = buildSections(passages, 30);
+    assert.deepEqual(sections.map(s => s.passages.map(p => p.index)), [[0], [1]]);
+});
+
+test("buildSections starts a new section before one would grow past maxChars", () => {
+    const passages = ["a", "b", "c"].map((letter, index) => ({ index, start: index * 30, end: (index + 1) * 30, text: letter.repeat(40) }));
+    const sections = buildSections(passages, 90);
+    assert.deepEqual(sections.map(s => [s.index, s.start, s.end, s.passages.map(p => p.index)]), [
+        [0, 0, 60, [0, 1]],
+        [1, 60, 90, [2]],
+    ]);
+    assert.equal(buildSections(passages).length, 1);
+});
+
+test("toSrt numbers cues, uses comma milliseconds and escapes arrows in cue text", () => {
+    assert.equal(toSrt(segments.slice(2)), "1\n01:01:01,250 --> 01:01:02,750\neven after -> the function returns\n");
+});
+
+test("toWebVtt adds the header and escapes arrows in cue text", () => {
+    assert.equal(
+        toWebVtt(segments.slice(0, 1).concat(segments.slice(2))),
+        "WEBVTT\n\n00:00:00.000 --> 00:00:02.500\nclosures capture variables\n\n01:01:01.250 --> 01:01:02.750\neven after -> the function returns\n"
+    );
+});
+
+test("toSrt and toWebVtt round cue times to the millisecond", () => {
+    const cue = [{ text: "closures capture variables", start: 0.0004, duration: 1.9992 }];
+    assert.equal(toSrt(cue), "1\n00:00:00,000 --> 00:00:02,000\nclosures capture variables\n");
+    assert.equal(toWebVtt(cue), "WEBVTT\n\n00:00:00.000 --> 00:00:02.000\nclosures capture variables\n");
+    assert.equal(toWebVtt([]), "WEBVTT\n");
+});
+
+test("parseSubtitles reads what toSrt and toWebVtt write", () => {
+    const expected = segments.slice(0, 2);
+    assert.deepEqual(parseSubtitles(toSrt(expected)), expected);
+    assert.deepEqual(parseSubtitles(toWebVtt(expected)), expected);
+});
+
+test("parseSubtitles skips WebVTT metadata, markup and repeated roll-up cues", () => {
+    const vtt = [
+        "\uFEFFWEBVTT Kind: captions",
+        "NOTE written by hand",
+        "intro\r\n01:02.000 --> 01:04.500 align:start position:0%\r\n<c.yellow>closures</c> &amp; <i>scope</i>",
+        "01:04.500 --> 01:06.000\nclosures &amp; scope",
+        "bad --> timing\nignored",
+    ].join("\n\n");
+    assert.deepEqual(parseSubtitles(vtt), [{ text: "closures & scope", start: 62, duration: 4 }]);
+    assert.deepEqual(parseSubtitles("Just some notes about closures."), []);
+});